@@ -0,0 +1,103 @@
+// Headless stills and clips of the chain, rendered by the viewer itself in headless Chrome.
+//
+//   npm run capture -- [--format=png|webm|gif] [--width=1920] [--height=1080] [--transparent]
+//                      [--motion=swing|turntable|none] [--duration=4] [--fps=30] [--out=file]
+//                      [--url=http://localhost:5173] [--chrome=/path/to/chrome] [--timeout=seconds]
+//                      [--some.config.key=value ...]
+//
+// Starts a Vite dev server (unless --url points at a running viewer), opens the viewer with
+// ?capture.enabled=true and calls window.chainCapture - the same code path as the capture panel,
+// so headless output matches the browser's. Any other --key=value is passed on as a config
+// override, e.g. --background.theme=neon or --material.finish=gold.
+//
+// Chrome isn't bundled: pass --chrome or set CHROME_PATH. WebGL runs on SwiftShader, so no GPU
+// is needed, just patience for large sizes.
+
+import fs from 'node:fs'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import puppeteer from 'puppeteer-core'
+import { createServer } from 'vite'
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..')
+
+const CAPTURE_SETTINGS = {
+  format: String,
+  width: Number,
+  height: Number,
+  transparent: (value) => value !== 'false',
+  motion: String,
+  duration: Number,
+  fps: Number,
+}
+
+const parseArgs = (argv) => {
+  const options = { settings: {}, query: new URLSearchParams(), url: null, chrome: process.env.CHROME_PATH, out: null, timeout: 120 }
+  argv.forEach((arg) => {
+    if (!arg.startsWith('--')) throw new Error(`Unexpected argument "${arg}" - options look like --key=value`)
+    const [key, ...rest] = arg.slice(2).split('=')
+    const value = rest.length > 0 ? rest.join('=') : 'true'
+    if (CAPTURE_SETTINGS[key]) options.settings[key] = CAPTURE_SETTINGS[key](value)
+    else if (key === 'url') options.url = value
+    else if (key === 'chrome') options.chrome = value
+    else if (key === 'out') options.out = value
+    else if (key === 'timeout') options.timeout = Number(value)
+    else options.query.set(key, value)
+  })
+  if (!options.chrome) {
+    throw new Error('No browser to render with - pass --chrome=/path/to/chrome or set CHROME_PATH')
+  }
+  return options
+}
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2))
+  options.query.set('capture.enabled', 'true')
+
+  let server = null
+  let browser = null
+  try {
+    let baseUrl = options.url
+    if (!baseUrl) {
+      server = await createServer({ root: ROOT, logLevel: 'error', server: { strictPort: false } })
+      await server.listen()
+      baseUrl = server.resolvedUrls.local[0]
+    }
+
+    const timeout = options.timeout * 1000
+    browser = await puppeteer.launch({
+      executablePath: options.chrome,
+      headless: true,
+      protocolTimeout: timeout, // Long clips keep the capture call busy for a while
+      args: ['--use-angle=swiftshader', '--enable-unsafe-swiftshader', '--ignore-gpu-blocklist'],
+    })
+    const page = await browser.newPage()
+    page.on('pageerror', (error) => console.error('Page error:', error.message))
+    await page.setViewport({ width: 1280, height: 720 })
+
+    const pageUrl = new URL(baseUrl)
+    pageUrl.search = options.query.toString()
+    await page.goto(pageUrl.href)
+
+    await page.waitForFunction(
+      () => ['ready', 'error'].includes(window.chainCapture?.status()),
+      { timeout }
+    )
+    if (await page.evaluate(() => window.chainCapture.status()) === 'error') {
+      throw new Error('The viewer could not load the chain model')
+    }
+
+    const result = await page.evaluate((settings) => window.chainCapture.capture(settings), options.settings)
+    const outPath = path.resolve(options.out || result.fileName)
+    fs.writeFileSync(outPath, Buffer.from(result.base64, 'base64'))
+    console.log(`Wrote ${path.relative(process.cwd(), outPath)} (${(fs.statSync(outPath).size / 1024).toFixed(0)} KB)`)
+  } finally {
+    await browser?.close()
+    await server?.close()
+  }
+}
+
+main().catch((error) => {
+  console.error(error)
+  process.exit(1)
+})
@@ -0,0 +1,26 @@
+// Copies the Draco and Basis (KTX2) decoders that ship with three into public/decoders,
+// so compressed models decode from our own origin instead of a CDN.
+// Runs automatically before `npm run dev` and `npm run build`.
+
+import fs from 'node:fs'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..')
+const THREE_LIBS = path.join(ROOT, 'node_modules', 'three', 'examples', 'jsm', 'libs')
+const OUTPUT_DIR = path.join(ROOT, 'public', 'decoders')
+
+const DECODERS = {
+  draco: ['draco/gltf/draco_decoder.js', 'draco/gltf/draco_decoder.wasm', 'draco/gltf/draco_wasm_wrapper.js'],
+  basis: ['basis/basis_transcoder.js', 'basis/basis_transcoder.wasm'],
+}
+
+Object.entries(DECODERS).forEach(([name, files]) => {
+  const target = path.join(OUTPUT_DIR, name)
+  fs.mkdirSync(target, { recursive: true })
+  files.forEach((file) => {
+    fs.copyFileSync(path.join(THREE_LIBS, file), path.join(target, path.basename(file)))
+  })
+})
+
+console.log(`Copied decoders to ${path.relative(ROOT, OUTPUT_DIR)}`)
@@ -0,0 +1,161 @@
+// Offline asset pipeline: builds compressed level-of-detail variants of the chain models.
+//
+//   node scripts/optimize-models.mjs [--codec=meshopt|draco] [--no-ktx2] [model.glb ...]
+//
+// For every source GLB (default: every version in public/models.json) this writes
+// public/models/<name>.<lod>.glb for the high, medium and low LODs and records them
+// in the manifest, so the viewer can pick a variant that suits the device.
+//
+// Geometry is Meshopt- or Draco-compressed. Textures are converted to KTX2 (Basis Universal)
+// when the KTX-Software `toktx` tool is on the PATH; otherwise they are left as they are.
+
+import { execFileSync } from 'node:child_process'
+import fs from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { NodeIO } from '@gltf-transform/core'
+import { ALL_EXTENSIONS, KHRTextureBasisu } from '@gltf-transform/extensions'
+import { dedup, draco, meshopt, prune, simplify, weld } from '@gltf-transform/functions'
+import draco3d from 'draco3dgltf'
+import { MeshoptEncoder, MeshoptSimplifier } from 'meshoptimizer'
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..')
+const PUBLIC_DIR = path.join(ROOT, 'public')
+const OUTPUT_DIR = path.join(PUBLIC_DIR, 'models')
+const MANIFEST_PATH = path.join(PUBLIC_DIR, 'models.json')
+
+// Level-of-detail presets. ratio is the fraction of vertices kept by the simplifier.
+const LODS = {
+  high: { ratio: 1, textureMode: 'uastc', textureScale: 1 },
+  medium: { ratio: 0.5, textureMode: 'etc1s', textureScale: 1 },
+  low: { ratio: 0.15, textureMode: 'etc1s', textureScale: 0.5 },
+}
+
+const parseArgs = (argv) => {
+  const options = { codec: 'meshopt', ktx2: true, files: [] }
+  argv.forEach((arg) => {
+    if (arg.startsWith('--codec=')) options.codec = arg.slice('--codec='.length)
+    else if (arg === '--no-ktx2') options.ktx2 = false
+    else options.files.push(arg)
+  })
+  if (!['meshopt', 'draco'].includes(options.codec)) {
+    throw new Error(`Unknown codec "${options.codec}" - use meshopt or draco`)
+  }
+  return options
+}
+
+const hasToktx = () => {
+  try {
+    execFileSync('toktx', ['--version'], { stdio: 'ignore' })
+    return true
+  } catch {
+    return false
+  }
+}
+
+// Convert every texture to KTX2 with toktx, the same way `gltf-transform etc1s/uastc` does
+const compressTexturesToKtx2 = (document, { textureMode, textureScale }) => {
+  const textures = document.getRoot().listTextures()
+  if (textures.length === 0) return
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chain-ktx2-'))
+  try {
+    textures.forEach((texture, i) => {
+      const extension = texture.getMimeType() === 'image/jpeg' ? 'jpg' : 'png'
+      const input = path.join(workDir, `${i}.${extension}`)
+      const output = path.join(workDir, `${i}.ktx2`)
+      fs.writeFileSync(input, texture.getImage())
+
+      const args = ['--t2', '--genmipmap', '--encode', textureMode]
+      if (textureMode === 'uastc') args.push('--zcmp', '18')
+      if (textureScale !== 1) args.push('--scale', String(textureScale))
+      execFileSync('toktx', [...args, output, input], { stdio: 'inherit' })
+
+      texture.setImage(fs.readFileSync(output)).setMimeType('image/ktx2')
+      if (texture.getURI()) texture.setURI(texture.getURI().replace(/\.\w+$/, '.ktx2'))
+    })
+    document.createExtension(KHRTextureBasisu).setRequired(true)
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true })
+  }
+}
+
+const buildVariant = async (io, source, lod, { codec, ktx2 }) => {
+  const document = await io.read(source)
+  const transforms = [dedup(), weld()]
+
+  if (lod.ratio < 1) {
+    transforms.push(simplify({ simplifier: MeshoptSimplifier, ratio: lod.ratio, error: 0.001 }))
+  }
+  transforms.push(prune())
+  transforms.push(codec === 'draco'
+    ? draco({ method: 'edgebreaker' })
+    : meshopt({ encoder: MeshoptEncoder, level: 'medium' }))
+
+  await document.transform(...transforms)
+  if (ktx2) compressTexturesToKtx2(document, lod)
+
+  return io.writeBinary(document)
+}
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2))
+  const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'))
+
+  if (options.ktx2 && !hasToktx()) {
+    console.warn('toktx not found on PATH - skipping KTX2 texture compression (install KTX-Software to enable it)')
+    options.ktx2 = false
+  }
+
+  await MeshoptEncoder.ready
+  await MeshoptSimplifier.ready
+  const io = new NodeIO()
+    .registerExtensions(ALL_EXTENSIONS)
+    .registerDependencies({
+      'draco3d.decoder': await draco3d.createDecoderModule(),
+      'draco3d.encoder': await draco3d.createEncoderModule(),
+      'meshopt.encoder': MeshoptEncoder,
+    })
+
+  // A file that isn't in the manifest yet becomes its newest version
+  let nextVersion = manifest.versions.reduce((newest, entry) => Math.max(newest, entry.version || 0), 0) + 1
+  const entries = options.files.length > 0
+    ? options.files.map((file) => {
+      const url = '/' + path.relative(PUBLIC_DIR, path.resolve(file)).split(path.sep).join('/')
+      return manifest.versions.find((entry) => entry.url === url) || { version: nextVersion++, url }
+    })
+    : manifest.versions
+
+  fs.mkdirSync(OUTPUT_DIR, { recursive: true })
+
+  for (const entry of entries) {
+    const source = path.join(PUBLIC_DIR, decodeURIComponent(entry.url))
+    const name = path.basename(source, '.glb').replace(/\s+/g, '-').toLowerCase()
+    entry.variants = {}
+
+    for (const [lodName, lod] of Object.entries(LODS)) {
+      const binary = await buildVariant(io, source, lod, options)
+      const fileName = `${name}.${lodName}.glb`
+      fs.writeFileSync(path.join(OUTPUT_DIR, fileName), binary)
+
+      entry.variants[lodName] = {
+        url: `/models/${fileName}`,
+        bytes: binary.byteLength,
+        codec: options.codec,
+        textures: options.ktx2 ? 'ktx2' : 'original',
+      }
+      console.log(`${entry.url} -> ${fileName} (${(binary.byteLength / 1024).toFixed(0)} KB)`)
+    }
+
+    if (!manifest.versions.includes(entry)) manifest.versions.push(entry)
+  }
+
+  fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 2) + '\n')
+  console.log(`Updated ${path.relative(ROOT, MANIFEST_PATH)}`)
+}
+
+main().catch((error) => {
+  console.error(error)
+  process.exit(1)
+})
@@ -0,0 +1,138 @@
+import React, { useState } from 'react'
+import { CAPTURE_FORMATS, CAPTURE_MOTIONS } from './sceneCapture'
+import { downloadBlob } from './download'
+import { usePanelFocus } from './accessibility'
+
+const buttonStyle = {
+  padding: '6px 10px',
+  backgroundColor: 'white',
+  border: '2px solid #333',
+  borderRadius: '6px',
+  cursor: 'pointer',
+  fontSize: '12px',
+  fontWeight: '600',
+  color: '#333',
+}
+
+const rowStyle = { display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '6px' }
+const numberStyle = { width: '70px' }
+
+// Stills and clips of the chain for download. Starts from config.capture; changes here only last
+// for the session. `onCapture(settings, onProgress)` renders and resolves to { blob, fileName }.
+function CapturePanel({ defaults, onCapture }) {
+  const [open, setOpen] = useState(false)
+  const { toggleRef, closeRef } = usePanelFocus(open)
+  const [settings, setSettings] = useState(defaults)
+  const [busy, setBusy] = useState(false)
+  const [status, setStatus] = useState('')
+
+  const update = (key, value) => setSettings((previous) => ({ ...previous, [key]: value }))
+  const isClip = settings.format !== 'png'
+
+  const handleCapture = async () => {
+    setBusy(true)
+    setStatus(isClip ? 'Rendering 0%' : 'Rendering…')
+    try {
+      const { blob, fileName } = await onCapture(settings, (progress) => {
+        setStatus(`Rendering ${Math.round(progress * 100)}%`)
+      })
+      downloadBlob(blob, fileName)
+      setStatus(`${fileName} (${Math.round(blob.size / 1024)} KB)`)
+    } catch (error) {
+      setStatus('Capture failed: ' + error.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  if (!open) {
+    return (
+      <button
+        ref={toggleRef}
+        onClick={() => setOpen(true)}
+        style={{ ...buttonStyle, position: 'absolute', bottom: '20px', left: '50%', transform: 'translateX(-50%)', zIndex: 1000, padding: '12px 16px', fontSize: '14px', backgroundColor: 'rgba(255, 255, 255, 0.9)' }}
+      >
+        📸 Capture
+      </button>
+    )
+  }
+
+  return (
+    <div
+      role="dialog"
+      aria-label="Capture"
+      onKeyDown={(event) => { if (event.key === 'Escape') setOpen(false) }}
+      style={{
+        position: 'absolute',
+        bottom: '20px',
+        left: '50%',
+        transform: 'translateX(-50%)',
+        zIndex: 1000,
+        width: '240px',
+        padding: '12px',
+        backgroundColor: 'rgba(255, 255, 255, 0.95)',
+        border: '2px solid #333',
+        borderRadius: '8px',
+        boxShadow: '0 2px 10px rgba(0,0,0,0.2)',
+        fontSize: '11px',
+        color: '#333',
+      }}
+    >
+      <div style={{ ...rowStyle, marginBottom: '8px' }}>
+        <strong style={{ fontSize: '14px' }}>📸 Capture</strong>
+        <button
+          ref={closeRef}
+          onClick={() => setOpen(false)}
+          aria-label="Close capture panel"
+          style={{ border: 'none', background: 'none', cursor: 'pointer', fontSize: '16px', color: '#333' }}
+        >
+          ✕
+        </button>
+      </div>
+
+      <label style={rowStyle}>
+        <span>Format</span>
+        <select value={settings.format} onChange={(event) => update('format', event.target.value)}>
+          {CAPTURE_FORMATS.map((format) => <option key={format} value={format}>{format}</option>)}
+        </select>
+      </label>
+      <label style={rowStyle}>
+        <span>Width</span>
+        <input type="number" min={1} value={settings.width} onChange={(event) => update('width', Number(event.target.value))} style={numberStyle} />
+      </label>
+      <label style={rowStyle}>
+        <span>Height</span>
+        <input type="number" min={1} value={settings.height} onChange={(event) => update('height', Number(event.target.value))} style={numberStyle} />
+      </label>
+      <label style={rowStyle}>
+        <span>Transparent background</span>
+        <input type="checkbox" checked={settings.transparent} onChange={(event) => update('transparent', event.target.checked)} />
+      </label>
+      {isClip && (
+        <>
+          <label style={rowStyle}>
+            <span>Motion</span>
+            <select value={settings.motion} onChange={(event) => update('motion', event.target.value)}>
+              {CAPTURE_MOTIONS.map((motion) => <option key={motion} value={motion}>{motion}</option>)}
+            </select>
+          </label>
+          <label style={rowStyle}>
+            <span>Seconds</span>
+            <input type="number" min={0.1} max={60} step={0.5} value={settings.duration} onChange={(event) => update('duration', Number(event.target.value))} style={numberStyle} />
+          </label>
+          <label style={rowStyle}>
+            <span>Frames per second</span>
+            <input type="number" min={1} max={60} value={settings.fps} onChange={(event) => update('fps', Number(event.target.value))} style={numberStyle} />
+          </label>
+        </>
+      )}
+
+      <button onClick={handleCapture} disabled={busy} style={{ ...buttonStyle, width: '100%', marginTop: '4px', opacity: busy ? 0.6 : 1 }}>
+        {busy ? '⏳ Rendering…' : isClip ? '🎬 Render clip' : '📸 Save still'}
+      </button>
+      {status && <div style={{ marginTop: '6px', wordBreak: 'break-word' }}>{status}</div>}
+    </div>
+  )
+}
+
+export default CapturePanel
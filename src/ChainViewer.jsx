@@ -0,0 +1,1867 @@
+import React, { Suspense, useMemo, useRef, useState } from 'react'
+import * as THREE from 'three'
+import { Canvas, invalidate, useFrame, useThree } from '@react-three/fiber'
+import { Bvh, Environment } from '@react-three/drei'
+import { useGesture } from '@use-gesture/react'
+import LiquidChromeBackground from './LiquidChromeBackground'
+import { calculateScale, createFixedStepper, createPendulumState, isSettled } from './pendulumPhysics'
+import { useChainLayout } from './autoFraming'
+import { FLICK_LOOKAHEAD, TWIST_PER_PIXEL, clampTwistRate, poseRate, solveGrabPose, strikeImpulse } from './chainGrab'
+import { advanceWithInput, createInputController, keyboardForce, mergeSprings, restPose } from './inputController'
+import { compareTrajectories, createPlayer, createRecorder } from './sessionRecorder'
+import { DEFAULT_NEUTRAL, averageTilt, createTiltFilter, gravityTilt } from './tiltSensor'
+import { configDiff, mergeOverrides, resolveConfig, setConfigValue } from './chainConfig'
+import { clearChainModel, fetchModelManifest, filterAvailableModels, manifestBytes, manifestVersion, modelCandidates, useChainModel } from './modelLoading'
+import ModelErrorBoundary from './ModelErrorBoundary'
+import InspectControls from './InspectControls'
+import HotspotCards from './HotspotCards'
+import { fetchHotspots, hotspotsUrl } from './hotspots'
+import { detectDeviceTier, isHigherTier, isMobileDevice } from './deviceProfile'
+import { applyFinish, createFinishMaterial, finishFromSearch, finishToSearch, resolveFinish, useMaterialOverride } from './materialPresets'
+import MaterialConfigurator from './MaterialConfigurator'
+import SessionControls from './SessionControls'
+import { usePageVisible, useQualityGovernor } from './qualityGovernor'
+import { createThemeTransition, resolveTheme } from './backgroundThemes'
+import { createInteractionBus } from './interactionBus'
+import DevPanel from './DevPanel'
+import { downloadJSON } from './download'
+import CapturePanel from './CapturePanel'
+import { KEYBOARD_INSTRUCTIONS, VISUALLY_HIDDEN, chainKeyAction, isReducedMotion, pushDirectionName, reduceBackgroundMotion, useAnnouncer, usePrefersReducedMotion } from './accessibility'
+import { decodeSceneState, encodeSceneState, sceneStateOverrides } from './sceneState'
+import { blobToBase64, captureFileName, captureScene, maxCaptureSize, resolveCaptureOptions } from './sceneCapture'
+import { strikeLevel, useChainAudio } from './chainAudio'
+import { createViewerEvents } from './viewerEvents'
+import { connectAnalytics, flushAnalytics } from './analytics'
+
+// Rapier's WASM is large - only load it when the rigid-body mode is switched on
+const RigidChain = React.lazy(() => import('./RigidChain'))
+
+// Loading component
+function LoadingSpinner({ loaded = 0, total = 0 }) {
+  const percent = total > 0 ? Math.min(100, Math.round((loaded / total) * 100)) : null
+
+  return (
+    <div style={{
+      position: 'absolute',
+      top: '50%',
+      left: '50%',
+      transform: 'translate(-50%, -50%)',
+      color: '#666',
+      fontSize: '18px',
+      fontWeight: '500',
+      textAlign: 'center',
+      zIndex: 2
+    }}>
+      Loading 3D Model...{percent !== null && ` ${percent}%`}
+      {percent !== null && (
+        <div style={{
+          marginTop: '10px',
+          width: '200px',
+          height: '4px',
+          backgroundColor: 'rgba(0, 0, 0, 0.1)',
+          borderRadius: '2px',
+          overflow: 'hidden'
+        }}>
+          <div style={{
+            width: `${percent}%`,
+            height: '100%',
+            backgroundColor: '#666',
+            transition: 'width 0.2s ease'
+          }} />
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Error screen shown when no model version could be loaded
+function ModelLoadError({ error, onRetry }) {
+  return (
+    <div style={{
+      position: 'absolute',
+      top: '50%',
+      left: '50%',
+      transform: 'translate(-50%, -50%)',
+      zIndex: 2,
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'center',
+      gap: '12px',
+      maxWidth: '280px',
+      padding: '16px 20px',
+      backgroundColor: 'rgba(255, 255, 255, 0.9)',
+      border: '2px solid #cc0000',
+      borderRadius: '8px',
+      color: '#cc0000',
+      fontSize: '14px',
+      fontWeight: '600',
+      textAlign: 'center',
+      wordWrap: 'break-word'
+    }}>
+      <div>Couldn't load the 3D model</div>
+      {error && (
+        <div style={{ fontSize: '11px', fontWeight: '500' }}>{error.message}</div>
+      )}
+      <button
+        onClick={onRetry}
+        style={{
+          padding: '10px 16px',
+          backgroundColor: 'rgba(255, 255, 255, 0.9)',
+          border: '2px solid #333',
+          borderRadius: '8px',
+          cursor: 'pointer',
+          fontSize: '14px',
+          fontWeight: '600',
+          color: '#333'
+        }}
+      >
+        🔁 Retry
+      </button>
+    </div>
+  )
+}
+
+// Rendered next to the chain inside its Suspense boundary, so it mounts once the model is ready
+function ModelLoaded({ url, onLoaded }) {
+  React.useEffect(() => {
+    onLoaded(url)
+  }, [url, onLoaded])
+
+  return null
+}
+
+// Keeps the camera in step with the config - the Canvas camera prop only applies on creation
+function CameraRig({ fov, z }) {
+  const cameraObject = useThree((state) => state.camera)
+  const invalidateFrame = useThree((state) => state.invalidate)
+
+  React.useEffect(() => {
+    cameraObject.fov = fov
+    cameraObject.position.z = z
+    cameraObject.updateProjectionMatrix()
+    invalidateFrame()
+  }, [cameraObject, fov, z, invalidateFrame])
+
+  return null
+}
+
+// Feeds the pointer into the interaction bus once per frame, in the background's uv space
+function PointerTracker({ bus }) {
+  const element = useThree((state) => state.gl.domElement)
+  const invalidateFrame = useThree((state) => state.invalidate)
+
+  useFrame((state, delta) => {
+    bus.movePointer(state.pointer.x * 0.5 + 0.5, state.pointer.y * 0.5 + 0.5, delta)
+  })
+
+  // Pointer moves still reach the background while the canvas renders on demand
+  React.useEffect(() => {
+    const wake = () => invalidateFrame()
+    element.addEventListener('pointermove', wake)
+    return () => element.removeEventListener('pointermove', wake)
+  }, [element, invalidateFrame])
+
+  return null
+}
+
+// Point light tinted by the background theme, following its transitions
+function ThemedPointLight({ theme, color, intensity, ...props }) {
+  const lightRef = useRef()
+  const baseColor = useMemo(() => new THREE.Color(), [])
+  const tint = useMemo(() => new THREE.Color(), [])
+
+  useFrame((state) => {
+    if (!lightRef.current) return
+    const current = theme.at(state.clock.elapsedTime)
+    tint.setRGB(current.lightTint[0], current.lightTint[1], current.lightTint[2], THREE.SRGBColorSpace)
+    lightRef.current.color.copy(baseColor.set(color)).multiply(tint)
+    lightRef.current.intensity = intensity * current.lightIntensity
+  })
+
+  return <pointLight ref={lightRef} color={color} intensity={intensity} {...props} />
+}
+
+// Interactive Chain component that hangs from top.
+// Every input - drag, click, gyro, keyboard, scripted moves - goes through one input
+// controller into one pendulum state, which is written to the scene once per frame.
+const InteractiveChain = React.forwardRef(({ config, modelUrl, onModelProgress, finishMaterial, addDebugMessage, isGyroActive, setIsGyroActive, onRestChange, bus, sound = null, events = null, idleSwing = true, paused = false, hotspots = [] }, ref) => {
+  const { scene } = useChainModel(modelUrl, onModelProgress)
+  const camera = useThree((state) => state.camera)
+  const viewHeight = useThree((state) => state.size.height)
+  const canvas = useThree((state) => state.gl.domElement)
+  const tip = useMemo(() => new THREE.Vector3(), [])
+  useMaterialOverride(scene, finishMaterial)
+  const groupRef = useRef()
+  const modelRef = useRef() // The model itself, without the pivot - what can hide a hotspot
+  const [showGyroButton, setShowGyroButton] = useState(false)
+  const [gyroError, setGyroError] = useState(null)
+
+  // Pivot placement - fitted to the model and viewport (see autoFraming.js): the chain hangs
+  // from ANCHOR_Y with the model extending CHAIN_LENGTH down from it
+  const layout = useChainLayout(scene, config)
+  const ANCHOR_Y = layout.anchorY
+  const CHAIN_LENGTH = layout.length // How far down the end of the chain hangs
+  const MODEL_SCALE = layout.modelScale
+  const BASE_SCALE = layout.baseScale
+  const restScale = [BASE_SCALE, BASE_SCALE, BASE_SCALE]
+  const physics = useMemo(() => ({ ...config.physics, chainLength: layout.chainLength }), [config.physics, layout.chainLength])
+  
+  // Resting pose (slight forward tilt for natural look) - the simulated swing is added on top
+  const originalRotation = config.chain.restRotation
+  
+  // The one physics state, and the controller that arbitrates who gets to push it
+  const physicsRef = useRef(createPendulumState())
+  const inputRef = useRef(null)
+  if (!inputRef.current) inputRef.current = createInputController()
+  const input = inputRef.current
+  const stepper = useMemo(() => createFixedStepper({ params: physics }), [physics])
+  const grabRef = useRef(null) // The grabbed point, in the model's space, from pointer down to release
+  const turnRef = useRef(null) // { from, start } while the pendant is being turned by hand
+  const dragEventRef = useRef(null) // { mode, start } between the dragStart and dragEnd events
+
+  // Spring tuning applies to sources set from now on - the controller itself lives on
+  React.useEffect(() => {
+    const { pointer, scripted, handoffTime } = config.input
+    input.configure({ springs: mergeSprings({ pointer, scripted }, handoffTime) })
+  }, [config.input, input])
+  
+  // Gyroscope state - the phone's tilt away from its neutral pose tilts gravity for the chain
+  const gyroConfigRef = useRef(config.gyro)
+  gyroConfigRef.current = config.gyro
+  const tiltFilterRef = useRef(null)
+  const neutralTiltRef = useRef(DEFAULT_NEUTRAL)
+  const calibrationRef = useRef(null) // { samples, start, resolve } while capturing the neutral pose
+
+  // Permission prompts (iOS 13+) must run inside the click that enabled the gyro
+  const requestSensorPermission = async (SensorEvent, name) => {
+    if (typeof SensorEvent === 'undefined' || typeof SensorEvent.requestPermission !== 'function') {
+      return 'granted';
+    }
+    addDebugMessage('📱 iOS 13+ - requesting ' + name + ' permission...');
+    const permission = await SensorEvent.requestPermission();
+    addDebugMessage('🔐 ' + name + ' permission result: ' + permission);
+    return permission;
+  };
+
+  // Gyroscope functions with error handling
+  const requestGyroPermission = async () => {
+    try {
+      addDebugMessage('🎬 ENABLE GYROSCOPE CALLED');
+      const hasOrientation = typeof window !== 'undefined' && !!window.DeviceOrientationEvent;
+      const hasMotion = typeof window !== 'undefined' && !!window.DeviceMotionEvent;
+
+      if (!hasOrientation && !hasMotion) {
+        addDebugMessage('❌ No sensor support found');
+        setGyroError('No orientation or motion support found');
+        events?.emit('gyroDenied', { reason: 'unsupported', message: 'No orientation or motion support found' });
+        return false;
+      }
+
+      const orientationPermission = hasOrientation ? await requestSensorPermission(window.DeviceOrientationEvent, 'orientation') : 'unsupported';
+      // Motion (accelerometer + rotation rate) is optional - the filter works from orientation alone
+      let motionPermission = 'unsupported';
+      if (hasMotion) {
+        try {
+          motionPermission = await requestSensorPermission(window.DeviceMotionEvent, 'motion');
+        } catch (error) {
+          addDebugMessage('⚠️ Motion permission request failed: ' + error.message);
+        }
+      }
+
+      if (orientationPermission !== 'granted' && motionPermission !== 'granted') {
+        addDebugMessage('❌ Permission denied: ' + orientationPermission);
+        setGyroError('Permission denied');
+        events?.emit('gyroDenied', { reason: 'denied', message: 'Permission denied' });
+        return false;
+      }
+
+      tiltFilterRef.current = createTiltFilter({ filter: gyroConfigRef.current.filter });
+      if (orientationPermission === 'granted') {
+        window.addEventListener('deviceorientation', handleDeviceOrientation);
+        addDebugMessage('👂 Orientation listener added');
+      }
+      if (motionPermission === 'granted') {
+        window.addEventListener('devicemotion', handleDeviceMotion);
+        addDebugMessage('👂 Motion listener added');
+      }
+
+      // Reset event counter for fresh logging
+      window.orientationEventCount = 0;
+      setGyroError(null);
+      setIsGyroActive(true);
+      addDebugMessage('✅ GYRO ACTIVE - ' + gyroConfigRef.current.filter + ' filter');
+      events?.emit('gyroEnabled', {
+        filter: gyroConfigRef.current.filter,
+        orientation: orientationPermission === 'granted',
+        motion: motionPermission === 'granted'
+      });
+      return true;
+    } catch (error) {
+      addDebugMessage('❌ Error enabling sensors: ' + error.message);
+      setGyroError('Failed to enable: ' + error.message);
+      events?.emit('gyroDenied', { reason: 'error', message: error.message });
+      return false;
+    }
+  };
+
+  // Every sensor event goes through the fusion filter, then becomes a gravity tilt for the physics
+  const handleSensorSample = React.useCallback((sample) => {
+    const filter = tiltFilterRef.current;
+    if (!filter) return;
+
+    const tilt = filter.update(sample);
+    if (!tilt) return;
+
+    const calibration = calibrationRef.current;
+    if (calibration) {
+      calibration.start = calibration.start ?? sample.t;
+      calibration.samples.push(tilt);
+      if (sample.t - calibration.start >= gyroConfigRef.current.calibrationTime * 1000) {
+        neutralTiltRef.current = averageTilt(calibration.samples);
+        calibrationRef.current = null;
+        calibration.resolve(true);
+      }
+    }
+
+    input.set('gyro', { tilt: gravityTilt(tilt, neutralTiltRef.current, gyroConfigRef.current) });
+  }, [input]);
+
+  const handleDeviceMotion = React.useCallback((event) => {
+    try {
+      const acceleration = event.accelerationIncludingGravity;
+      const rate = event.rotationRate;
+      handleSensorSample({
+        t: event.timeStamp,
+        acceleration: acceleration && acceleration.x !== null ? { x: acceleration.x, y: acceleration.y, z: acceleration.z } : undefined,
+        rotationRate: rate && rate.beta !== null ? { beta: rate.beta, gamma: rate.gamma } : undefined,
+      });
+    } catch (error) {
+      console.error('❌ Error handling motion:', error);
+    }
+  }, [handleSensorSample]);
+
+  const handleDeviceOrientation = React.useCallback((event) => {
+    try {
+      // STOP THE SPAM - only log first few events for debugging
+      const eventCount = (window.orientationEventCount || 0) + 1;
+      window.orientationEventCount = eventCount;
+      
+      if (eventCount <= 3 || eventCount % 120 === 0) {
+        addDebugMessage(`📱 GYRO #${eventCount}: β=${event.beta?.toFixed(1) ?? 'null'}° γ=${event.gamma?.toFixed(1) ?? 'null'}°`);
+      }
+      
+      // Desktop browsers fire a single event with null angles
+      if (event.beta === null || event.gamma === null) return;
+      handleSensorSample({ t: event.timeStamp, orientation: { beta: event.beta, gamma: event.gamma } });
+    } catch (error) {
+      addDebugMessage('❌ GYRO ERROR: ' + error.message);
+    }
+  }, [addDebugMessage, handleSensorSample]); // Stable, so the listeners can be removed again
+
+  // Capture the user's neutral holding pose: the tilt averaged over calibrationTime seconds.
+  // Resolves false if no sensor data arrives.
+  const calibrateGyro = () => new Promise((resolve) => {
+    calibrationRef.current?.resolve(false);
+    const calibration = { samples: [], start: null, resolve };
+    calibrationRef.current = calibration;
+    addDebugMessage('🎯 CALIBRATING - hold the phone in its neutral pose');
+
+    setTimeout(() => {
+      if (calibrationRef.current !== calibration) return;
+      calibrationRef.current = null;
+      addDebugMessage('⚠️ CALIBRATION TIMED OUT - no sensor data');
+      resolve(false);
+    }, (gyroConfigRef.current.calibrationTime + 2) * 1000);
+  });
+
+  // Treat however the phone is held right now as neutral
+  const recenterGyro = () => {
+    const tilt = tiltFilterRef.current?.tilt;
+    if (!tilt) return false;
+    neutralTiltRef.current = tilt;
+    addDebugMessage(`🎯 RECENTERED: pitch=${(tilt.pitch * 180 / Math.PI).toFixed(1)}° roll=${(tilt.roll * 180 / Math.PI).toFixed(1)}°`);
+    return true;
+  };
+
+  const disableGyroscope = () => {
+    try {
+      addDebugMessage('🛑 DISABLING GYROSCOPE');
+      setIsGyroActive(false);
+      setGyroError(null);
+      
+      if (typeof window !== 'undefined') {
+        window.removeEventListener('deviceorientation', handleDeviceOrientation);
+        window.removeEventListener('devicemotion', handleDeviceMotion);
+      }
+      calibrationRef.current?.resolve(false);
+      calibrationRef.current = null;
+      tiltFilterRef.current = null;
+      
+      // Gravity points straight down again - the chain swings back to rest on its own
+      input.release('gyro');
+    } catch (error) {
+      console.error('Error disabling gyroscope:', error);
+    }
+  };
+
+  // Check if device orientation is supported on mount
+  React.useEffect(() => {
+    try {
+      if (typeof window !== 'undefined' && window.DeviceOrientationEvent && isMobileDevice()) {
+        addDebugMessage('📱 Mobile device detected, showing gyro button');
+        setShowGyroButton(true);
+      }
+    } catch (error) {
+      console.error('Error checking device capabilities:', error);
+    }
+    
+    return () => {
+      try {
+        if (typeof window !== 'undefined') {
+          window.removeEventListener('deviceorientation', handleDeviceOrientation);
+          window.removeEventListener('devicemotion', handleDeviceMotion);
+        }
+      } catch (error) {
+        console.error('Error cleaning up event listeners:', error);
+      }
+    };
+  }, []);
+
+
+  // Idle motion: a gentle swing on mount - the idle source's soft spring draws the chain slightly
+  // off-center for a moment while a small push sets it going. It has the lowest priority, so a
+  // grab or tilt that arrives meanwhile takes over with the usual handoff.
+  // Left out when the visitor prefers reduced motion.
+  React.useEffect(() => {
+    if (!idleSwing) return;
+    addDebugMessage('🎬 STARTING INITIAL SWING ANIMATION');
+    input.set('idle', { target: { x: -0.05, y: 0.05 }, duration: 1 });
+    input.impulse({ x: -0.4, y: 0.6 }, 'idle');
+  }, []);
+
+  // Bring the chain to rest: a short, heavily damped scripted pull back to the resting pose
+  const stopSwinging = () => {
+    input.set('scripted', { target: { x: 0, y: 0 }, stiffness: 20, damping: 14, duration: 0.8 })
+  }
+
+  // Start a free swing from a pose (relative to rest), optionally with a new velocity. The
+  // pendant keeps its twist unless given one ({ angle, velocity }). Goes through the input
+  // controller as a reset, so a session recording replays it.
+  const startSwingAnimation = (startRotationX, startRotationY, initialVelocity = null, twist = physicsRef.current.twist) => {
+    input.reset({
+      rotationX: startRotationX,
+      rotationY: startRotationY,
+      velocity: { ...(initialVelocity || physicsRef.current.velocity) },
+      twist: twist?.angle || 0,
+      twistVelocity: twist?.velocity || 0
+    })
+    frozenRef.current = false
+  }
+
+  // Inspect mode pauses the pendulum: the chain eases back to rest and then stops simulating until
+  // the mode is left. Gestures are switched off meanwhile, so drags only reach the orbit controls.
+  const pausedRef = useRef(paused)
+  const frozenRef = useRef(false)
+  React.useEffect(() => {
+    pausedRef.current = paused
+    frozenRef.current = false
+    if (paused) {
+      grabRef.current = null
+      turnRef.current = null
+      input.release('pointer')
+      input.release('keyboard')
+      input.set('scripted', { target: { x: 0, y: 0 }, stiffness: 20, damping: 14, duration: Infinity })
+    } else if (input.isActive('scripted')) {
+      input.release('scripted')
+    }
+  }, [paused, input])
+
+  // Whether the chain hangs still, reported to the viewer whenever it changes. While it does the
+  // canvas may only render on demand (quality.pauseAtRest), so any input has to wake it up.
+  const restingRef = useRef(null)
+  const invalidateFrame = useThree((state) => state.invalidate)
+  React.useEffect(() => input.subscribe(() => invalidateFrame()), [input, invalidateFrame])
+  const driveRef = useRef(null) // Last frame's input - where the chain is held, for isSettled
+
+  // Session recording and playback (dev tools) - see sessionRecorder.js
+  const recorderRef = useRef(null)
+  const playbackRef = useRef(null) // { player, resolve, live, recorded }
+
+  const startRecording = (meta = {}) => {
+    recorderRef.current?.stop()
+    stepper.reset() // Start from an empty accumulator so a replay lines up step for step
+    recorderRef.current = createRecorder({ input, initialState: physicsRef.current, params: physics, meta })
+    addDebugMessage('⏺️ RECORDING STARTED')
+  }
+
+  const stopRecording = () => {
+    const recorder = recorderRef.current
+    recorderRef.current = null
+    if (!recorder) return null
+    addDebugMessage(`⏹️ RECORDING STOPPED: ${recorder.frameCount} frames, ${recorder.duration.toFixed(1)}s`)
+    return recorder.stop()
+  }
+
+  // Play a recording on screen with the current physics params. Live input is ignored until it
+  // ends; resolves with how far the replay strayed from the recorded trajectory.
+  const playRecording = (recording) => new Promise((resolve) => {
+    playbackRef.current?.resolve(null)
+    stopRecording()
+    input.releaseAll()
+    physicsRef.current = { ...createPendulumState(), ...JSON.parse(JSON.stringify(recording.initialState)) } // Older recordings have no twist
+    playbackRef.current = {
+      player: createPlayer(recording, { params: physics, springs: input.springs }),
+      resolve,
+      replayed: [],
+      recorded: []
+    }
+    addDebugMessage(`▶️ REPLAYING ${recording.frames.length} frames`)
+    invalidateFrame()
+  })
+
+  const finishPlayback = () => {
+    const playback = playbackRef.current
+    playbackRef.current = null
+    input.releaseAll()
+    input.update(0) // Drop anything queued while the replay had control
+    stepper.reset()
+    const comparison = compareTrajectories(playback.replayed, playback.recorded)
+    addDebugMessage(`⏹️ REPLAY DONE - max deviation ${comparison.maxDeviation.toFixed(4)} rad`)
+    playback.resolve(comparison)
+  }
+
+  // Advance the physics with this frame's input and write the pose to the scene. Runs ahead of
+  // the default priority, so anything anchored to the chain (hotspot cards) sees this frame's pose.
+  useFrame((_, frameDelta) => {
+    // After an on-demand pause the clock's delta spans the whole pause - don't simulate it
+    const delta = restingRef.current ? Math.min(frameDelta, 1 / 60) : frameDelta
+    let result
+    const playback = playbackRef.current
+    if (playback) {
+      result = playback.player.next()
+      if (!result) {
+        finishPlayback()
+        return
+      }
+      playback.replayed.push(result.state)
+      playback.recorded.push(result.recorded)
+    } else if (frozenRef.current) {
+      return
+    } else {
+      result = advanceWithInput(physicsRef.current, input, stepper, delta)
+      driveRef.current = result.drive
+      recorderRef.current?.frame(delta, result.state)
+      if (pausedRef.current && isSettled(result.state, restPose(result.drive))) frozenRef.current = true
+    }
+
+    const state = result.state
+    physicsRef.current = state
+    sound?.current?.update(state, delta) // Clinks, rattle and creak - see chainAudio.js
+
+    const resting = (Boolean(result.sleeping) || frozenRef.current) && !playbackRef.current
+    if (resting !== restingRef.current) {
+      restingRef.current = resting
+      onRestChange?.(resting)
+    }
+
+    // Nothing pushing and nothing moving - the pose hasn't changed
+    if (result.sleeping) return
+
+    if (groupRef.current) {
+      groupRef.current.rotation.set(
+        originalRotation[0] + state.rotation.x,
+        originalRotation[1] + state.rotation.y,
+        originalRotation[2]
+      )
+      groupRef.current.scale.setScalar(calculateScale(state.rotation.x, state.rotation.y, BASE_SCALE))
+      // The twist turns the model about the chain, below the pivot
+      if (modelRef.current) modelRef.current.rotation.y = state.twist?.angle || 0
+
+      // The swing disturbs the background fluid around the end of the chain
+      if (bus) {
+        groupRef.current.updateWorldMatrix(true, false)
+        tip.set(0, -CHAIN_LENGTH, 0)
+        groupRef.current.localToWorld(tip).project(camera)
+        bus.emit('chain', {
+          x: tip.x * 0.5 + 0.5,
+          y: tip.y * 0.5 + 0.5,
+          speed: Math.sqrt(state.velocity.x * state.velocity.x + state.velocity.y * state.velocity.y),
+        })
+      }
+    }
+  }, -1)
+
+  // Grabbing and striking - see chainGrab.js. The chain is moved by whatever point the pointer
+  // hit: a drag keeps that point under the pointer, a click pushes it the way the click travels.
+  const grabScratch = useMemo(() => ({
+    matrix: new THREE.Matrix4(),
+    euler: new THREE.Euler(),
+    quaternion: new THREE.Quaternion(),
+    scale: new THREE.Vector3(),
+    point: new THREE.Vector3(),
+    ndc: new THREE.Vector2(),
+    raycaster: new THREE.Raycaster(),
+  }), [])
+
+  // Where a point of the chain (in the model's space) is in the world for a pendulum pose. The
+  // model keeps its current twist.
+  const pointAtPose = (local) => (pose) => {
+    const group = groupRef.current
+    const model = modelRef.current
+    const { matrix, euler, quaternion, scale, point } = grabScratch
+    euler.set(originalRotation[0] + pose.x, originalRotation[1] + pose.y, originalRotation[2])
+    matrix.compose(group.position, quaternion.setFromEuler(euler), scale.setScalar(calculateScale(pose.x, pose.y, BASE_SCALE)))
+    if (group.parent) matrix.premultiply(group.parent.matrixWorld)
+    model.updateMatrix()
+    matrix.multiply(model.matrix)
+    return point.copy(local).applyMatrix4(matrix).toArray()
+  }
+
+  // The line the model twists about, in world space: straight down the pivot group from the pivot
+  const twistAxis = () => {
+    const group = groupRef.current
+    group.updateWorldMatrix(true, false)
+    return {
+      origin: grabScratch.point.setFromMatrixPosition(group.matrixWorld).toArray(),
+      direction: grabScratch.point.setFromMatrixColumn(group.matrixWorld, 1).normalize().toArray()
+    }
+  }
+
+  // The camera ray through a point of the page
+  const pointerRay = (clientX, clientY) => {
+    const { ndc, raycaster } = grabScratch
+    const rect = canvas.getBoundingClientRect()
+    ndc.set((clientX - rect.left) / rect.width * 2 - 1, -(clientY - rect.top) / rect.height * 2 + 1)
+    raycaster.setFromCamera(ndc, camera)
+    return { origin: raycaster.ray.origin.toArray(), direction: raycaster.ray.direction.toArray() }
+  }
+
+  const bind = useGesture({
+    // R3F hands over the hit point - remember it relative to the chain, so it moves with the chain
+    onPointerDown: ({ event }) => {
+      grabRef.current = event.point && modelRef.current ? modelRef.current.worldToLocal(event.point.clone()) : null
+    },
+
+    onClick: ({ event }) => {
+      bus?.emit('shock', { x: bus.pointer.x, y: bus.pointer.y, strength: 1 })
+
+      // A click on a swinging chain stops it; on a still chain it knocks the struck point along
+      // the click's ray, so the end swings furthest and an off-centre hit twists it
+      if (!isSettled(physicsRef.current, restPose(driveRef.current))) {
+        stopSwinging()
+        sound?.current?.strike(0.3)
+        events?.emit('chainClicked', { action: 'stop', impulse: null })
+      } else if (event.point && modelRef.current) {
+        const local = modelRef.current.worldToLocal(event.point.clone())
+        const impulse = strikeImpulse(pointAtPose(local), physicsRef.current.rotation, event.ray.direction.toArray(), {
+          length: CHAIN_LENGTH * BASE_SCALE,
+          axis: twistAxis(),
+          radius: layout.radius * BASE_SCALE
+        })
+        input.impulse(impulse)
+        sound?.current?.strike(strikeLevel(impulse))
+        events?.emit('chainClicked', { action: 'strike', impulse })
+      }
+    },
+    
+    onDrag: ({ xy: [clientX, clientY], movement: [movementX], velocity: [velocityX, velocityY], direction: [directionX, directionY], first, last, shiftKey }) => {
+      const local = grabRef.current
+      if (!local || !groupRef.current) return
+
+      // Shift-drag turns the pendant about the chain instead of swinging it
+      if (first && shiftKey) turnRef.current = { from: physicsRef.current.twist.angle, start: 0 }
+      if (first) startDragEvent(turnRef.current ? 'turn' : 'swing', clientX, clientY)
+      if (turnRef.current) {
+        if (last) {
+          releaseTurn(velocityX * directionX * 1000 * TWIST_PER_PIXEL) // Gesture velocity is in px/ms
+          grabRef.current = null
+        } else {
+          turnTo(movementX * TWIST_PER_PIXEL)
+        }
+        return
+      }
+
+      // Keep the grabbed point under the pointer, starting the search from the current pose
+      const pointAt = pointAtPose(local)
+      const pose = solveGrabPose(pointAt, pointerRay(clientX, clientY), physicsRef.current.rotation)
+
+      if (last) {
+        // Let go - the chain leaves the hand as fast as the pointer was moving: the pose the
+        // pointer would reach a moment later gives the angular velocity to release with
+        input.release('pointer')
+        grabRef.current = null
+        const aheadX = clientX + velocityX * directionX * FLICK_LOOKAHEAD * 1000 // Gesture velocity is in px/ms
+        const aheadY = clientY + velocityY * directionY * FLICK_LOOKAHEAD * 1000
+        const rate = poseRate(pose, solveGrabPose(pointAt, pointerRay(aheadX, aheadY), pose), FLICK_LOOKAHEAD)
+        const { velocity } = physicsRef.current // velocity.x drives rotation.y - see pendulumPhysics.js
+        input.impulse({ x: rate.x - velocity.y, y: rate.y - velocity.x })
+        endDragEvent(rate, 0)
+
+        // The bus works in screen heights per second
+        const flickSpeed = Math.sqrt(velocityX * velocityX + velocityY * velocityY) * 1000 / viewHeight
+        if (bus && flickSpeed > 0) {
+          bus.emit('flick', { x: bus.pointer.x, y: bus.pointer.y, speed: flickSpeed })
+        }
+      } else {
+        input.set('pointer', { target: pose })
+      }
+    },
+  }, {
+    enabled: !paused,
+    drag: {
+      threshold: 2,
+      filterTaps: true,
+      delay: false,
+    }
+  })
+
+  // Turning by hand holds the pendant at an angle on the pointer's spring; letting go leaves it
+  // spinning as fast as the hand was turning (rad/s), and its own spring unwinds it from there
+  const turnTo = (angle) => {
+    input.set('pointer', { twist: turnRef.current.from + angle })
+  }
+
+  const releaseTurn = (rate) => {
+    turnRef.current = null
+    input.release('pointer')
+    input.impulse({ twist: clampTwistRate(rate) - physicsRef.current.twist.velocity })
+    endDragEvent({ x: 0, y: 0 }, clampTwistRate(rate))
+  }
+
+  // dragStart / dragEnd for the host page - see viewerEvents.js. Release speeds are rad/s.
+  const startDragEvent = (mode, x, y) => {
+    dragEventRef.current = { mode, start: performance.now() }
+    events?.emit('dragStart', { mode, x, y })
+  }
+
+  const endDragEvent = (velocity, twistVelocity) => {
+    const drag = dragEventRef.current
+    if (!drag) return
+    dragEventRef.current = null
+    events?.emit('dragEnd', { mode: drag.mode, velocity, twistVelocity, duration: (performance.now() - drag.start) / 1000 })
+  }
+
+  // Two-finger rotate (and Safari trackpad rotate) anywhere over the chain's canvas. Pinch
+  // gestures start with a finger already down, so any chain drag it began is dropped.
+  useGesture({
+    onPinch: ({ origin: [originX, originY], offset: [, angle], velocity: [, angleVelocity], direction: [, angleDirection], first, last }) => {
+      if (first) {
+        grabRef.current = null
+        input.release('pointer')
+        endDragEvent({ x: 0, y: 0 }, 0) // The first finger's drag, if it had begun one
+        turnRef.current = { from: physicsRef.current.twist.angle, start: angle }
+        startDragEvent('turn', originX, originY)
+      }
+      if (!turnRef.current) return
+      if (last) {
+        releaseTurn(angleVelocity * angleDirection * 1000 * Math.PI / 180) // deg/ms
+      } else {
+        turnTo((angle - turnRef.current.start) * Math.PI / 180)
+      }
+    },
+  }, {
+    target: canvas,
+    enabled: !paused,
+  })
+
+  // What inspect mode looks at: the end of the chain, and the chain's extent to keep pans inside.
+  // Both are taken at the resting pose, which is where the chain is headed once the mode starts.
+  const getInspectTarget = () => {
+    const group = groupRef.current
+    if (!group) return null
+    const rotation = group.rotation.clone()
+    const scale = group.scale.clone()
+    group.rotation.set(originalRotation[0], originalRotation[1], originalRotation[2])
+    group.scale.setScalar(BASE_SCALE)
+    group.updateWorldMatrix(true, true)
+    const target = {
+      focus: group.localToWorld(new THREE.Vector3(0, -CHAIN_LENGTH, 0)),
+      bounds: new THREE.Box3().setFromObject(group),
+    }
+    group.rotation.copy(rotation)
+    group.scale.copy(scale)
+    group.updateWorldMatrix(false, true)
+    return target
+  }
+
+  // Expose methods via ref
+  React.useImperativeHandle(ref, () => ({
+    requestGyroPermission,
+    disableGyroscope,
+    calibrateGyro,
+    recenterGyro,
+    startSwingAnimation,
+    stopSwinging,
+    input, // Input controller - scripted moves go through input.set('scripted', ...)
+    startRecording,
+    stopRecording,
+    playRecording,
+    groupRef,
+    getInspectTarget,
+    isSwinging: () => !isSettled(physicsRef.current, restPose(driveRef.current)),
+    getPose: () => ({ rotation: { ...physicsRef.current.rotation }, velocity: { ...physicsRef.current.velocity }, twist: { ...physicsRef.current.twist } }),
+  }));
+
+  return (
+    <group 
+      ref={groupRef}
+      position={[0, ANCHOR_Y, 0]} // Fixed position at top of viewport
+      rotation={originalRotation}
+      scale={restScale}
+      {...bind()}
+    >
+      {/* Chain model hanging from its attachment point at the pivot, turned about it by the
+          twist. The BVH keeps pointer and hotspot occlusion raycasts against the dense mesh cheap. */}
+      <Bvh ref={modelRef} firstHitOnly>
+        <group position={layout.modelOffset} scale={[MODEL_SCALE, MODEL_SCALE, MODEL_SCALE]}>
+          <primitive object={scene} />
+          <HotspotCards hotspots={hotspots} root={scene} occluders={[modelRef]} addDebugMessage={addDebugMessage} />
+        </group>
+      </Bvh>
+    </group>
+  );
+});
+
+// Add display name for forwardRef
+InteractiveChain.displayName = 'InteractiveChain';
+
+const gyroSecondaryButtonStyle = {
+  flex: 1,
+  padding: '8px 6px',
+  backgroundColor: 'rgba(255, 255, 255, 0.9)',
+  border: '2px solid #333',
+  borderRadius: '6px',
+  cursor: 'pointer',
+  fontSize: '12px',
+  fontWeight: '600',
+  color: '#333'
+};
+
+// Gyroscope Control Component (separate for better error isolation)
+function GyroControls({ 
+  showButton, 
+  isActive, 
+  calibrating,
+  error, 
+  onEnable, 
+  onDisable,
+  onCalibrate,
+  onRecenter
+}) {
+  if (!showButton) return null;
+
+  return (
+    <div style={{
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '10px',
+      maxWidth: '160px'
+    }}>
+      {!isActive ? (
+        <button
+          onClick={onEnable}
+          style={{
+            padding: '12px 16px',
+            backgroundColor: 'rgba(255, 255, 255, 0.9)',
+            border: '2px solid #333',
+            borderRadius: '8px',
+            cursor: 'pointer',
+            fontSize: '14px',
+            fontWeight: '600',
+            color: '#333',
+            boxShadow: '0 2px 10px rgba(0,0,0,0.2)',
+            transition: 'all 0.2s ease'
+          }}
+        >
+          🔄 Enable Gyro
+        </button>
+      ) : (
+        <button
+          onClick={onDisable}
+          style={{
+            padding: '12px 16px',
+            backgroundColor: 'rgba(255, 100, 100, 0.9)',
+            border: '2px solid #cc0000',
+            borderRadius: '8px',
+            cursor: 'pointer',
+            fontSize: '14px',
+            fontWeight: '600',
+            color: 'white',
+            boxShadow: '0 2px 10px rgba(0,0,0,0.2)',
+            transition: 'all 0.2s ease'
+          }}
+        >
+          🛑 Disable Gyro
+        </button>
+      )}
+      
+      {isActive && (
+        <div style={{
+          padding: '8px 12px',
+          backgroundColor: 'rgba(100, 255, 100, 0.9)',
+          border: '2px solid #00cc00',
+          borderRadius: '6px',
+          fontSize: '12px',
+          color: '#006600',
+          textAlign: 'center',
+          fontWeight: '600'
+        }}>
+          {calibrating ? 'Hold your phone still…' : 'Gyro Active'}
+        </div>
+      )}
+
+      {isActive && !calibrating && (
+        <div style={{ display: 'flex', gap: '6px' }}>
+          <button onClick={onCalibrate} style={gyroSecondaryButtonStyle}>
+            🎯 Calibrate
+          </button>
+          <button onClick={onRecenter} style={gyroSecondaryButtonStyle}>
+            ⊙ Recenter
+          </button>
+        </div>
+      )}
+      
+      {error && (
+        <div style={{
+          padding: '8px 12px',
+          backgroundColor: 'rgba(255, 200, 200, 0.9)',
+          border: '2px solid #cc0000',
+          borderRadius: '6px',
+          fontSize: '11px',
+          color: '#cc0000',
+          textAlign: 'center',
+          fontWeight: '600',
+          wordWrap: 'break-word'
+        }}>
+          Error: {error}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Shares a link to the current scene - the native share sheet where there is one, otherwise
+// the clipboard. `getLink` builds the link at click time, so it has the chain's current pose.
+function ShareButton({ getLink, addDebugMessage, announce }) {
+  const [copied, setCopied] = useState(false);
+  const canShare = typeof navigator !== 'undefined' && typeof navigator.share === 'function';
+
+  React.useEffect(() => {
+    if (!copied) return;
+    const timer = setTimeout(() => setCopied(false), 2000);
+    return () => clearTimeout(timer);
+  }, [copied]);
+
+  const handleClick = async () => {
+    const url = getLink();
+    try {
+      if (canShare) {
+        await navigator.share({ title: document.title, url });
+      } else {
+        await navigator.clipboard.writeText(url);
+        setCopied(true);
+        announce('Link copied to the clipboard');
+      }
+      addDebugMessage('🔗 SHARED: ' + url);
+    } catch (error) {
+      if (error.name === 'AbortError') return; // Share sheet dismissed
+      // No clipboard access (insecure origin, permissions) - let the visitor copy it by hand
+      window.prompt('Copy this link:', url);
+    }
+  };
+
+  return (
+    <button
+      onClick={handleClick}
+      style={{
+        padding: '12px 16px',
+        backgroundColor: 'rgba(255, 255, 255, 0.9)',
+        border: '2px solid #333',
+        borderRadius: '8px',
+        cursor: 'pointer',
+        fontSize: '14px',
+        fontWeight: '600',
+        color: '#333',
+        boxShadow: '0 2px 10px rgba(0,0,0,0.2)',
+        whiteSpace: 'nowrap'
+      }}
+    >
+      {copied ? '✅ Link copied' : canShare ? '📤 Share' : '🔗 Copy link'}
+    </button>
+  );
+}
+
+const bottomButtonStyle = {
+  padding: '12px 16px',
+  backgroundColor: 'rgba(255, 255, 255, 0.9)',
+  border: '2px solid #333',
+  borderRadius: '8px',
+  cursor: 'pointer',
+  fontSize: '14px',
+  fontWeight: '600',
+  color: '#333'
+};
+
+// Toggle between the single-pivot pendulum and the rigid-body link simulation
+function PhysicsModeToggle({ mode, onChange }) {
+  const isRigid = mode === 'rigid';
+
+  return (
+    <button
+      onClick={() => onChange(isRigid ? 'pendulum' : 'rigid')}
+      style={bottomButtonStyle}
+    >
+      {isRigid ? '🎯 Pendulum Physics' : '⛓️ Rigid Link Physics'}
+    </button>
+  );
+}
+
+// Mute and unmute the chain's sound
+function SoundToggle({ muted, onChange }) {
+  return (
+    <button
+      onClick={() => onChange(!muted)}
+      aria-pressed={muted}
+      aria-label="Mute sound"
+      style={bottomButtonStyle}
+    >
+      {muted ? '🔇' : '🔊'}
+    </button>
+  );
+}
+
+// Switch between swinging the chain and orbiting the camera around it for a closer look
+function InspectToggle({ inspecting, onChange }) {
+  return (
+    <button
+      onClick={() => onChange(!inspecting)}
+      aria-pressed={inspecting}
+      style={bottomButtonStyle}
+    >
+      {inspecting ? '↩️ Back to Swing' : '🔍 Inspect'}
+    </button>
+  );
+}
+
+// Reusable chain viewer - fills its container. `config` is a partial ChainViewerConfig
+// (see chainConfig.js); anything left out falls back to the defaults.
+function ChainViewer({ config: configOverrides, className, style, events: hostEvents, onEvent, analytics }) {
+  const { config: baseConfig, errors: configErrors } = useMemo(() => resolveConfig(configOverrides), [configOverrides]);
+  
+  React.useEffect(() => {
+    configErrors.forEach((error) => console.warn('ChainViewer config: ' + error));
+  }, [configErrors]);
+
+  // Events for the host page - see viewerEvents.js. The host can pass its own emitter, a single
+  // onEvent(name, payload) callback, and analytics sinks (see analytics.js).
+  const [ownEvents] = useState(() => createViewerEvents());
+  const events = hostEvents || ownEvents;
+  const onEventRef = useRef(onEvent);
+  onEventRef.current = onEvent;
+
+  React.useEffect(() => events.onAny((name, payload) => onEventRef.current?.(name, payload)), [events]);
+
+  React.useEffect(() => {
+    if (!analytics?.length) return undefined;
+    return connectAnalytics(events, analytics);
+  }, [events, analytics]);
+
+  // Scene state from a shared link (see sceneState.js), read once when the viewer opens
+  const [sharedState] = useState(() => (
+    baseConfig.share.restoreFromHash ? decodeSceneState(window.location.hash, { maxTwist: baseConfig.physics.maxTwist }) : null
+  ));
+
+  // Live edits from the dev tuning panel, layered over the configured values.
+  // A shared link's theme, brand colours and camera start out as edits, so Reset goes back to the config.
+  const [tuning, setTuning] = useState(() => sceneStateOverrides(sharedState));
+  const { config } = useMemo(() => resolveConfig(mergeOverrides(configOverrides, tuning)), [configOverrides, tuning]);
+
+  const [gyroState, setGyroState] = useState({
+    showButton: false,
+    isActive: false,
+    calibrating: false,
+    error: null
+  });
+  
+  const [debugMessages, setDebugMessages] = useState([]);
+  const [isGyroActive, setIsGyroActiveRaw] = useState(false); // Move here!
+  const [physicsMode, setPhysicsMode] = useState(config.physicsMode); // 'pendulum' | 'rigid'
+  const [inspecting, setInspecting] = useState(false); // Inspect mode - see InspectControls.jsx
+
+  // Chain finish - a finish shared in the URL wins over the configured one
+  const [finishSelection, setFinishSelection] = useState(() => (
+    sharedState?.finish || (config.material.syncUrl && finishFromSearch(window.location.search)) || { finish: config.material.finish }
+  ));
+  const baseFinishMaterial = useMemo(() => createFinishMaterial(), []);
+  const finishMaterial = useMemo(() => {
+    const values = resolveFinish(finishSelection);
+    return values ? applyFinish(baseFinishMaterial, values) : null;
+  }, [baseFinishMaterial, finishSelection]);
+
+  React.useEffect(() => () => baseFinishMaterial.dispose(), [baseFinishMaterial]);
+
+  // The finish is applied to the material in place, which the canvas can't see by itself
+  React.useEffect(() => {
+    invalidate();
+  }, [finishMaterial, finishSelection]);
+
+  React.useEffect(() => {
+    if (!config.material.syncUrl) return;
+    const search = finishToSearch(finishSelection, window.location.search);
+    if (search !== window.location.search) {
+      window.history.replaceState(window.history.state, '', window.location.pathname + search + window.location.hash);
+    }
+  }, [finishSelection, config.material.syncUrl]);
+
+  // Add debug message function (must be before setIsGyroActive wrapper).
+  // Only ?devTools echoes them to the console; production stays quiet.
+  const addDebugMessage = React.useCallback((message) => {
+    const timestamp = new Date().toLocaleTimeString();
+    setDebugMessages(prev => [...prev.slice(-99), `${timestamp}: ${message}`]); // Keep last 100 messages
+    if (config.devTools) console.log(message);
+  }, [config.devTools]);
+  
+  // Wrapped setter with debugging (ref is now in InteractiveChain component)
+  const setIsGyroActive = (value) => {
+    const stackTrace = new Error().stack?.split('\n')[2] || 'unknown';
+    addDebugMessage(`🔄 GYRO STATE CHANGE: ${isGyroActive} → ${value} from ${stackTrace}`);
+    setIsGyroActiveRaw(value);
+  };
+
+  const handleTune = React.useCallback((path, value) => {
+    setTuning((previous) => setConfigValue(previous, path, value, config));
+  }, [config]);
+
+  // The preset holds only what differs from the defaults, ready for ?config= (minus the dev flag itself)
+  const handleExportPreset = React.useCallback(() => {
+    const { devTools, ...preset } = configDiff(config);
+    downloadJSON(preset, 'chain-preset.json');
+    addDebugMessage('💾 PRESET EXPORTED');
+  }, [config, addDebugMessage]);
+
+  // Adaptive quality - see qualityGovernor.js. Hidden tabs render nothing; while the chain hangs
+  // still the canvas only renders on demand - when input, a ripple or a theme change asks for a
+  // frame. Inspect mode always renders, for the orbit controls.
+  const pageVisible = usePageVisible();
+  const [chainResting, setChainResting] = useState(false);
+  const [capturing, setCapturing] = useState(false); // Captures drive the render loop themselves
+  const renderPaused = config.quality.pauseWhenHidden && !pageVisible;
+  const renderOnDemand = config.quality.pauseAtRest && physicsMode === 'pendulum' && chainResting && !inspecting;
+  const handleQualityChange = React.useCallback((level) => {
+    addDebugMessage('⚙️ QUALITY: ' + level.name);
+    events.emit('qualityChanged', { level: level.name, dpr: level.dpr });
+  }, [addDebugMessage, events]);
+  const quality = useQualityGovernor({
+    mode: capturing ? 'high' : config.quality.level,
+    targetFps: config.quality.targetFps,
+    paused: renderPaused || capturing || renderOnDemand, // Idle frames say nothing about the render cost
+    onChange: handleQualityChange
+  });
+
+  // Batched analytics go out before the page might be closed
+  React.useEffect(() => {
+    if (!pageVisible && analytics?.length) flushAnalytics(analytics);
+  }, [pageVisible, analytics]);
+
+  // swingStart / swingSettled follow the chain in and out of rest
+  const swingStartRef = useRef(null);
+  const handleRestChange = React.useCallback((resting) => {
+    setChainResting(resting);
+    if (!resting) {
+      swingStartRef.current = performance.now();
+      events.emit('swingStart');
+    } else if (swingStartRef.current !== null) {
+      events.emit('swingSettled', { duration: (performance.now() - swingStartRef.current) / 1000 });
+      swingStartRef.current = null;
+    }
+  }, [events]);
+
+  // Chain sound - see chainAudio.js. Silent in hidden tabs and while a capture fast-forwards the swing.
+  const chainAudio = useChainAudio(config.audio, pageVisible && !capturing);
+
+  // Reduced motion - no idle swing, a slow background without ripples, instant theme changes
+  const prefersReducedMotion = usePrefersReducedMotion();
+  const reducedMotion = isReducedMotion(config.accessibility.reducedMotion, prefersReducedMotion);
+  const background = useMemo(() => (
+    reducedMotion ? reduceBackgroundMotion(config.background) : config.background
+  ), [reducedMotion, config.background]);
+
+  // Background theme - changes blend over background.transitionTime, lights included
+  const resolvedTheme = useMemo(() => resolveTheme(config.background), [config.background]);
+  const [themeTransition] = useState(() => createThemeTransition(resolvedTheme));
+  React.useEffect(() => {
+    themeTransition.to(resolvedTheme, background.transitionTime);
+    invalidate();
+  }, [themeTransition, resolvedTheme, background.transitionTime]);
+
+  // Pointer and chain events shared between the chain and the background - see interactionBus.js
+  const [interactionBus] = useState(createInteractionBus);
+
+  // Gyroscope handlers
+  const chainRef = useRef();
+  const testMoveRef = useRef(0); // Cycles the test button through its poses in a fixed order
+
+  const handleEnableGyro = async () => {
+    try {
+      if (chainRef.current && chainRef.current.requestGyroPermission) {
+        const success = await chainRef.current.requestGyroPermission();
+        if (success) {
+          setGyroState(prev => ({ ...prev, isActive: true, error: null }));
+          // Start from however the phone is being held, not an assumed upright pose
+          handleCalibrateGyro();
+        } else {
+          setGyroState(prev => ({ ...prev, error: 'Could not enable motion sensors' }));
+        }
+      }
+    } catch (error) {
+      console.error('Error enabling gyro:', error);
+      setGyroState(prev => ({ ...prev, error: error.message }));
+    }
+  };
+
+  const handleCalibrateGyro = async () => {
+    if (!chainRef.current || !chainRef.current.calibrateGyro) return;
+    setGyroState(prev => ({ ...prev, calibrating: true }));
+    const calibrated = await chainRef.current.calibrateGyro();
+    setGyroState(prev => ({ ...prev, calibrating: false, error: calibrated ? null : prev.error }));
+  };
+
+  const handleRecenterGyro = () => {
+    chainRef.current?.recenterGyro?.();
+  };
+
+  const handlePhysicsModeChange = (mode) => {
+    // The rigid chain has no gyro support - hand control back to the pendulum cleanly
+    if (mode === 'rigid' && isGyroActive) {
+      handleDisableGyro();
+    }
+    // Inspect mode pauses the pendulum; the rigid chain has nothing to pause
+    if (mode === 'rigid') setInspecting(false);
+    addDebugMessage('⛓️ PHYSICS MODE: ' + mode);
+    setPhysicsMode(mode);
+  };
+
+  const handleDisableGyro = () => {
+    try {
+      if (chainRef.current && chainRef.current.disableGyroscope) {
+        chainRef.current.disableGyroscope();
+        setGyroState(prev => ({ ...prev, isActive: false, calibrating: false, error: null }));
+      }
+    } catch (error) {
+      console.error('Error disabling gyro:', error);
+    }
+  };
+
+  // Model loading - candidates come from the config and the version manifest, in order.
+  // status: 'resolving' -> 'loading' -> 'ready', or 'error' once every candidate has failed
+  const [modelState, setModelState] = useState({
+    status: 'resolving',
+    candidates: [],
+    index: 0,
+    manifest: null,
+    loaded: 0,
+    total: 0,
+    error: null,
+    attempt: 0
+  });
+  const [modelReloadCount, setModelReloadCount] = useState(0);
+
+  // Level of detail for manifest models. In auto mode it follows the device and viewport, but
+  // only ever upgrades - once a richer mesh is downloaded there's no point swapping it back.
+  const [deviceTier, setDeviceTier] = useState(() => detectDeviceTier());
+  const lod = config.lod === 'auto' ? deviceTier : config.lod;
+
+  React.useEffect(() => {
+    if (config.lod !== 'auto') return;
+
+    let resizeTimer = null;
+    const handleResize = () => {
+      clearTimeout(resizeTimer);
+      resizeTimer = setTimeout(() => {
+        const tier = detectDeviceTier();
+        setDeviceTier(current => (isHigherTier(tier, current) ? tier : current));
+      }, 500);
+    };
+
+    window.addEventListener('resize', handleResize);
+    return () => {
+      clearTimeout(resizeTimer);
+      window.removeEventListener('resize', handleResize);
+    };
+  }, [config.lod]);
+  const modelUrl = modelState.status === 'error' ? null : modelState.candidates[modelState.index];
+
+  // Only the model options matter for resolving - tuning other values mustn't reload the model
+  const { modelPath, modelManifest } = config;
+  const modelFallbacksKey = config.modelFallbacks.join('\n');
+  const modelSources = useMemo(() => ({
+    modelPath,
+    modelManifest,
+    modelFallbacks: modelFallbacksKey ? modelFallbacksKey.split('\n') : []
+  }), [modelPath, modelManifest, modelFallbacksKey]);
+
+  React.useEffect(() => {
+    let cancelled = false;
+
+    const resolveModels = async () => {
+      let manifest = null;
+      if (modelSources.modelManifest) {
+        try {
+          manifest = await fetchModelManifest(modelSources.modelManifest);
+        } catch (error) {
+          addDebugMessage('⚠️ MODEL MANIFEST UNAVAILABLE: ' + error.message);
+        }
+      }
+
+      const candidates = await filterAvailableModels(modelCandidates(modelSources, manifest, lod, sharedState?.model));
+      if (cancelled) return;
+
+      addDebugMessage('📦 MODEL CANDIDATES (' + lod + '): ' + JSON.stringify(candidates));
+      setModelState(prev => candidates.length > 0
+        ? { ...prev, status: 'loading', candidates, index: 0, manifest, loaded: 0, total: manifestBytes(manifest, candidates[0]), error: null }
+        : { ...prev, status: 'error', candidates, error: new Error('No model version is available') });
+    };
+
+    setModelState(prev => ({ ...prev, status: 'resolving', loaded: 0, total: 0, error: null }));
+    resolveModels();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [modelSources, lod, modelReloadCount, sharedState, addDebugMessage]);
+
+  const handleModelProgress = React.useCallback(({ loaded, total }) => {
+    setModelState(prev => ({
+      ...prev,
+      loaded,
+      total: total || manifestBytes(prev.manifest, prev.candidates[prev.index])
+    }));
+  }, []);
+
+  // Latest model state for callbacks that run outside of render (error boundary, progress)
+  const modelStateRef = useRef(modelState);
+  modelStateRef.current = modelState;
+
+  // When the model on screen started loading, for modelLoaded's loadTime. Switching physics mode
+  // remounts the model from cache, which isn't a new load.
+  const modelLoadRef = useRef({ key: null, start: 0, reported: false });
+  const modelLoadKey = modelUrl && `${modelUrl}#${modelState.attempt}`;
+  if (modelLoadRef.current.key !== modelLoadKey) {
+    modelLoadRef.current = { key: modelLoadKey, start: performance.now(), reported: false };
+  }
+
+  const handleModelLoaded = React.useCallback((url) => {
+    setModelState(prev => (prev.status === 'ready' ? prev : { ...prev, status: 'ready' }));
+    addDebugMessage('✅ MODEL LOADED: ' + url);
+
+    const load = modelLoadRef.current;
+    if (load.reported) return;
+    load.reported = true;
+    events.emit('modelLoaded', {
+      url,
+      version: manifestVersion(modelStateRef.current.manifest, url),
+      loadTime: (performance.now() - load.start) / 1000
+    });
+  }, [addDebugMessage, events]);
+
+  const handleModelError = React.useCallback((error) => {
+    const { candidates, index, manifest } = modelStateRef.current;
+    addDebugMessage('❌ MODEL FAILED: ' + candidates[index] + ' - ' + error.message);
+    events.emit('modelFailed', { url: candidates[index], message: error.message, fallback: candidates[index + 1] || null });
+
+    // Try the next fallback, or give up and show the error screen
+    if (index + 1 < candidates.length) {
+      addDebugMessage('🔁 TRYING FALLBACK: ' + candidates[index + 1]);
+      setModelState(prev => ({ ...prev, status: 'loading', index: index + 1, loaded: 0, total: manifestBytes(manifest, candidates[index + 1]) }));
+    } else {
+      setModelState(prev => ({ ...prev, status: 'error', error }));
+    }
+  }, [addDebugMessage, events]);
+
+  const handleModelRetry = () => {
+    // Failed loads are cached along with their error - forget them before trying again
+    modelState.candidates.forEach(clearChainModel);
+    setModelState(prev => ({ ...prev, attempt: prev.attempt + 1 }));
+    setModelReloadCount(count => count + 1);
+  };
+
+  // Hotspots for the model on screen - see hotspots.js. A model without a hotspots file has none.
+  const [hotspots, setHotspots] = useState([]);
+  const hotspotsSource = config.hotspots.enabled && modelUrl
+    ? config.hotspots.url || hotspotsUrl(modelUrl, modelState.manifest)
+    : null;
+
+  React.useEffect(() => {
+    setHotspots([]);
+    if (!hotspotsSource) return;
+    let cancelled = false;
+
+    fetchHotspots(hotspotsSource)
+      .then(({ hotspots: loaded, errors }) => {
+        if (cancelled) return;
+        errors.forEach((error) => console.warn('Hotspots ' + hotspotsSource + ': ' + error));
+        if (loaded.length > 0) addDebugMessage('📍 HOTSPOTS: ' + loaded.map((hotspot) => hotspot.id).join(', '));
+        setHotspots(loaded);
+      })
+      .catch((error) => {
+        if (!cancelled) addDebugMessage('⚠️ HOTSPOTS UNAVAILABLE: ' + error.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [hotspotsSource, addDebugMessage]);
+
+  // A shared link's pose and swing are applied once, as soon as the chain is in the scene
+  const sharedPoseAppliedRef = useRef(false);
+  React.useEffect(() => {
+    if (modelState.status !== 'ready' || sharedPoseAppliedRef.current) return;
+    sharedPoseAppliedRef.current = true;
+    if (!sharedState || (!sharedState.pose && !sharedState.impulse && !sharedState.twist) || !chainRef.current) return;
+    const pose = sharedState.pose || { x: 0, y: 0 };
+    chainRef.current.startSwingAnimation(pose.x, pose.y, sharedState.impulse || { x: 0, y: 0 }, sharedState.twist || undefined);
+    addDebugMessage('🔗 SHARED POSE: ' + JSON.stringify(sharedState.pose) + ' impulse ' + JSON.stringify(sharedState.impulse) + ' twist ' + JSON.stringify(sharedState.twist));
+  }, [modelState.status, sharedState, addDebugMessage]);
+
+  // Link to this exact scene. The swing is only included while the chain is moving.
+  const getShareLink = () => {
+    const physics = physicsMode === 'pendulum' ? chainRef.current?.getPose() : null;
+    const hash = encodeSceneState({
+      model: manifestVersion(modelState.manifest, modelUrl),
+      finish: finishSelection,
+      theme: config.background.theme,
+      brandColors: config.background.theme === 'brand' ? config.background.brandColors : null,
+      camera: { fov: config.camera.fov, z: config.camera.z },
+      pose: physics?.rotation,
+      impulse: physics && Math.abs(physics.velocity.x) + Math.abs(physics.velocity.y) > 0.01 ? physics.velocity : null,
+      twist: physics && (Math.abs(physics.twist.angle) > 0.001 || Math.abs(physics.twist.velocity) > 0.01) ? physics.twist : null
+    });
+    return window.location.origin + window.location.pathname + window.location.search + hash;
+  };
+
+  // Keyboard control of the focused viewer - see accessibility.js. Arrows push while held,
+  // Space flicks a still chain or stops a moving one, R puts it back at rest.
+  const [announcement, announce] = useAnnouncer();
+  const instructionsId = React.useId();
+  const [keyboardFocus, setKeyboardFocus] = useState(false);
+  const pressedKeysRef = useRef(new Set());
+  const announceRestRef = useRef(false); // Say when the chain settles after a keyboard move
+
+  const updateKeyboardForce = () => {
+    const force = keyboardForce(pressedKeysRef.current, config.input.keyboardForce);
+    if (!chainRef.current) return;
+    if (force) {
+      chainRef.current.input.set('keyboard', { force });
+    } else {
+      chainRef.current.input.release('keyboard');
+    }
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.target !== event.currentTarget) return;
+    if (inspecting && event.key === 'Escape') {
+      handleInspectChange(false);
+      return;
+    }
+    const action = chainKeyAction(event.key);
+    if (!action) return;
+    event.preventDefault();
+    const chain = chainRef.current;
+    if (!chain || physicsMode !== 'pendulum') {
+      if (!event.repeat) announce('Keyboard control is only available in pendulum mode');
+      return;
+    }
+    if (inspecting) {
+      if (!event.repeat) announce('The chain is paused - press Escape to leave inspect mode');
+      return;
+    }
+    if (event.repeat) return;
+
+    announceRestRef.current = true;
+    if (action === 'push') {
+      pressedKeysRef.current.add(event.key);
+      updateKeyboardForce();
+      announce('Pushing ' + pushDirectionName(event.key));
+    } else if (action === 'flick') {
+      if (chain.isSwinging()) {
+        chain.stopSwinging();
+        announce('Stopping the chain');
+      } else {
+        const { rotation } = chain.getPose();
+        chain.startSwingAnimation(rotation.x, rotation.y, { x: 1.5, y: 0 });
+        announce('Chain flicked');
+      }
+    } else if (action === 'reset') {
+      chain.startSwingAnimation(0, 0, { x: 0, y: 0 }, { angle: 0, velocity: 0 });
+      announceRestRef.current = false;
+      announce('Chain reset to rest');
+    }
+  };
+
+  const handleKeyUp = (event) => {
+    if (!pressedKeysRef.current.delete(event.key)) return;
+    updateKeyboardForce();
+  };
+
+  // Keys released while focus is elsewhere never arrive - let go of everything on blur
+  const handleBlur = () => {
+    setKeyboardFocus(false);
+    if (pressedKeysRef.current.size === 0) return;
+    pressedKeysRef.current.clear();
+    updateKeyboardForce();
+  };
+
+  const handleSoundChange = (muted) => {
+    chainAudio.setMuted(muted);
+    addDebugMessage(muted ? '🔇 SOUND MUTED' : '🔊 SOUND ON');
+    announce(muted ? 'Sound muted' : 'Sound on');
+  };
+
+  // Inspect mode pauses the swing and hands drags to the orbit controls
+  const handleInspectChange = (next) => {
+    if (next) pressedKeysRef.current.clear();
+    setInspecting(next);
+    addDebugMessage(next ? '🔍 INSPECT MODE' : '↩️ SWING MODE');
+    announce(next
+      ? 'Inspect mode: drag to orbit, pinch or scroll to zoom, press Escape to go back'
+      : 'Back to the swing view');
+  };
+
+  React.useEffect(() => {
+    if (!chainResting || !announceRestRef.current) return;
+    announceRestRef.current = false;
+    announce('Chain at rest');
+  }, [chainResting, announce]);
+
+  React.useEffect(() => {
+    if (modelState.status === 'ready') announce('Chain loaded');
+    if (modelState.status === 'error') announce('The chain could not be loaded');
+  }, [modelState.status, announce]);
+
+  // Stills and clips - see sceneCapture.js. Captures render at full quality with the live render
+  // loop stopped, and put the chain into a known pose first so clips always start the same.
+  const rootStateRef = useRef(null); // The R3F store's getter, from Canvas onCreated
+  const handleCapture = React.useCallback(async (settings, onProgress) => {
+    const getRootState = rootStateRef.current;
+    if (!getRootState) throw new Error('The 3D scene is not ready yet');
+    const options = resolveCaptureOptions({ ...config.capture, ...settings }, maxCaptureSize(getRootState().gl));
+    const fileName = captureFileName(options);
+
+    setCapturing(true);
+    try {
+      // Let the capture settings reach the scene before the first frame
+      await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+      addDebugMessage('📸 CAPTURING ' + fileName + ' (' + options.frames + ' frames)');
+      const blob = await captureScene(getRootState(), options, {
+        onStart: () => {
+          if (!chainRef.current) return;
+          if (options.motion === 'swing') chainRef.current.startSwingAnimation(0.6, 0.35, { x: 0, y: 0 }, { angle: 0, velocity: 0 });
+          if (options.motion === 'turntable') chainRef.current.startSwingAnimation(0, 0, { x: 0, y: 0 }, { angle: 0, velocity: 0 });
+        },
+        onProgress
+      });
+      addDebugMessage('✅ CAPTURED ' + fileName + ' (' + Math.round(blob.size / 1024) + ' KB)');
+      return { blob, fileName };
+    } catch (error) {
+      addDebugMessage('❌ CAPTURE FAILED: ' + error.message);
+      throw error;
+    } finally {
+      setCapturing(false);
+    }
+  }, [config.capture, addDebugMessage]);
+
+  // Headless captures (scripts/capture.mjs) go through window.chainCapture
+  const handleCaptureRef = useRef(handleCapture);
+  handleCaptureRef.current = handleCapture;
+  React.useEffect(() => {
+    if (!config.capture.enabled) return;
+    window.chainCapture = {
+      status: () => modelStateRef.current.status,
+      capture: async (settings) => {
+        const { blob, fileName } = await handleCaptureRef.current(settings);
+        return { fileName, type: blob.type, base64: await blobToBase64(blob) };
+      }
+    };
+    return () => { delete window.chainCapture; };
+  }, [config.capture.enabled]);
+
+  // Check for mobile device and gyroscope support
+  React.useEffect(() => {
+    try {
+      if (isMobileDevice() && typeof window !== 'undefined' && window.DeviceOrientationEvent) {
+        setGyroState(prev => ({ ...prev, showButton: true }));
+      }
+    } catch (error) {
+      console.error('Error checking mobile capabilities:', error);
+    }
+  }, []);
+
+  const { camera, lights } = config;
+  const shadowMapSize = Math.min(lights.point.shadowMapSize, quality.shadowMapSize);
+
+  return (
+    <div className={className} style={{ 
+      width: '100%', 
+      height: '100%', 
+      background: 'white',
+      overflow: 'hidden',
+      position: 'relative',
+      ...style
+    }}>
+      <Canvas
+        camera={{ position: [0, 0, camera.z], fov: camera.fov }} // Camera looking straight at the chain
+        dpr={[Math.min(1, quality.dpr), quality.dpr]}
+        frameloop={renderPaused || capturing ? 'never' : renderOnDemand ? 'demand' : 'always'}
+        onCreated={(state) => { rootStateRef.current = state.get; }}
+        tabIndex={0}
+        role="application"
+        aria-roledescription="3D viewer"
+        aria-label={config.accessibility.label}
+        aria-describedby={instructionsId}
+        onKeyDown={handleKeyDown}
+        onKeyUp={handleKeyUp}
+        onFocus={(event) => setKeyboardFocus(event.target === event.currentTarget && event.target.matches(':focus-visible'))}
+        onBlur={handleBlur}
+        style={{ 
+          background: 'transparent',
+          outline: keyboardFocus ? '3px solid #ffdd88' : 'none',
+          outlineOffset: '-3px',
+          width: '100%',
+          height: '100%',
+          display: 'block',
+          position: 'absolute',
+          top: 0,
+          left: 0,
+          zIndex: 1
+        }}
+      >
+        {/* Lighting setup - ambient and directional lights disabled */}
+        {/* <ambientLight intensity={1.6} /> */}
+        {/* <directionalLight 
+          position={[20, 20, 10]}  // Positioned far right and high for dramatic lighting
+          intensity={1.0}  // Full intensity directional lighting
+          castShadow
+          shadow-mapSize-width={2048}
+          shadow-mapSize-height={2048}
+        /> */}
+        
+        {/* Dramatic upward point light from below */}
+        <ThemedPointLight
+          theme={themeTransition}
+          key={shadowMapSize} // The shadow map is only allocated once per light
+          position={lights.point.position}  // Below and slightly forward of the chain
+          intensity={lights.point.intensity}  // Strong intensity for dramatic uplighting
+          distance={lights.point.distance}  // Light reach distance
+          decay={lights.point.decay}  // Natural light falloff
+          castShadow={lights.point.castShadow}
+          shadow-mapSize-width={shadowMapSize}
+          shadow-mapSize-height={shadowMapSize}
+          color={lights.point.color}  // Warm golden tint to complement sunset
+        />
+
+        <CameraRig fov={camera.fov} z={camera.z} />
+        <PointerTracker bus={interactionBus} />
+
+        {/* Liquid chrome backdrop - also the reflection environment unless a preset is picked */}
+        <LiquidChromeBackground
+          theme={themeTransition}
+          bus={interactionBus}
+          speed={background.speed}
+          amplitude={background.amplitude}
+          frequencyX={background.frequencyX}
+          frequencyY={background.frequencyY}
+          interactive={background.interactive}
+          rippleStrength={background.rippleStrength}
+          chainDisturbance={background.chainDisturbance}
+          samples={quality.backgroundSamples}
+          resolutionScale={quality.backgroundScale}
+          reflect={lights.environment === 'liquidChrome'}
+          environmentResolution={quality.environmentResolution}
+          environmentFrames={renderOnDemand ? 1 : Infinity}
+        />
+        {lights.environment !== 'liquidChrome' && <Environment preset={lights.environment} />}
+
+        {/* Orbit, zoom and pan - only in inspect mode, so drags otherwise reach the chain */}
+        <InspectControls
+          active={inspecting}
+          suspended={capturing}
+          getTarget={() => chainRef.current?.getInspectTarget() || null}
+          homeZ={camera.z}
+          distance={config.inspect.distance}
+          minDistance={config.inspect.minDistance}
+          maxDistance={config.inspect.maxDistance}
+          transitionTime={reducedMotion ? 0 : config.inspect.transitionTime}
+        />
+
+        {/* Interactive Chain Model */}
+        {modelUrl && (
+          <ModelErrorBoundary key={`${modelUrl}#${modelState.attempt}`} onError={handleModelError}>
+            <Suspense fallback={null}>
+              {physicsMode === 'rigid' ? (
+                <RigidChain
+                  modelPath={modelUrl}
+                  onModelProgress={handleModelProgress}
+                  layoutConfig={config}
+                  gravity={config.physics.gravity}
+                  finishMaterial={finishMaterial}
+                  addDebugMessage={addDebugMessage}
+                />
+              ) : (
+                <InteractiveChain 
+                  ref={chainRef} 
+                  config={config}
+                  modelUrl={modelUrl}
+                  onModelProgress={handleModelProgress}
+                  finishMaterial={finishMaterial}
+                  addDebugMessage={addDebugMessage}
+                  isGyroActive={isGyroActive}
+                  setIsGyroActive={setIsGyroActive}
+                  onRestChange={handleRestChange}
+                  bus={interactionBus}
+                  sound={chainAudio.engineRef}
+                  events={events}
+                  idleSwing={!reducedMotion}
+                  paused={inspecting}
+                  hotspots={hotspots}
+                />
+              )}
+              <ModelLoaded url={modelUrl} onLoaded={handleModelLoaded} />
+            </Suspense>
+          </ModelErrorBoundary>
+        )}
+      </Canvas>
+
+      {/* Read out by screen readers: how to drive the chain, and what it just did */}
+      <div id={instructionsId} style={VISUALLY_HIDDEN}>{KEYBOARD_INSTRUCTIONS}</div>
+      <div role="status" aria-live="polite" style={VISUALLY_HIDDEN}>{announcement}</div>
+
+      {/* Share link and gyroscope controls, top right */}
+      <div style={{
+        position: 'absolute',
+        top: '20px',
+        right: '20px',
+        zIndex: 1000,
+        display: 'flex',
+        gap: '10px',
+        alignItems: 'flex-start'
+      }}>
+        {config.share.showButton && (
+          <ShareButton getLink={getShareLink} addDebugMessage={addDebugMessage} announce={announce} />
+        )}
+        <GyroControls
+          showButton={gyroState.showButton && physicsMode === 'pendulum'}
+          isActive={gyroState.isActive}
+          calibrating={gyroState.calibrating}
+          error={gyroState.error}
+          onEnable={handleEnableGyro}
+          onDisable={handleDisableGyro}
+          onCalibrate={handleCalibrateGyro}
+          onRecenter={handleRecenterGyro}
+        />
+      </div>
+
+      {/* Debug Messages Panel - Hidden */}
+      {debugMessages.length > 0 && (
+        <div style={{
+          display: 'none' // Completely hidden
+        }}>
+          <div style={{ fontWeight: 'bold', marginBottom: '8px', position: 'sticky', top: 0, backgroundColor: 'rgba(0, 0, 0, 0.1)', color: 'rgba(255, 255, 255, 0.4)' }}>🔍 Debug Log:</div>
+          {debugMessages.map((msg, i) => (
+            <div key={i} style={{ marginBottom: '2px', fontSize: '10px' }}>{msg}</div>
+          ))}
+        </div>
+      )}
+
+      {/* Physics mode and inspect toggles, bottom left */}
+      <div style={{
+        position: 'absolute',
+        bottom: '20px',
+        left: '20px',
+        zIndex: 1000,
+        display: 'flex',
+        gap: '10px'
+      }}>
+        <PhysicsModeToggle mode={physicsMode} onChange={handlePhysicsModeChange} />
+        {config.inspect.showButton && physicsMode === 'pendulum' && modelState.status === 'ready' && (
+          <InspectToggle inspecting={inspecting} onChange={handleInspectChange} />
+        )}
+        {config.audio.enabled && config.audio.showButton && (
+          <SoundToggle muted={chainAudio.muted} onChange={handleSoundChange} />
+        )}
+      </div>
+
+      {config.devTools && (
+        <SessionControls chainRef={chainRef} disabled={physicsMode !== 'pendulum' || inspecting} addDebugMessage={addDebugMessage} />
+      )}
+
+      {config.devTools && (
+        <DevPanel config={config} onChange={handleTune} onReset={() => setTuning({})} onExport={handleExportPreset} />
+      )}
+
+      {(config.devTools || config.capture.enabled) && (
+        <CapturePanel defaults={config.capture} onCapture={handleCapture} />
+      )}
+
+      {config.material.showConfigurator && (
+        <MaterialConfigurator selection={finishSelection} onChange={setFinishSelection} />
+      )}
+
+      {/* Test Movement Button - holds the chain at a dramatic pose, then lets it swing */}
+      <button
+        onClick={() => {
+          try {
+            if (!chainRef.current) {
+              addDebugMessage('❌ TEST MOVE: pendulum chain not mounted');
+              return;
+            }
+            
+            const poses = [
+              [0.8, 0.6],   // ~46°, ~34°
+              [-0.6, 0.8],  // ~-34°, ~46°
+              [0.4, -0.9],  // ~23°, ~-52°
+              [-0.9, -0.4]  // ~-52°, ~-23°
+            ];
+            const [x, y] = poses[testMoveRef.current % poses.length];
+            testMoveRef.current += 1;
+            addDebugMessage('🎲 TEST MOVE: ' + JSON.stringify([x, y].map(r => (r * 180 / Math.PI).toFixed(1) + '°')));
+            
+            // A scripted source outranks gyro and keyboard, and releases itself after the hold
+            chainRef.current.input.set('scripted', { target: { x, y }, duration: 2 });
+          } catch (error) {
+            addDebugMessage('💥 TEST BUTTON ERROR: ' + error.message);
+            console.error('Test button error:', error);
+          }
+        }}
+        disabled={inspecting} // The chain is paused while inspecting
+        style={{
+          position: 'absolute',
+          bottom: '20px',
+          right: '20px',
+          padding: '12px 16px',
+          backgroundColor: 'rgba(255, 255, 255, 0.9)',
+          border: '2px solid #333',
+          borderRadius: '8px',
+          cursor: inspecting ? 'default' : 'pointer',
+          opacity: inspecting ? 0.5 : 1,
+          fontSize: '14px',
+          fontWeight: '600',
+          color: '#333',
+          zIndex: 1000
+        }}
+      >
+        🎲 Test Movement
+      </button>
+
+      {/* Loading indicator */}
+      {(modelState.status === 'resolving' || modelState.status === 'loading') && (
+        <LoadingSpinner loaded={modelState.loaded} total={modelState.total} />
+      )}
+
+      {modelState.status === 'error' && (
+        <ModelLoadError error={modelState.error} onRetry={handleModelRetry} />
+      )}
+    </div>
+  )
+}
+
+export default ChainViewer 
\ No newline at end of file
@@ -0,0 +1,249 @@
+import React, { useState } from 'react'
+import { ENVIRONMENTS, getConfigValue } from './chainConfig'
+import { THEME_NAMES, TONE_MAPPINGS } from './backgroundThemes'
+import { usePanelFocus } from './accessibility'
+
+// Every tunable value, grouped as in the config. Arrays are tuned one element at a time.
+// `manual` controls are hand placement that framing replaces, so they're hidden while it's on.
+const SECTIONS = [
+  {
+    title: 'Physics',
+    controls: [
+      { path: 'physics.chainLength', min: 0.5, max: 15, step: 0.1, manual: true },
+      { path: 'physics.gravity', min: 0, max: 40, step: 0.1 },
+      { path: 'physics.airDamping', min: 0, max: 0.2, step: 0.001 },
+      { path: 'physics.frictionDamping', min: 0, max: 0.1, step: 0.001 },
+      { path: 'physics.maxAngle', min: 0.1, max: 3.1, step: 0.01 },
+      { path: 'physics.couplingStrength', min: 0, max: 1, step: 0.01 },
+      { path: 'physics.chaosStrength', min: 0, max: 0.5, step: 0.01 },
+      { path: 'physics.secondaryDamping', min: 0, max: 1, step: 0.01 },
+      { path: 'physics.secondarySpring', min: 0, max: 1, step: 0.01 },
+      { path: 'physics.secondaryInfluence', min: 0, max: 0.5, step: 0.01 },
+      { path: 'physics.twistStiffness', min: 0, max: 20, step: 0.1 },
+      { path: 'physics.twistDamping', min: 0, max: 5, step: 0.05 },
+      { path: 'physics.twistCoupling', min: 0, max: 3, step: 0.05 },
+      { path: 'physics.maxTwist', min: 0.5, max: 25, step: 0.1 },
+    ],
+  },
+  {
+    title: 'Input springs',
+    controls: [
+      { path: 'input.keyboardForce', min: 0, max: 30, step: 0.5 },
+      { path: 'input.handoffTime', min: 0, max: 2, step: 0.05 },
+      { path: 'input.pointer.stiffness', min: 0, max: 400, step: 1 },
+      { path: 'input.pointer.damping', min: 0, max: 60, step: 0.5 },
+      { path: 'input.scripted.stiffness', min: 0, max: 400, step: 1 },
+      { path: 'input.scripted.damping', min: 0, max: 60, step: 0.5 },
+      { path: 'gyro.sensitivity', min: 0, max: 3, step: 0.05 },
+      { path: 'gyro.maxTilt', min: 0, max: 1.5, step: 0.05 },
+    ],
+  },
+  {
+    title: 'Chain & camera',
+    controls: [
+      { path: 'framing.enabled', type: 'checkbox' },
+      { path: 'framing.pivotAbove', min: 0, max: 1, step: 0.005 },
+      { path: 'framing.reach', min: 0.05, max: 1.5, step: 0.01 },
+      { path: 'framing.maxWidth', min: 0.1, max: 1, step: 0.01 },
+      { path: 'chain.anchorY', min: 0, max: 12, step: 0.05, manual: true },
+      { path: 'chain.modelHeight', min: 0, max: 12, step: 0.05, manual: true },
+      { path: 'chain.modelScale', min: 1, max: 40, step: 0.5, manual: true },
+      { path: 'chain.baseScale', min: 0.1, max: 4, step: 0.05 },
+      { path: 'chain.restRotation.0', label: 'chain.restRotation x', min: -0.8, max: 0.8, step: 0.01 },
+      { path: 'camera.fov', min: 10, max: 100, step: 1 },
+      { path: 'camera.z', min: 2, max: 30, step: 0.1 },
+    ],
+  },
+  {
+    title: 'Sound',
+    controls: [
+      { path: 'audio.volume', min: 0, max: 1, step: 0.01 },
+    ],
+  },
+  {
+    title: 'Light',
+    controls: [
+      { path: 'lights.point.intensity', min: 0, max: 20, step: 0.1 },
+      { path: 'lights.point.distance', min: 0, max: 50, step: 0.5 },
+      { path: 'lights.point.decay', min: 0, max: 4, step: 0.1 },
+      { path: 'lights.point.position.0', label: 'lights.point.position x', min: -10, max: 10, step: 0.1 },
+      { path: 'lights.point.position.1', label: 'lights.point.position y', min: -10, max: 10, step: 0.1 },
+      { path: 'lights.point.position.2', label: 'lights.point.position z', min: -10, max: 10, step: 0.1 },
+      { path: 'lights.point.color', type: 'color' },
+      { path: 'lights.point.castShadow', type: 'checkbox' },
+      { path: 'lights.point.shadowMapSize', type: 'select', options: [256, 512, 1024, 2048, 4096] },
+      { path: 'lights.environment', type: 'select', options: ENVIRONMENTS },
+    ],
+  },
+  {
+    title: 'Background',
+    controls: [
+      { path: 'background.theme', type: 'select', options: THEME_NAMES },
+      { path: 'background.toneMapping', type: 'select', options: ['theme', ...TONE_MAPPINGS] },
+      { path: 'background.exposure', min: 0, max: 3, step: 0.05 },
+      { path: 'background.ceiling', min: 0, max: 2, step: 0.05 },
+      { path: 'background.transitionTime', min: 0, max: 5, step: 0.1 },
+      { path: 'background.baseColor.0', label: 'background.baseColor r', min: 0, max: 1, step: 0.01 },
+      { path: 'background.baseColor.1', label: 'background.baseColor g', min: 0, max: 1, step: 0.01 },
+      { path: 'background.baseColor.2', label: 'background.baseColor b', min: 0, max: 1, step: 0.01 },
+      { path: 'background.speed', min: 0, max: 2, step: 0.01 },
+      { path: 'background.amplitude', min: 0, max: 1, step: 0.01 },
+      { path: 'background.frequencyX', min: 0, max: 10, step: 0.1 },
+      { path: 'background.frequencyY', min: 0, max: 10, step: 0.1 },
+      { path: 'background.interactive', type: 'checkbox' },
+      { path: 'background.rippleStrength', min: 0, max: 3, step: 0.05 },
+      { path: 'background.chainDisturbance', min: 0, max: 3, step: 0.05 },
+    ],
+  },
+]
+
+const buttonStyle = {
+  padding: '6px 10px',
+  backgroundColor: 'white',
+  border: '2px solid #333',
+  borderRadius: '6px',
+  cursor: 'pointer',
+  fontSize: '12px',
+  fontWeight: '600',
+  color: '#333',
+}
+
+function TuningControl({ control, value, onChange }) {
+  const label = control.label || control.path
+  const rowStyle = { display: 'block', marginBottom: '6px' }
+
+  if (control.type === 'checkbox') {
+    return (
+      <label style={{ ...rowStyle, display: 'flex', justifyContent: 'space-between' }}>
+        <span>{label}</span>
+        <input type="checkbox" checked={value} onChange={(event) => onChange(control.path, event.target.checked)} />
+      </label>
+    )
+  }
+
+  if (control.type === 'color') {
+    return (
+      <label style={{ ...rowStyle, display: 'flex', justifyContent: 'space-between' }}>
+        <span>{label}</span>
+        <input type="color" value={value} onChange={(event) => onChange(control.path, event.target.value)} />
+      </label>
+    )
+  }
+
+  if (control.type === 'select') {
+    return (
+      <label style={{ ...rowStyle, display: 'flex', justifyContent: 'space-between' }}>
+        <span>{label}</span>
+        <select
+          value={value}
+          onChange={(event) => {
+            const option = control.options.find((candidate) => String(candidate) === event.target.value)
+            onChange(control.path, option)
+          }}
+        >
+          {control.options.map((option) => <option key={option} value={option}>{option}</option>)}
+        </select>
+      </label>
+    )
+  }
+
+  return (
+    <label style={rowStyle}>
+      <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+        <span>{label}</span>
+        <span>{Number(value.toFixed(4))}</span>
+      </div>
+      <input
+        type="range"
+        min={control.min}
+        max={control.max}
+        step={control.step}
+        value={value}
+        onChange={(event) => onChange(control.path, Number(event.target.value))}
+        style={{ width: '100%' }}
+      />
+    </label>
+  )
+}
+
+// Dev tool: live sliders for the physics, input springs, light and background config.
+// Changes apply immediately; Export downloads the values that differ from the defaults as a preset.
+function DevPanel({ config, onChange, onReset, onExport }) {
+  const [open, setOpen] = useState(false)
+  const { toggleRef, closeRef } = usePanelFocus(open)
+  const [openSection, setOpenSection] = useState(SECTIONS[0].title)
+
+  if (!open) {
+    return (
+      <button ref={toggleRef} onClick={() => setOpen(true)} style={{ ...buttonStyle, position: 'absolute', bottom: '80px', right: '20px', zIndex: 1000, padding: '12px 16px', fontSize: '14px', backgroundColor: 'rgba(255, 255, 255, 0.9)' }}>
+        🛠️ Tune
+      </button>
+    )
+  }
+
+  return (
+    <div
+      role="dialog"
+      aria-label="Tuning"
+      onKeyDown={(event) => { if (event.key === 'Escape') setOpen(false) }}
+      style={{
+        position: 'absolute',
+        bottom: '80px',
+        right: '20px',
+        zIndex: 1000,
+        width: '280px',
+        maxHeight: 'calc(100% - 120px)',
+        overflowY: 'auto',
+        padding: '12px',
+        backgroundColor: 'rgba(255, 255, 255, 0.95)',
+        border: '2px solid #333',
+        borderRadius: '8px',
+        boxShadow: '0 2px 10px rgba(0,0,0,0.2)',
+        fontSize: '11px',
+        color: '#333',
+      }}
+    >
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+        <strong style={{ fontSize: '14px' }}>🛠️ Tuning</strong>
+        <button
+          ref={closeRef}
+          onClick={() => setOpen(false)}
+          aria-label="Close tuning panel"
+          style={{ border: 'none', background: 'none', cursor: 'pointer', fontSize: '16px', color: '#333' }}
+        >
+          ✕
+        </button>
+      </div>
+
+      {SECTIONS.map((section) => (
+        <div key={section.title} style={{ marginBottom: '6px' }}>
+          <button
+            onClick={() => setOpenSection(openSection === section.title ? null : section.title)}
+            style={{ ...buttonStyle, width: '100%', textAlign: 'left', border: '1px solid #999' }}
+          >
+            {openSection === section.title ? '▾' : '▸'} {section.title}
+          </button>
+          {openSection === section.title && (
+            <div style={{ padding: '8px 2px 0' }}>
+              {section.controls.filter((control) => !(control.manual && config.framing.enabled)).map((control) => (
+                <TuningControl
+                  key={control.path}
+                  control={control}
+                  value={getConfigValue(config, control.path)}
+                  onChange={onChange}
+                />
+              ))}
+            </div>
+          )}
+        </div>
+      ))}
+
+      <div style={{ display: 'flex', gap: '6px', marginTop: '10px' }}>
+        <button onClick={onExport} style={{ ...buttonStyle, flex: 1 }}>💾 Export preset</button>
+        <button onClick={onReset} style={{ ...buttonStyle, flex: 1 }}>↺ Reset</button>
+      </div>
+    </div>
+  )
+}
+
+export default DevPanel
@@ -0,0 +1,134 @@
+import React, { Fragment, useMemo, useRef, useState } from 'react'
+import * as THREE from 'three'
+import { createPortal } from '@react-three/fiber'
+import { Html } from '@react-three/drei'
+
+const markerStyle = {
+  width: '26px',
+  height: '26px',
+  padding: 0,
+  borderRadius: '50%',
+  border: '2px solid #333',
+  backgroundColor: 'rgba(255, 255, 255, 0.9)',
+  boxShadow: '0 2px 6px rgba(0,0,0,0.3)',
+  cursor: 'pointer',
+  fontSize: '14px',
+  fontWeight: '600',
+  lineHeight: '22px',
+  color: '#333',
+}
+
+const cardStyle = {
+  position: 'absolute',
+  top: '-8px',
+  left: '22px',
+  width: '220px',
+  padding: '10px 12px',
+  backgroundColor: 'rgba(255, 255, 255, 0.95)',
+  border: '2px solid #333',
+  borderRadius: '8px',
+  boxShadow: '0 2px 10px rgba(0,0,0,0.2)',
+  fontSize: '12px',
+  color: '#333',
+  cursor: 'auto',
+}
+
+// Pointer events on the cards must not reach the chain's gestures or the orbit controls,
+// which both listen on the viewer behind them
+const stopPointer = {
+  onPointerDown: (event) => event.stopPropagation(),
+  onPointerUp: (event) => event.stopPropagation(),
+  onClick: (event) => event.stopPropagation(),
+  onWheel: (event) => event.stopPropagation(),
+}
+
+// One hotspot: a marker that toggles its annotation card. Both follow the point on screen and
+// disappear while the chain is in front of it.
+function Hotspot({ hotspot, occluders, open, onToggle }) {
+  const markerRef = useRef(null)
+
+  const close = () => {
+    onToggle(false)
+    markerRef.current?.focus()
+  }
+
+  return (
+    <Html position={hotspot.position} occlude={occluders} center>
+      <div style={{ position: 'relative' }} {...stopPointer}>
+        <button
+          ref={markerRef}
+          onClick={() => onToggle(!open)}
+          aria-expanded={open}
+          aria-label={hotspot.title}
+          style={markerStyle}
+        >
+          {open ? '−' : '+'}
+        </button>
+        {open && (
+          <div
+            role="dialog"
+            aria-label={hotspot.title}
+            onKeyDown={(event) => { if (event.key === 'Escape') close() }}
+            style={cardStyle}
+          >
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '6px' }}>
+              <strong style={{ fontSize: '14px' }}>{hotspot.title}</strong>
+              <button
+                onClick={close}
+                aria-label="Close"
+                style={{ border: 'none', background: 'none', cursor: 'pointer', fontSize: '16px', color: '#333' }}
+              >
+                ✕
+              </button>
+            </div>
+            {hotspot.image && (
+              <img src={hotspot.image} alt="" style={{ display: 'block', width: '100%', borderRadius: '4px', marginBottom: '6px' }} />
+            )}
+            {hotspot.text && <div style={{ lineHeight: 1.4 }}>{hotspot.text}</div>}
+          </div>
+        )}
+      </div>
+    </Html>
+  )
+}
+
+// Hotspots (see hotspots.js) anchored inside `root`, the chain model: each is rendered into the
+// node it names, so it follows that node through the swing. One card is open at a time.
+// `occluders` are refs to the meshes that can hide a hotspot.
+function HotspotCards({ hotspots, root, occluders, addDebugMessage }) {
+  const [openId, setOpenId] = useState(null)
+
+  // Node names are matched the way the GLTF loader rewrote them (no dots, spaces as underscores).
+  // Hotspots sharing a node share a portal - portals are keyed by their node.
+  const anchors = useMemo(() => {
+    const byNode = new Map()
+    hotspots.forEach((hotspot) => {
+      const anchor = hotspot.node ? root.getObjectByName(THREE.PropertyBinding.sanitizeNodeName(hotspot.node)) : root
+      if (!anchor) {
+        addDebugMessage?.('⚠️ HOTSPOT "' + hotspot.id + '": no node named ' + hotspot.node)
+        return
+      }
+      byNode.set(anchor, [...(byNode.get(anchor) || []), hotspot])
+    })
+    return [...byNode.entries()]
+  }, [hotspots, root, addDebugMessage])
+
+  return anchors.map(([anchor, anchorHotspots]) => (
+    <Fragment key={anchor.uuid}>
+      {createPortal(
+        anchorHotspots.map((hotspot) => (
+          <Hotspot
+            key={hotspot.id}
+            hotspot={hotspot}
+            occluders={occluders}
+            open={openId === hotspot.id}
+            onToggle={(open) => setOpenId(open ? hotspot.id : null)}
+          />
+        )),
+        anchor
+      )}
+    </Fragment>
+  ))
+}
+
+export default HotspotCards
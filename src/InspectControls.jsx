@@ -0,0 +1,96 @@
+import React, { useEffect, useMemo, useRef } from 'react'
+import * as THREE from 'three'
+import { useFrame, useThree } from '@react-three/fiber'
+import { OrbitControls } from '@react-three/drei'
+
+const easeInOutCubic = (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2)
+
+// Camera for inspect mode. While `active`, orbit, pinch/scroll zoom and pan move the camera
+// around the chain; otherwise the controls ignore the pointer entirely, so drags reach the chain.
+// Entering eases the camera to `distance` in front of the focus point from `getTarget()`
+// ({ focus, bounds }), leaving eases it back to the swing view at [0, 0, homeZ] looking at the
+// origin. Pans keep the orbit centre inside `bounds`, so the chain can't be lost off screen.
+// `suspended` hands the camera to someone else (captures) without leaving the mode.
+function InspectControls({ active, suspended = false, getTarget, homeZ, distance, minDistance, maxDistance, transitionTime, onTransitionEnd }) {
+  const camera = useThree((state) => state.camera)
+  const invalidate = useThree((state) => state.invalidate)
+  const controlsRef = useRef()
+  const boundsRef = useRef(null)
+  const transitionRef = useRef(null) // { fromPosition, fromTarget, toPosition, toTarget, elapsed }
+  const clamped = useMemo(() => new THREE.Vector3(), [])
+
+  useEffect(() => {
+    const controls = controlsRef.current
+    if (!controls) return
+    controls.enabled = false // Until any transition has finished
+
+    const target = active ? getTarget() : null
+    boundsRef.current = target?.bounds || null
+    const toTarget = target ? target.focus.clone() : new THREE.Vector3()
+    const toPosition = target
+      ? toTarget.clone().add(new THREE.Vector3(0, 0, THREE.MathUtils.clamp(distance, minDistance, maxDistance)))
+      : new THREE.Vector3(0, 0, homeZ)
+
+    // Skip the very first render - the camera already sits in the swing view
+    if (!active && !transitionRef.current && camera.position.equals(toPosition) && controls.target.equals(toTarget)) return
+
+    transitionRef.current = {
+      fromPosition: camera.position.clone(),
+      fromTarget: controls.target.clone(),
+      toPosition,
+      toTarget,
+      elapsed: 0,
+    }
+    invalidate() // The canvas may be rendering on demand (quality.pauseAtRest)
+    // Only entering or leaving moves the camera - tuning mid-inspection shouldn't fly it about
+  }, [active])
+
+  useFrame((_, delta) => {
+    const controls = controlsRef.current
+    if (!controls) return
+    if (suspended) {
+      controls.enabled = false
+      return
+    }
+
+    const transition = transitionRef.current
+    controls.enabled = active && !transition
+    if (transition) {
+      invalidate() // Keep frames coming until the camera arrives
+      transition.elapsed += Math.min(delta, 0.1) // The first frame after an on-demand pause spans the pause
+      const t = transitionTime > 0 ? Math.min(1, transition.elapsed / transitionTime) : 1
+      const eased = easeInOutCubic(t)
+      camera.position.lerpVectors(transition.fromPosition, transition.toPosition, eased)
+      controls.target.lerpVectors(transition.fromTarget, transition.toTarget, eased)
+      camera.lookAt(controls.target)
+      if (t >= 1) {
+        transitionRef.current = null
+        onTransitionEnd?.(active)
+      }
+      return
+    }
+
+    // Panned past the chain - move camera and orbit centre back together so the view doesn't turn
+    const bounds = boundsRef.current
+    if (active && bounds && !bounds.containsPoint(controls.target)) {
+      bounds.clampPoint(controls.target, clamped)
+      camera.position.add(clamped.sub(controls.target))
+      controls.target.add(clamped)
+    }
+  })
+
+  return (
+    <OrbitControls
+      ref={controlsRef}
+      enablePan={active}
+      enableZoom={active}
+      enableRotate={active}
+      screenSpacePanning
+      minDistance={minDistance}
+      maxDistance={maxDistance}
+      autoRotate={false}
+    />
+  )
+}
+
+export default InspectControls
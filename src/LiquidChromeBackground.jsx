@@ -1,176 +1,301 @@
-import { useRef, useEffect } from "react";
-import { Renderer, Program, Mesh, Triangle } from "ogl";
+import React, { useEffect, useMemo, useRef } from "react";
+import * as THREE from "three";
+import { useFrame, useThree } from "@react-three/fiber";
+import { Environment } from "@react-three/drei";
+import { RAMP_STOPS } from "./backgroundThemes";
+import { RIPPLE_SLOTS, createRippleField } from "./interactionBus";
+import { CAPTURE_BACKGROUND } from "./sceneCapture";
 
-import './LiquidChrome.css';
+// The liquid chrome pattern, shared by the backdrop and the reflection environment.
+// Colour comes from the theme (see backgroundThemes.js): a gradient ramp, then a blend of tone curves.
+const chromePattern = `
+  uniform float uTime;
+  uniform vec3 uResolution;
+  uniform vec3 uRamp[${RAMP_STOPS}];
+  uniform vec3 uTone; // Weights of the clamp, Reinhard and ACES curves
+  uniform float uCeiling;
+  uniform float uExposure;
+  uniform float uAmplitude;
+  uniform float uFrequencyX;
+  uniform float uFrequencyY;
+  uniform vec2 uMouse;
+  uniform vec4 uRipples[${RIPPLE_SLOTS}]; // x, y, age in seconds, amplitude (0 = unused slot)
+  uniform float uRippleSpeeds[${RIPPLE_SLOTS}]; // 0 ripples in place, otherwise a ring expanding at this rate
 
+  vec3 ramp(float t) {
+      float x = clamp(t, 0.0, 1.0) * ${RAMP_STOPS - 1}.0;
+      vec3 color = uRamp[0];
+      for (int i = 1; i < ${RAMP_STOPS}; i++){
+          color = mix(color, uRamp[i], clamp(x - float(i - 1), 0.0, 1.0));
+      }
+      return color;
+  }
+
+  vec3 acesCurve(vec3 x) {
+      return clamp((x * (2.51 * x + 0.03)) / (x * (2.43 * x + 0.59) + 0.14), 0.0, 1.0);
+  }
+
+  vec3 toneMap(vec3 color) {
+      vec3 x = color * uExposure;
+      vec3 ceiling = vec3(uCeiling);
+      return uTone.x * min(x, ceiling)
+          + uTone.y * ceiling * x / (x + ceiling)
+          + uTone.z * ceiling * acesCurve(x / ceiling);
+  }
+
+  vec4 renderImage(vec2 uvCoord) {
+      vec2 fragCoord = uvCoord * uResolution.xy;
+      vec2 uv = (2.0 * fragCoord - uResolution.xy) / min(uResolution.x, uResolution.y);
+
+      for (float i = 1.0; i < 10.0; i++){
+          uv.x += uAmplitude / i * cos(i * uFrequencyX * uv.y + uTime + uMouse.x * 3.14159);
+          uv.y += uAmplitude / i * cos(i * uFrequencyY * uv.x + uTime + uMouse.y * 3.14159);
+      }
+
+      // Ripples stack: each one pushes the pattern around its wave front, fading as it ages
+      for (int i = 0; i < ${RIPPLE_SLOTS}; i++){
+          vec4 ripple = uRipples[i];
+          if (ripple.w <= 0.0) continue;
+          vec2 diff = uvCoord - ripple.xy;
+          diff.x *= uResolution.z;
+          float dist = length(diff);
+          float front = dist - uRippleSpeeds[i] * ripple.z;
+          float falloff = exp(-abs(front) * 20.0) * exp(-ripple.z * 2.0);
+          float wave = sin(10.0 * front - ripple.z * 6.0) * 0.03;
+          uv += (diff / (dist + 0.0001)) * wave * falloff * ripple.w;
+      }
+
+      // Dim across the surface, flaring along the folds; the ramp runs from dim to fold
+      float fold = abs(sin(uTime - uv.y - uv.x));
+      vec3 color = ramp(1.0 - fold) / max(fold, 0.0001);
+      return vec4(toneMap(color), 1.0);
+  }
+`;
+
+const screenVertex = `
+  varying vec2 vUv;
+  void main() {
+    vUv = uv;
+    gl_Position = vec4(position.xy, 0.0, 1.0);
+  }
+`;
+
+// Supersampling: uSamples x uSamples samples per pixel, up to 3 x 3
+const backdropFragment = chromePattern + `
+  uniform float uSamples;
+  varying vec2 vUv;
+
+  void main() {
+      vec4 col = vec4(0.0);
+      int samples = 0;
+      for (int i = 0; i < 3; i++){
+          for (int j = 0; j < 3; j++){
+              if (float(i) >= uSamples || float(j) >= uSamples) continue;
+              vec2 offset = (vec2(float(i), float(j)) - (uSamples - 1.0) * 0.5) * (1.0 / min(uResolution.x, uResolution.y));
+              col += renderImage(vUv + offset);
+              samples++;
+          }
+      }
+      gl_FragColor = col / float(samples);
+  }
+`;
+
+// Copies the backdrop target to the screen as-is. Neither pass does colour management, so the
+// pattern's values reach the screen unchanged, as they did when it had a canvas of its own.
+const blitFragment = `
+  uniform sampler2D uMap;
+  varying vec2 vUv;
+  void main() {
+    gl_FragColor = texture2D(uMap, vUv);
+  }
+`;
+
+const environmentVertex = `
+  varying vec3 vDirection;
+  void main() {
+    vDirection = normalize(position);
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+  }
+`;
+
+// Directions are mapped so the middle of the sphere lines up with the backdrop as the camera sees
+// it, and the half facing the camera mirrors it: a chrome surface facing the viewer reflects the
+// same pattern that's behind it. The environment is lighting, so it's stored as linear colour.
+const environmentFragment = chromePattern + `
+  uniform vec2 uViewScale;
+  uniform float uReflection;
+  varying vec3 vDirection;
+
+  void main() {
+      vec3 direction = normalize(vDirection);
+      vec2 uv = 0.5 + direction.xy / (abs(direction.z) + 1.0) * uViewScale;
+      gl_FragColor = vec4(pow(renderImage(uv).rgb, vec3(2.2)) * uReflection, 1.0);
+  }
+`;
+
+const SCREEN_GEOMETRY = new THREE.PlaneGeometry(2, 2);
+
+// Longest step the flow takes in one frame. A frame after an on-demand pause (quality.pauseAtRest)
+// spans the whole pause; the slowest capture frame rate is 1fps.
+const MAX_FRAME_TIME = 1;
+
+// Animated liquid chrome behind the chain, drawn inside the R3F canvas. With `reflect` it is also
+// rendered into a cube map that becomes the scene environment, so the chain reflects it.
+// `theme` is a theme transition (createThemeTransition), sampled every frame. `bus` is the shared
+// interaction bus (interactionBus.js): pointer flicks, clicks and the swinging chain ripple the pattern.
+// Props only ever update uniforms and sizes - nothing is rebuilt when they change.
+// When the canvas renders on demand the backdrop holds still, but asks for frames while ripples
+// or a theme transition are playing out.
 export const LiquidChromeBackground = ({
-  baseColor = [0.1, 0.1, 0.1],
+  theme,
+  bus,
   speed = 0.2,
   amplitude = 0.3,
   frequencyX = 3,
   frequencyY = 3,
   interactive = true,
-  ...props
+  rippleStrength = 1,
+  chainDisturbance = 1,
+  samples = 3,
+  resolutionScale = 1,
+  reflect = true,
+  environmentResolution = 256,
+  environmentFrames = Infinity,
 }) => {
-  const containerRef = useRef(null);
+  const gl = useThree((state) => state.gl);
+  const invalidate = useThree((state) => state.invalidate);
+  const bufferSize = useMemo(() => new THREE.Vector2(), []);
 
-  useEffect(() => {
-    if (!containerRef.current) return;
-
-    const container = containerRef.current;
-    const renderer = new Renderer({ antialias: true });
-    const gl = renderer.gl;
-    gl.clearColor(0, 0, 0, 1);
-
-    const vertexShader = `
-      attribute vec2 position;
-      attribute vec2 uv;
-      varying vec2 vUv;
-      void main() {
-        vUv = uv;
-        gl_Position = vec4(position, 0.0, 1.0);
-      }
-    `;
-
-    const fragmentShader = `
-      precision highp float;
-      uniform float uTime;
-      uniform vec3 uResolution;
-      uniform vec3 uBaseColor;
-      uniform float uAmplitude;
-      uniform float uFrequencyX;
-      uniform float uFrequencyY;
-      uniform vec2 uMouse;
-      varying vec2 vUv;
-
-      vec4 renderImage(vec2 uvCoord) {
-          vec2 fragCoord = uvCoord * uResolution.xy;
-          vec2 uv = (2.0 * fragCoord - uResolution.xy) / min(uResolution.x, uResolution.y);
-
-          for (float i = 1.0; i < 10.0; i++){
-              uv.x += uAmplitude / i * cos(i * uFrequencyX * uv.y + uTime + uMouse.x * 3.14159);
-              uv.y += uAmplitude / i * cos(i * uFrequencyY * uv.x + uTime + uMouse.y * 3.14159);
-          }
+  // Uniform objects are shared, so the backdrop and the reflection animate in step
+  const uniforms = useMemo(() => ({
+    uTime: { value: 0 },
+    uResolution: { value: new THREE.Vector3(1, 1, 1) },
+    uRamp: { value: Array.from({ length: RAMP_STOPS }, () => new THREE.Vector3()) },
+    uTone: { value: new THREE.Vector3(1, 0, 0) },
+    uCeiling: { value: 0.7 },
+    uExposure: { value: 1 },
+    uAmplitude: { value: amplitude },
+    uFrequencyX: { value: frequencyX },
+    uFrequencyY: { value: frequencyY },
+    uMouse: { value: new THREE.Vector2(0, 0) },
+    uRipples: { value: Array.from({ length: RIPPLE_SLOTS }, () => new THREE.Vector4()) },
+    uRippleSpeeds: { value: new Array(RIPPLE_SLOTS).fill(0) },
+  }), []);
 
-          vec2 diff = (uvCoord - uMouse);
-          float dist = length(diff);
-          float falloff = exp(-dist * 20.0);
-          float ripple = sin(10.0 * dist - uTime * 2.0) * 0.03;
-          uv += (diff / (dist + 0.0001)) * ripple * falloff;
-
-          vec3 color = uBaseColor / abs(sin(uTime - uv.y - uv.x));
-          // Clamp the color to create light grey instead of white
-          color = min(color, vec3(0.7, 0.7, 0.7)); // Light grey maximum
-          return vec4(color, 1.0);
-      }
+  // Ripples age with rendered frames rather than the wall clock, so captured clips replay exactly
+  const rippleClock = useRef(0);
+  const ripples = useMemo(() => bus && createRippleField(bus, { now: () => rippleClock.current }), [bus]);
+  useEffect(() => () => ripples?.dispose(), [ripples]);
 
-      void main() {
-          vec4 col = vec4(0.0);
-          int samples = 0;
-          for (int i = -1; i <= 1; i++){
-              for (int j = -1; j <= 1; j++){
-                  vec2 offset = vec2(float(i), float(j)) * (1.0 / min(uResolution.x, uResolution.y));
-                  col += renderImage(vUv + offset);
-                  samples++;
-              }
-          }
-          gl_FragColor = col / float(samples);
-      }
-    `;
-
-    const geometry = new Triangle(gl);
-    const program = new Program(gl, {
-      vertex: vertexShader,
-      fragment: fragmentShader,
-      uniforms: {
-        uTime: { value: 0 },
-        uResolution: {
-          value: new Float32Array([
-            gl.canvas.width,
-            gl.canvas.height,
-            gl.canvas.width / gl.canvas.height,
-          ]),
-        },
-        uBaseColor: { value: new Float32Array(baseColor) },
-        uAmplitude: { value: amplitude },
-        uFrequencyX: { value: frequencyX },
-        uFrequencyY: { value: frequencyY },
-        uMouse: { value: new Float32Array([0, 0]) },
-      },
+  const { target, backdrop, backdropScene, blitMaterial, environmentMaterial } = useMemo(() => {
+    const target = new THREE.WebGLRenderTarget(1, 1, { depthBuffer: false });
+    const backdrop = new THREE.ShaderMaterial({
+      vertexShader: screenVertex,
+      fragmentShader: backdropFragment,
+      uniforms: { ...uniforms, uSamples: { value: 3 } },
+      depthTest: false,
+      depthWrite: false,
     });
-    const mesh = new Mesh(gl, { geometry, program });
-
-    function resize() {
-      const scale = 1;
-      renderer.setSize(
-        container.offsetWidth * scale,
-        container.offsetHeight * scale
-      );
-      const resUniform = program.uniforms.uResolution.value;
-      resUniform[0] = gl.canvas.width;
-      resUniform[1] = gl.canvas.height;
-      resUniform[2] = gl.canvas.width / gl.canvas.height;
-    }
-    window.addEventListener("resize", resize);
-    resize();
-
-    function handleMouseMove(event) {
-      const rect = container.getBoundingClientRect();
-      const x = (event.clientX - rect.left) / rect.width;
-      const y = 1 - (event.clientY - rect.top) / rect.height;
-      const mouseUniform = program.uniforms.uMouse.value;
-      mouseUniform[0] = x;
-      mouseUniform[1] = y;
-    }
+    const backdropScene = new THREE.Scene();
+    const quad = new THREE.Mesh(SCREEN_GEOMETRY, backdrop);
+    quad.frustumCulled = false;
+    backdropScene.add(quad);
 
-    function handleTouchMove(event) {
-      if (event.touches.length > 0) {
-        const touch = event.touches[0];
-        const rect = container.getBoundingClientRect();
-        const x = (touch.clientX - rect.left) / rect.width;
-        const y = 1 - (touch.clientY - rect.top) / rect.height;
-        const mouseUniform = program.uniforms.uMouse.value;
-        mouseUniform[0] = x;
-        mouseUniform[1] = y;
-      }
-    }
+    const blitMaterial = new THREE.ShaderMaterial({
+      vertexShader: screenVertex,
+      fragmentShader: blitFragment,
+      uniforms: { uMap: { value: target.texture } },
+      depthTest: false,
+      depthWrite: false,
+    });
+    const environmentMaterial = new THREE.ShaderMaterial({
+      vertexShader: environmentVertex,
+      fragmentShader: environmentFragment,
+      uniforms: { ...uniforms, uViewScale: { value: new THREE.Vector2(1, 1) }, uReflection: { value: 1 } },
+      side: THREE.BackSide,
+      depthWrite: false,
+    });
+    return { target, backdrop, backdropScene, blitMaterial, environmentMaterial };
+  }, [uniforms]);
+
+  useEffect(() => () => {
+    target.dispose();
+    backdrop.dispose();
+    blitMaterial.dispose();
+    environmentMaterial.dispose();
+  }, [target, backdrop, blitMaterial, environmentMaterial]);
 
-    if (interactive) {
-      container.addEventListener("mousemove", handleMouseMove);
-      container.addEventListener("touchmove", handleTouchMove);
+  useEffect(() => {
+    uniforms.uAmplitude.value = amplitude;
+    uniforms.uFrequencyX.value = frequencyX;
+    uniforms.uFrequencyY.value = frequencyY;
+    backdrop.uniforms.uSamples.value = Math.max(1, Math.min(3, Math.round(samples)));
+    invalidate();
+  }, [uniforms, backdrop, amplitude, frequencyX, frequencyY, samples, invalidate]);
+
+  // Without interactivity only the chain's swing disturbs the fluid
+  useEffect(() => {
+    ripples?.configure({ strength: interactive ? rippleStrength : 0, chainStrength: chainDisturbance });
+  }, [ripples, interactive, rippleStrength, chainDisturbance]);
+
+  useFrame((state, frameDelta) => {
+    const delta = Math.min(frameDelta, MAX_FRAME_TIME);
+    uniforms.uTime.value += delta * speed;
+    rippleClock.current += delta;
+
+    // The backdrop is rendered at resolutionScale of the drawing buffer and stretched to fill it.
+    // Following the buffer rather than the layout size keeps it sharp in large captures.
+    gl.getDrawingBufferSize(bufferSize);
+    const width = Math.max(1, Math.round(bufferSize.x * resolutionScale));
+    const height = Math.max(1, Math.round(bufferSize.y * resolutionScale));
+    if (width !== target.width || height !== target.height) {
+      target.setSize(width, height);
+      uniforms.uResolution.value.set(width, height, width / height);
     }
 
-    let animationId;
-    function update(t) {
-      animationId = requestAnimationFrame(update);
-      program.uniforms.uTime.value = t * 0.001 * speed;
-      renderer.render({ scene: mesh });
+    if (theme) {
+      const current = theme.at(state.clock.elapsedTime);
+      current.ramp.forEach((stop, i) => uniforms.uRamp.value[i].fromArray(stop));
+      uniforms.uTone.value.fromArray(current.tone);
+      uniforms.uCeiling.value = current.ceiling;
+      uniforms.uExposure.value = current.exposure;
+      environmentMaterial.uniforms.uReflection.value = current.reflection;
+      if (current !== theme.target) invalidate(); // Still blending
+    }
+    if (interactive && bus) {
+      uniforms.uMouse.value.set(bus.pointer.x, bus.pointer.y);
+    } else if (interactive) {
+      uniforms.uMouse.value.set(state.pointer.x * 0.5 + 0.5, state.pointer.y * 0.5 + 0.5);
     }
-    animationId = requestAnimationFrame(update);
+    if (ripples?.write(uniforms.uRipples.value, uniforms.uRippleSpeeds.value)) invalidate();
 
-    container.appendChild(gl.canvas);
+    const halfHeight = Math.tan(THREE.MathUtils.degToRad(state.camera.fov) / 2);
+    environmentMaterial.uniforms.uViewScale.value.set(1 / (halfHeight * state.camera.aspect), 1 / halfHeight);
 
-    return () => {
-      cancelAnimationFrame(animationId);
-      window.removeEventListener("resize", resize);
-      if (interactive) {
-        container.removeEventListener("mousemove", handleMouseMove);
-        container.removeEventListener("touchmove", handleTouchMove);
-      }
-      if (gl.canvas.parentElement) {
-        gl.canvas.parentElement.removeChild(gl.canvas);
-      }
-      gl.getExtension("WEBGL_lose_context")?.loseContext();
-    };
-  }, [baseColor, speed, amplitude, frequencyX, frequencyY, interactive]);
+    const previousTarget = gl.getRenderTarget();
+    gl.setRenderTarget(target);
+    gl.render(backdropScene, state.camera);
+    gl.setRenderTarget(previousTarget);
+  });
 
   return (
-    <div
-      ref={containerRef}
-      className="liquidChrome-container"
-      {...props}
-    />
+    <>
+      <mesh
+        geometry={SCREEN_GEOMETRY}
+        material={blitMaterial}
+        frustumCulled={false}
+        renderOrder={-1000}
+        userData={{ [CAPTURE_BACKGROUND]: true }}
+      />
+      {reflect && (
+        <Environment resolution={environmentResolution} frames={environmentFrames}>
+          <mesh scale={100} material={environmentMaterial}>
+            <sphereGeometry args={[1, 64, 32]} />
+          </mesh>
+        </Environment>
+      )}
+    </>
   );
 };
 
-export default LiquidChromeBackground; 
\ No newline at end of file
+export default LiquidChromeBackground;
@@ -0,0 +1,155 @@
+import React, { useState } from 'react'
+import { FINISHES, FINISH_NAMES, resolveFinish } from './materialPresets'
+import { usePanelFocus } from './accessibility'
+
+const panelStyle = {
+  position: 'absolute',
+  top: '20px',
+  left: '20px',
+  zIndex: 1000,
+  width: '220px',
+  padding: '12px',
+  backgroundColor: 'rgba(255, 255, 255, 0.9)',
+  border: '2px solid #333',
+  borderRadius: '8px',
+  boxShadow: '0 2px 10px rgba(0,0,0,0.2)',
+  fontSize: '12px',
+  color: '#333',
+}
+
+const toggleStyle = {
+  padding: '12px 16px',
+  backgroundColor: 'rgba(255, 255, 255, 0.9)',
+  border: '2px solid #333',
+  borderRadius: '8px',
+  cursor: 'pointer',
+  fontSize: '14px',
+  fontWeight: '600',
+  color: '#333',
+  boxShadow: '0 2px 10px rgba(0,0,0,0.2)',
+}
+
+const SLIDERS = [
+  { key: 'metalness', label: 'Metalness' },
+  { key: 'roughness', label: 'Roughness' },
+  { key: 'clearcoat', label: 'Clearcoat' },
+]
+
+// Finish picker for the chain: presets, a custom colour and metalness / roughness / clearcoat.
+// `selection` is { finish, ...adjustments } as described in materialPresets.js.
+function MaterialConfigurator({ selection, onChange }) {
+  const [open, setOpen] = useState(false)
+  const { toggleRef, closeRef } = usePanelFocus(open)
+  const values = resolveFinish(selection)
+
+  if (!open) {
+    return (
+      <button
+        ref={toggleRef}
+        onClick={() => setOpen(true)}
+        style={{ ...toggleStyle, position: 'absolute', top: '20px', left: '20px', zIndex: 1000 }}
+      >
+        🎨 Finish: {FINISHES[selection.finish].label}
+      </button>
+    )
+  }
+
+  return (
+    <div
+      role="dialog"
+      aria-label="Finish"
+      onKeyDown={(event) => { if (event.key === 'Escape') setOpen(false) }}
+      style={panelStyle}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' }}>
+        <strong style={{ fontSize: '14px' }}>🎨 Finish</strong>
+        <button
+          ref={closeRef}
+          onClick={() => setOpen(false)}
+          aria-label="Close finish panel"
+          style={{ border: 'none', background: 'none', cursor: 'pointer', fontSize: '16px', color: '#333' }}
+        >
+          ✕
+        </button>
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '6px', marginBottom: '10px' }}>
+        {FINISH_NAMES.map((name) => {
+          const preset = FINISHES[name]
+          const active = selection.finish === name
+          return (
+            <button
+              key={name}
+              onClick={() => onChange({ finish: name })}
+              aria-pressed={active}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '6px',
+                padding: '6px',
+                border: active ? '2px solid #333' : '1px solid #999',
+                borderRadius: '6px',
+                backgroundColor: active ? 'rgba(0,0,0,0.08)' : 'white',
+                cursor: 'pointer',
+                fontSize: '11px',
+                fontWeight: active ? '600' : '400',
+                color: '#333',
+                textAlign: 'left',
+              }}
+            >
+              <span style={{
+                width: '14px',
+                height: '14px',
+                flexShrink: 0,
+                borderRadius: '50%',
+                border: '1px solid #666',
+                background: preset.color || 'linear-gradient(135deg, #ccc, #d4a64a)',
+              }} />
+              {preset.label}
+            </button>
+          )
+        })}
+      </div>
+
+      {values && (
+        <>
+          <label style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+            Colour
+            <input
+              type="color"
+              value={values.color}
+              onChange={(event) => onChange({ ...selection, color: event.target.value })}
+              style={{ width: '48px', height: '24px', border: 'none', padding: 0, background: 'none' }}
+            />
+          </label>
+
+          {SLIDERS.map(({ key, label }) => (
+            <label key={key} style={{ display: 'block', marginBottom: '6px' }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+                <span>{label}</span>
+                <span>{values[key].toFixed(2)}</span>
+              </div>
+              <input
+                type="range"
+                min="0"
+                max="1"
+                step="0.01"
+                value={values[key]}
+                onChange={(event) => onChange({ ...selection, [key]: Number(event.target.value) })}
+                style={{ width: '100%' }}
+              />
+            </label>
+          ))}
+
+          <button
+            onClick={() => onChange({ finish: selection.finish })}
+            style={{ ...toggleStyle, width: '100%', padding: '6px', fontSize: '12px', boxShadow: 'none' }}
+          >
+            ↺ Reset adjustments
+          </button>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default MaterialConfigurator
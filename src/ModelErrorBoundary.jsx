@@ -0,0 +1,26 @@
+import React from 'react'
+
+// Catches model load failures inside the Canvas so the viewer can fall back to
+// another model version or show an error screen instead of an empty scene
+class ModelErrorBoundary extends React.Component {
+  constructor(props) {
+    super(props)
+    this.state = { error: null }
+  }
+
+  static getDerivedStateFromError(error) {
+    return { error }
+  }
+
+  componentDidCatch(error) {
+    console.error('Error loading 3D model:', error)
+    this.props.onError?.(error)
+  }
+
+  render() {
+    // The viewer remounts this boundary (new key) to retry or try the next fallback
+    return this.state.error ? null : this.props.children
+  }
+}
+
+export default ModelErrorBoundary
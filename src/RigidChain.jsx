@@ -0,0 +1,205 @@
+import React, { useEffect, useMemo, useRef } from 'react'
+import * as THREE from 'three'
+import { useFrame, useThree } from '@react-three/fiber'
+import { Physics, RigidBody, useSphericalJoint } from '@react-three/rapier'
+import { disposeChainLinks, splitChainLinks } from './chainLinks'
+import { useChainModel } from './modelLoading'
+import { layoutMatrix, useChainLayout } from './autoFraming'
+
+// Physics tuning for the rigid-body chain
+const LINK_LINEAR_DAMPING = 0.4 // Air drag on each link
+const LINK_ANGULAR_DAMPING = 0.8 // Keeps links from spinning forever
+const GRAB_STIFFNESS = 60 // How hard the grabbed point is pulled toward the pointer
+const GRAB_DAMPING = 8 // Stops the grabbed link from overshooting the pointer
+const CLICK_IMPULSE = 0.6 // Strength of a click "slap"
+const CLICK_MOVE_THRESHOLD = 4 // Pixels the pointer may move and still count as a click
+
+// Spherical joint between two neighbouring bodies, anchored at a shared world point
+function LinkJoint({ bodyA, bodyB, anchorA, anchorB }) {
+  const joint = useSphericalJoint(bodyA, bodyB, [anchorA, anchorB])
+
+  useEffect(() => {
+    // Neighbouring links overlap at the joint - only non-adjacent links should collide
+    joint.current?.setContactsEnabled(false)
+  }, [joint])
+
+  return null
+}
+
+// Drives the grabbed link toward the pointer and slaps the chain on click
+function ChainGrabber({ bodyRefs, grabRef }) {
+  const { camera, pointer, raycaster } = useThree()
+  const plane = useMemo(() => new THREE.Plane(), [])
+  const target = useMemo(() => new THREE.Vector3(), [])
+  const grabPoint = useMemo(() => new THREE.Vector3(), [])
+
+  useFrame((state, delta) => {
+    const grab = grabRef.current
+    if (!grab || !grab.dragging) return
+
+    const body = bodyRefs[grab.body].current
+    if (!body) return
+
+    // Project the pointer onto the plane facing the camera through the grab point
+    raycaster.setFromCamera(pointer, camera)
+    plane.setFromNormalAndCoplanarPoint(camera.getWorldDirection(new THREE.Vector3()).negate(), grab.worldPoint)
+    if (!raycaster.ray.intersectPlane(plane, target)) return
+
+    // Current world position of the point we grabbed
+    const { x, y, z, w } = body.rotation()
+    const translation = body.translation()
+    grabPoint
+      .copy(grab.localPoint)
+      .applyQuaternion(new THREE.Quaternion(x, y, z, w))
+      .add(new THREE.Vector3(translation.x, translation.y, translation.z))
+    grab.worldPoint.copy(grabPoint)
+
+    // Damped spring toward the pointer, applied as an impulse at the grab point
+    const velocity = body.linvel()
+    const dt = Math.min(delta, 0.033)
+    const mass = body.mass()
+    const impulse = target
+      .sub(grabPoint)
+      .multiplyScalar(GRAB_STIFFNESS)
+      .sub(new THREE.Vector3(velocity.x, velocity.y, velocity.z).multiplyScalar(GRAB_DAMPING))
+      .multiplyScalar(mass * dt)
+
+    body.applyImpulseAtPoint(impulse, grabPoint, true)
+  })
+
+  return null
+}
+
+// Chain simulated as individual rigid links joined by spherical joints
+function RigidChain({ modelPath, onModelProgress, layoutConfig, gravity = 12, segmentCount = 14, finishMaterial = null, addDebugMessage = () => {} }) {
+  const { scene } = useChainModel(modelPath, onModelProgress)
+  const grabRef = useRef(null)
+
+  // Model space -> world space, matching the pendulum's pivot groups - see autoFraming.js. The
+  // bodies, colliders and joint anchors are all built in world space, so when a resize refits
+  // the chain it's split again and the simulation remounts (keyed on the fit) around the new bodies.
+  const chainLayout = useChainLayout(scene, layoutConfig)
+  const fitKey = [chainLayout.anchorY, chainLayout.baseScale, chainLayout.modelScale, ...chainLayout.modelOffset, segmentCount].join(':')
+  const layout = useMemo(() => splitChainLinks(scene, { transform: layoutMatrix(chainLayout), segmentCount }), [scene, fitKey]) // fitKey stands for chainLayout
+
+  // The split geometries are the chain's own copies - free them once they're replaced or unmounted.
+  // A grab in progress refers to a body of the old split, so it's dropped.
+  useEffect(() => {
+    grabRef.current = null
+    return () => disposeChainLinks(layout)
+  }, [layout])
+
+  useEffect(() => {
+    addDebugMessage(`⛓️ RIGID CHAIN: ${layout.bodies.length} bodies, ${layout.joints.length} joints, ${layout.pins.length} pins`)
+  }, [layout, addDebugMessage])
+
+  const bodyRefs = useMemo(() => layout.bodies.map(() => React.createRef()), [layout])
+  const pinRefs = useMemo(() => layout.pins.map(() => React.createRef()), [layout])
+
+  // Local anchor of a world point relative to a body's rest position
+  const localAnchor = (bodyIndex, anchor) => {
+    const [x, y, z] = layout.bodies[bodyIndex].position
+    return [anchor[0] - x, anchor[1] - y, anchor[2] - z]
+  }
+
+  const handlePointerDown = (bodyIndex) => (event) => {
+    event.stopPropagation()
+    const body = bodyRefs[bodyIndex].current
+    if (!body) return
+
+    // Remember where on the link we grabbed it, in the link's own frame
+    const { x, y, z, w } = body.rotation()
+    const translation = body.translation()
+    const localPoint = event.point
+      .clone()
+      .sub(new THREE.Vector3(translation.x, translation.y, translation.z))
+      .applyQuaternion(new THREE.Quaternion(x, y, z, w).invert())
+
+    grabRef.current = {
+      body: bodyIndex,
+      localPoint,
+      worldPoint: event.point.clone(),
+      direction: event.ray.direction.clone(),
+      startX: event.clientX,
+      startY: event.clientY,
+      dragging: false,
+    }
+    event.target.setPointerCapture?.(event.pointerId)
+  }
+
+  const handlePointerMove = (event) => {
+    const grab = grabRef.current
+    if (!grab || grab.dragging) return
+    if (Math.hypot(event.clientX - grab.startX, event.clientY - grab.startY) > CLICK_MOVE_THRESHOLD) {
+      grab.dragging = true
+    }
+  }
+
+  const handlePointerUp = (event) => {
+    const grab = grabRef.current
+    grabRef.current = null
+    event.target.releasePointerCapture?.(event.pointerId)
+    if (!grab || grab.dragging) return
+
+    // Treat it as a click - push the link away from the camera at the point that was hit
+    const body = bodyRefs[grab.body].current
+    if (!body) return
+    const impulse = grab.direction.clone().multiplyScalar(CLICK_IMPULSE * body.mass())
+    body.applyImpulseAtPoint(impulse, grab.worldPoint, true)
+  }
+
+  return (
+    <Physics key={fitKey} gravity={[0, -gravity, 0]}>
+      {/* Fixed anchors the chain hangs from */}
+      {layout.pins.map((pin, i) => (
+        <RigidBody key={`pin-${i}`} ref={pinRefs[i]} type="fixed" colliders={false} position={pin.anchor} />
+      ))}
+
+      {layout.bodies.map((body, i) => (
+        <RigidBody
+          key={`body-${i}`}
+          ref={bodyRefs[i]}
+          position={body.position}
+          colliders="hull"
+          linearDamping={LINK_LINEAR_DAMPING}
+          angularDamping={LINK_ANGULAR_DAMPING}
+          canSleep={false}
+        >
+          <group
+            onPointerDown={handlePointerDown(i)}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+          >
+            {body.parts.map((part, p) => (
+              <mesh key={p} geometry={part.geometry} material={finishMaterial || part.material} castShadow receiveShadow />
+            ))}
+          </group>
+        </RigidBody>
+      ))}
+
+      {layout.joints.map((joint, i) => (
+        <LinkJoint
+          key={`joint-${i}`}
+          bodyA={bodyRefs[joint.a]}
+          bodyB={bodyRefs[joint.b]}
+          anchorA={localAnchor(joint.a, joint.anchor)}
+          anchorB={localAnchor(joint.b, joint.anchor)}
+        />
+      ))}
+
+      {layout.pins.map((pin, i) => (
+        <LinkJoint
+          key={`pin-joint-${i}`}
+          bodyA={pinRefs[i]}
+          bodyB={bodyRefs[pin.body]}
+          anchorA={[0, 0, 0]}
+          anchorB={localAnchor(pin.body, pin.anchor)}
+        />
+      ))}
+
+      <ChainGrabber bodyRefs={bodyRefs} grabRef={grabRef} />
+    </Physics>
+  )
+}
+
+export default RigidChain
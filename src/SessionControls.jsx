@@ -0,0 +1,114 @@
+import React, { useRef, useState } from 'react'
+import { parseRecording, recordingToJSON } from './sessionRecorder'
+import { downloadJSON } from './download'
+
+const buttonStyle = {
+  padding: '8px 10px',
+  backgroundColor: 'rgba(255, 255, 255, 0.9)',
+  border: '2px solid #333',
+  borderRadius: '6px',
+  cursor: 'pointer',
+  fontSize: '12px',
+  fontWeight: '600',
+  color: '#333',
+}
+
+// Dev tool: record a session of chain input, replay it with the current physics and export it as JSON.
+// `chainRef` is the pendulum InteractiveChain's imperative handle.
+function SessionControls({ chainRef, disabled, addDebugMessage }) {
+  const [isRecording, setIsRecording] = useState(false)
+  const [isPlaying, setIsPlaying] = useState(false)
+  const [recording, setRecording] = useState(null)
+  const [status, setStatus] = useState('')
+  const fileInputRef = useRef(null)
+
+  const handleRecord = () => {
+    if (!chainRef.current) return
+    if (isRecording) {
+      const result = chainRef.current.stopRecording()
+      setIsRecording(false)
+      if (result) {
+        setRecording(result)
+        setStatus(`${result.frames.length} frames recorded`)
+      }
+    } else {
+      chainRef.current.startRecording({ userAgent: navigator.userAgent })
+      setIsRecording(true)
+      setStatus('Recording…')
+    }
+  }
+
+  const handleReplay = async () => {
+    if (!chainRef.current || !recording) return
+    setIsRecording(false)
+    setIsPlaying(true)
+    setStatus('Replaying…')
+    const comparison = await chainRef.current.playRecording(recording)
+    setIsPlaying(false)
+    setStatus(comparison
+      ? `Max deviation ${comparison.maxDeviation.toFixed(4)} rad (rms ${comparison.rmsDeviation.toFixed(4)})`
+      : 'Replay interrupted')
+  }
+
+  const handleExport = () => {
+    if (!recording) return
+    downloadJSON(recordingToJSON(recording), `chain-session-${recording.createdAt.replace(/[:.]/g, '-')}.json`)
+  }
+
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+    try {
+      const imported = parseRecording(await file.text())
+      setRecording(imported)
+      setStatus(`Loaded ${imported.frames.length} frames`)
+    } catch (error) {
+      addDebugMessage('❌ SESSION IMPORT FAILED: ' + error.message)
+      setStatus('Import failed: ' + error.message)
+    }
+  }
+
+  return (
+    <div style={{
+      position: 'absolute',
+      bottom: '80px',
+      left: '20px',
+      zIndex: 1000,
+      display: 'flex',
+      flexDirection: 'column',
+      gap: '6px',
+      maxWidth: '260px',
+    }}>
+      <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap' }}>
+        <button onClick={handleRecord} disabled={disabled || isPlaying} style={buttonStyle}>
+          {isRecording ? '⏹️ Stop' : '⏺️ Record'}
+        </button>
+        <button onClick={handleReplay} disabled={disabled || isPlaying || !recording} style={buttonStyle}>
+          ▶️ Replay
+        </button>
+        <button onClick={handleExport} disabled={!recording} style={buttonStyle}>
+          💾 Export
+        </button>
+        <button onClick={() => fileInputRef.current?.click()} disabled={isPlaying} style={buttonStyle}>
+          📂 Import
+        </button>
+        <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleImport} style={{ display: 'none' }} />
+      </div>
+      {status && (
+        <div style={{
+          padding: '6px 10px',
+          backgroundColor: 'rgba(255, 255, 255, 0.9)',
+          border: '2px solid #333',
+          borderRadius: '6px',
+          fontSize: '11px',
+          color: '#333',
+        }}>
+          {status}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default SessionControls
@@ -0,0 +1,97 @@
+// Keyboard, screen-reader and reduced-motion support for the viewer.
+// The key mapping and motion adjustments are pure; the hooks below wire them to the browser.
+
+import { useEffect, useRef, useState } from 'react'
+import { KEYBOARD_DIRECTIONS } from './inputController'
+
+export const REDUCED_MOTION_MODES = ['auto', 'always', 'never']
+
+export const KEYBOARD_INSTRUCTIONS = 'Use the arrow keys to push the chain, Space to flick it or stop it, and R to reset it.'
+
+const DIRECTION_NAMES = { ArrowUp: 'back', ArrowDown: 'forward', ArrowLeft: 'left', ArrowRight: 'right' }
+
+// What a key does to the chain: 'push' (held), 'flick' (flick a still chain, stop a moving one),
+// 'reset', or null for keys the viewer leaves alone
+export const chainKeyAction = (key) => {
+  if (key in KEYBOARD_DIRECTIONS) return 'push'
+  if (key === ' ' || key === 'Spacebar') return 'flick'
+  if (key === 'r' || key === 'R') return 'reset'
+  return null
+}
+
+export const pushDirectionName = (key) => DIRECTION_NAMES[key] || ''
+
+// Hidden from sight but still read out - for instructions and the live region
+export const VISUALLY_HIDDEN = {
+  position: 'absolute',
+  width: '1px',
+  height: '1px',
+  padding: 0,
+  margin: '-1px',
+  overflow: 'hidden',
+  clip: 'rect(0, 0, 0, 0)',
+  whiteSpace: 'nowrap',
+  border: 0,
+}
+
+// Background settings with motion toned down: the chrome drifts at a tenth of its speed, nothing
+// ripples and theme changes apply at once
+export const reduceBackgroundMotion = (background) => ({
+  ...background,
+  speed: background.speed * 0.1,
+  rippleStrength: 0,
+  chainDisturbance: 0,
+  transitionTime: 0,
+})
+
+export const isReducedMotion = (mode, prefersReducedMotion) => (
+  mode === 'always' || (mode === 'auto' && prefersReducedMotion)
+)
+
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)'
+
+// Whether the visitor has asked their system for less motion, following changes live
+export const usePrefersReducedMotion = () => {
+  const [reduced, setReduced] = useState(() => (
+    typeof window !== 'undefined' && typeof window.matchMedia === 'function' && window.matchMedia(REDUCED_MOTION_QUERY).matches
+  ))
+
+  useEffect(() => {
+    if (typeof window.matchMedia !== 'function') return
+    const query = window.matchMedia(REDUCED_MOTION_QUERY)
+    const handleChange = () => setReduced(query.matches)
+    query.addEventListener('change', handleChange)
+    return () => query.removeEventListener('change', handleChange)
+  }, [])
+
+  return reduced
+}
+
+// Text for a polite live region. Repeating a message still gets it read again.
+export const useAnnouncer = () => {
+  const [message, setMessage] = useState('')
+  const announce = useRef((text) => {
+    // Screen readers only speak changes, so an identical message is made to differ invisibly
+    setMessage((previous) => (previous === text ? text + ' ' : text))
+  }).current
+  return [message, announce]
+}
+
+// Focus for a panel that swaps between a toggle button and an open panel: opening moves focus to
+// the panel's close button, closing hands it back to the toggle instead of dropping it on the page
+export const usePanelFocus = (open) => {
+  const toggleRef = useRef(null)
+  const closeRef = useRef(null)
+  const openedRef = useRef(false)
+
+  useEffect(() => {
+    if (open) {
+      openedRef.current = true
+      closeRef.current?.focus()
+    } else if (openedRef.current) {
+      toggleRef.current?.focus()
+    }
+  }, [open])
+
+  return { toggleRef, closeRef }
+}
@@ -0,0 +1,140 @@
+// Analytics for the viewer's events (see viewerEvents.js), without tying it to one vendor.
+// Pure module - no React; timers and the clock can be passed in, so batching runs in Node.
+//
+// A sink is any object with:
+//   track(record) - take one record: { name, payload, time, session }
+//   flush()       - optional: send anything held back now (the viewer calls it when the page hides)
+//   close()       - optional: flush and let go of timers
+// Wire sinks up with <ChainViewer analytics={[sink]} />, or connectAnalytics() by hand.
+
+// Keeps every record in memory - for tests, debugging and dashboards on the same page
+export const createMemorySink = ({ limit = 1000 } = {}) => {
+  const records = []
+  return {
+    track(record) {
+      records.push(record)
+      if (records.length > limit) records.shift()
+    },
+
+    get records() {
+      return records
+    },
+
+    // How many times each event was recorded, e.g. { dragEnd: 3, chainClicked: 1 }
+    counts() {
+      return records.reduce((counts, { name }) => ({ ...counts, [name]: (counts[name] || 0) + 1 }), {})
+    },
+
+    clear() {
+      records.length = 0
+    },
+  }
+}
+
+/**
+ * Collects records and hands them to `send(records)` in batches: once `batchSize` have built up,
+ * or `interval` seconds after the first of a batch arrived. If `send` throws or rejects, the batch
+ * goes back on the queue and is tried again after another `interval` - but never more than
+ * `maxQueue` records are held, oldest dropped first.
+ */
+export const createBatchingSink = (send, {
+  batchSize = 20,
+  interval = 10,
+  maxQueue = 500,
+  schedule = (callback, ms) => setTimeout(callback, ms),
+  cancel = (timer) => clearTimeout(timer),
+} = {}) => {
+  let queue = []
+  let timer = null
+  let sending = null
+
+  const stopTimer = () => {
+    if (timer !== null) cancel(timer)
+    timer = null
+  }
+
+  const requeue = (batch) => {
+    queue = [...batch, ...queue].slice(-maxQueue)
+  }
+
+  const flush = async () => {
+    stopTimer()
+    if (queue.length === 0) return
+    const batch = queue
+    queue = []
+    try {
+      sending = Promise.resolve(send(batch))
+      await sending
+    } catch (error) {
+      console.warn('Analytics batch of ' + batch.length + ' failed, keeping it for the next flush:', error)
+      requeue(batch)
+      if (timer === null) timer = schedule(flush, interval * 1000)
+    } finally {
+      sending = null
+    }
+  }
+
+  return {
+    track(record) {
+      queue.push(record)
+      if (queue.length > maxQueue) queue.shift()
+      if (queue.length >= batchSize) flush()
+      else if (timer === null) timer = schedule(flush, interval * 1000)
+    },
+
+    flush,
+
+    async close() {
+      await sending
+      await flush()
+    },
+
+    get pending() {
+      return queue.length
+    },
+  }
+}
+
+// send() for createBatchingSink that POSTs the batch as JSON. Uses sendBeacon where it can, so a
+// batch flushed as the page goes away still arrives.
+export const beaconSender = (url) => (records) => {
+  const body = JSON.stringify({ records })
+  if (typeof navigator !== 'undefined' && typeof navigator.sendBeacon === 'function' &&
+    navigator.sendBeacon(url, new Blob([body], { type: 'application/json' }))) {
+    return undefined
+  }
+  return fetch(url, { method: 'POST', body, headers: { 'Content-Type': 'application/json' }, keepalive: true })
+    .then((response) => {
+      if (!response.ok) throw new Error(`Analytics POST failed: ${response.status}`)
+    })
+}
+
+const randomSession = () => Math.random().toString(36).slice(2, 10) + Date.now().toString(36)
+
+/**
+ * Send every viewer event to the sinks as { name, payload, time, session }. `time` is from `now()`
+ * (ms since the epoch by default) and `session` is shared by every record of this connection.
+ * A sink that throws doesn't stop the others. Returns a disconnect function that closes the sinks.
+ */
+export const connectAnalytics = (events, sinks, { session = randomSession(), now = () => Date.now() } = {}) => {
+  const unsubscribe = events.onAny((name, payload) => {
+    const record = { name, payload, time: now(), session }
+    sinks.forEach((sink) => {
+      try {
+        sink.track(record)
+      } catch (error) {
+        console.warn('Analytics sink failed:', error)
+      }
+    })
+  })
+
+  return () => {
+    unsubscribe()
+    sinks.forEach((sink) => sink.close?.())
+  }
+}
+
+// Send whatever the sinks are holding now - e.g. as the page is hidden
+export const flushAnalytics = (sinks) => {
+  sinks.forEach((sink) => sink.flush?.())
+}
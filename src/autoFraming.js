@@ -0,0 +1,133 @@
+// Automatic framing: places and sizes any chain model from its own bounds, so a new GLB doesn't
+// need the pivot, offset and scale re-tuned by hand.
+//
+// The chain hangs from its attachment point - a node named by framing.attachNode, or else the
+// top centre of the model. That point goes on the pivot, which sits a fixed fraction of the view
+// height above the top edge of the viewport; the model is scaled to hang a fixed fraction of the
+// way down it. Both are measured in view heights at the chain's depth, so the top stays pinned
+// to the edge at any window size. Narrow (portrait) viewports shrink the chain to fit across.
+//
+// frameChain() is pure math; measureChainModel() and useChainLayout() do the Three.js and React.
+
+import { useMemo } from 'react'
+import * as THREE from 'three'
+import { useThree } from '@react-three/fiber'
+
+/**
+ * @typedef {Object} ChainLayout
+ * @property {number} anchorY - Height of the pivot
+ * @property {number} baseScale - Resting scale of the pivot group
+ * @property {number} modelScale - Scale of the model inside the pivot group
+ * @property {[number, number, number]} modelOffset - Model position in the pivot group (puts the
+ *   attachment point on the pivot)
+ * @property {number} length - How far below the pivot the end of the chain hangs, in the pivot
+ *   group's space
+ * @property {number} radius - Furthest the model reaches from the axis it twists about (straight
+ *   down through the pivot), in the pivot group's space
+ * @property {number} chainLength - Length for the pendulum physics, see physics.chainLength
+ */
+
+// Furthest the model's bounds reach from a vertical axis through (x, z), in model space
+const axisReach = (model, x, z) => Math.max(x - model.min[0], model.max[0] - x, z - model.min[2], model.max[2] - z)
+
+// Visible height and width of the plane through the origin, for a camera at [0, 0, z]
+export const viewSize = ({ fov, z }, aspect) => {
+  const height = 2 * z * Math.tan(THREE.MathUtils.degToRad(fov) / 2)
+  return { height, width: height * aspect }
+}
+
+/**
+ * Fit a model to the view. `model` is what measureChainModel() returns: its bounds and attachment
+ * point in model space ({ min, max, attach }, each [x, y, z]).
+ * @returns {ChainLayout}
+ */
+export const frameChain = (model, { camera, aspect, baseScale, framing }) => {
+  const view = viewSize(camera, aspect)
+  const [attachX, attachY, attachZ] = model.attach
+  const modelLength = Math.max(attachY - model.min[1], 1e-6)
+
+  // Pivot above the top edge, end of the chain `reach` of the way down the viewport
+  const anchorY = view.height / 2 + framing.pivotAbove * view.height
+  const hangLength = (framing.pivotAbove + framing.reach) * view.height
+  let modelScale = hangLength / (baseScale * modelLength)
+
+  // The chain turns about its attachment point, so its widest extent is twice its furthest reach
+  // from it, whichever way it faces
+  const radius = axisReach(model, attachX, attachZ)
+  const width = 2 * radius * modelScale * baseScale
+  const maxWidth = framing.maxWidth * view.width
+  if (width > maxWidth) modelScale *= maxWidth / width
+
+  const length = modelLength * modelScale
+  return {
+    anchorY,
+    baseScale,
+    modelScale,
+    modelOffset: [-attachX * modelScale, -attachY * modelScale, -attachZ * modelScale],
+    length,
+    radius: radius * modelScale,
+    // A chain swings like a uniform rod hung from one end: as a simple pendulum two thirds as long
+    chainLength: (2 / 3) * length * baseScale,
+  }
+}
+
+/**
+ * The hand-tuned layout from config.chain and config.physics, for framing.enabled: false. The
+ * model hangs from its own origin, so it twists about its y axis.
+ * @returns {ChainLayout}
+ */
+export const manualLayout = (model, chain, physics) => ({
+  anchorY: chain.anchorY,
+  baseScale: chain.baseScale,
+  modelScale: chain.modelScale,
+  modelOffset: [0, -chain.modelHeight, 0],
+  length: chain.modelHeight,
+  radius: axisReach(model, 0, 0) * chain.modelScale,
+  chainLength: physics.chainLength,
+})
+
+// Model space -> world space at rest, e.g. for the rigid-body chain
+export const layoutMatrix = (layout) => new THREE.Matrix4()
+  .makeTranslation(0, layout.anchorY, 0)
+  .multiply(new THREE.Matrix4().makeScale(layout.baseScale, layout.baseScale, layout.baseScale))
+  .multiply(new THREE.Matrix4().makeTranslation(...layout.modelOffset))
+  .multiply(new THREE.Matrix4().makeScale(layout.modelScale, layout.modelScale, layout.modelScale))
+
+/**
+ * Bounds and attachment point of a loaded model, in its own space (ignoring wherever it has been
+ * placed in the scene). The attachment point is the node called `attachNode` if there is one,
+ * otherwise the top centre of the bounds.
+ */
+export const measureChainModel = (scene, attachNode = '') => {
+  scene.updateWorldMatrix(true, true)
+  const toModel = scene.matrixWorld.clone().invert()
+  const matrix = new THREE.Matrix4()
+  const bounds = new THREE.Box3()
+  const meshBounds = new THREE.Box3()
+  scene.traverse((object) => {
+    if (!object.isMesh) return
+    if (!object.geometry.boundingBox) object.geometry.computeBoundingBox()
+    matrix.multiplyMatrices(toModel, object.matrixWorld)
+    bounds.union(meshBounds.copy(object.geometry.boundingBox).applyMatrix4(matrix))
+  })
+  if (bounds.isEmpty()) bounds.set(new THREE.Vector3(-0.5, -1, -0.5), new THREE.Vector3(0.5, 0, 0.5))
+
+  const node = attachNode ? scene.getObjectByName(THREE.PropertyBinding.sanitizeNodeName(attachNode)) : null
+  const attach = node
+    ? new THREE.Vector3().setFromMatrixPosition(matrix.multiplyMatrices(toModel, node.matrixWorld))
+    : new THREE.Vector3((bounds.min.x + bounds.max.x) / 2, bounds.max.y, (bounds.min.z + bounds.max.z) / 2)
+
+  return { min: bounds.min.toArray(), max: bounds.max.toArray(), attach: attach.toArray(), attachNode: node ? node.name : null }
+}
+
+// Layout for a loaded model with the current config and canvas size. Refits when the canvas is
+// resized or rotated; the camera config (not the live camera) is used, so inspect mode's orbiting
+// and zooming don't move the chain.
+export const useChainLayout = (scene, { chain, camera, physics, framing }) => {
+  const aspect = useThree((state) => state.size.width / Math.max(state.size.height, 1))
+  const model = useMemo(() => measureChainModel(scene, framing.attachNode), [scene, framing.attachNode])
+  return useMemo(
+    () => (framing.enabled ? frameChain(model, { camera, aspect, baseScale: chain.baseScale, framing }) : manualLayout(model, chain, physics)),
+    [model, camera, aspect, chain, physics, framing]
+  )
+}
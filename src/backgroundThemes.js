@@ -0,0 +1,164 @@
+// Colour themes for the liquid chrome background, and the animated blend between them.
+// Pure module - themes are resolved to plain numbers that the shader and the lights consume.
+//
+// The background shader draws a brightness field that is dim across most of the surface and
+// flares along the folds. A theme colours it with a gradient ramp - the first stop colours the
+// dim areas, the last the folds - then tone maps the result so it never exceeds `ceiling`.
+
+export const TONE_MAPPINGS = ['clamp', 'reinhard', 'aces']
+
+export const RAMP_STOPS = 4 // The shader's ramp length; shorter ramps are padded with their last stop
+
+// Ramp stops are in the shader's pre-glow range: the folds multiply them several times over,
+// so stops around 0.1 already make bright highlights. `light` tints the chain's point light.
+export const THEMES = {
+  chrome: {
+    label: 'Chrome',
+    ramp: null, // Uses background.baseColor, the original single-colour look
+    toneMapping: 'clamp',
+    ceiling: 0.7,
+    exposure: 1,
+    light: { tint: '#ffffff', intensity: 1 },
+    reflection: 1,
+  },
+  'molten-gold': {
+    label: 'Molten Gold',
+    ramp: [[0.08, 0.03, 0], [0.2, 0.08, 0.01], [0.32, 0.2, 0.04], [0.4, 0.34, 0.16]],
+    toneMapping: 'aces',
+    ceiling: 1,
+    exposure: 1.3,
+    light: { tint: '#ffb45a', intensity: 1.2 },
+    reflection: 1.2,
+  },
+  ink: {
+    label: 'Ink',
+    ramp: [[0.01, 0.01, 0.02], [0.02, 0.03, 0.06], [0.05, 0.06, 0.11], [0.16, 0.18, 0.24]],
+    toneMapping: 'reinhard',
+    ceiling: 0.6,
+    exposure: 0.9,
+    light: { tint: '#a8b8ff', intensity: 0.7 },
+    reflection: 0.8,
+  },
+  neon: {
+    label: 'Neon',
+    ramp: [[0.02, 0, 0.06], [0.14, 0, 0.22], [0, 0.16, 0.26], [0.3, 0.04, 0.2]],
+    toneMapping: 'aces',
+    ceiling: 1,
+    exposure: 1.6,
+    light: { tint: '#ff6ad8', intensity: 1.1 },
+    reflection: 1.3,
+  },
+  brand: {
+    label: 'Brand',
+    ramp: null, // Built from background.brandColors
+    toneMapping: 'reinhard',
+    ceiling: 0.9,
+    exposure: 1,
+    light: { tint: '#ffffff', intensity: 1 },
+    reflection: 1,
+  },
+}
+
+export const THEME_NAMES = Object.keys(THEMES)
+
+// Brand colours are display colours; this scales them into the ramp's range
+const BRAND_RAMP_SCALE = 0.25
+
+// '#rrggbb' or the short '#rgb'
+export const HEX_COLOR = /^#([0-9a-f]{3}){1,2}$/i
+
+export const hexToRgb = (hex) => {
+  if (typeof hex !== 'string' || !HEX_COLOR.test(hex)) throw new Error(`Not a hex colour: ${JSON.stringify(hex)} - expected #rgb or #rrggbb`)
+  const digits = hex.length === 4 ? hex.slice(1).replace(/./g, '$&$&') : hex.slice(1)
+  const value = parseInt(digits, 16)
+  return [(value >> 16) / 255, ((value >> 8) & 255) / 255, (value & 255) / 255]
+}
+
+const padRamp = (ramp) => Array.from({ length: RAMP_STOPS }, (_, i) => [...ramp[Math.min(i, ramp.length - 1)]])
+
+const toneWeights = (name) => TONE_MAPPINGS.map((candidate) => (candidate === name ? 1 : 0))
+
+/**
+ * Plain numbers for a theme, with the background config's adjustments applied:
+ *   { ramp: [[r,g,b] x 4], tone: [clamp, reinhard, aces weights], ceiling, exposure,
+ *     lightTint: [r,g,b], lightIntensity, reflection }
+ * `background` is config.background (theme, baseColor, brandColors, toneMapping, exposure, ceiling).
+ */
+export const resolveTheme = (background) => {
+  const theme = THEMES[background.theme] || THEMES.chrome
+  let ramp = theme.ramp
+  if (theme === THEMES.brand && background.brandColors?.length > 0) {
+    ramp = background.brandColors.map((hex) => hexToRgb(hex).map((channel) => channel * BRAND_RAMP_SCALE))
+  }
+  if (!ramp) ramp = [background.baseColor]
+
+  const toneMapping = TONE_MAPPINGS.includes(background.toneMapping) ? background.toneMapping : theme.toneMapping
+  return {
+    ramp: padRamp(ramp),
+    tone: toneWeights(toneMapping),
+    ceiling: theme.ceiling * (background.ceiling ?? 1),
+    exposure: theme.exposure * (background.exposure ?? 1),
+    lightTint: hexToRgb(theme.light.tint),
+    lightIntensity: theme.light.intensity,
+    reflection: theme.reflection,
+  }
+}
+
+const lerp = (a, b, t) => a + (b - a) * t
+const lerpArray = (a, b, t) => a.map((value, i) => lerp(value, b[i], t))
+
+// Resolved themes blend component-wise - including the tone mapping weights, so even a change
+// of curve fades rather than pops
+export const blendThemes = (from, to, t) => ({
+  ramp: from.ramp.map((stop, i) => lerpArray(stop, to.ramp[i], t)),
+  tone: lerpArray(from.tone, to.tone, t),
+  ceiling: lerp(from.ceiling, to.ceiling, t),
+  exposure: lerp(from.exposure, to.exposure, t),
+  lightTint: lerpArray(from.lightTint, to.lightTint, t),
+  lightIntensity: lerp(from.lightIntensity, to.lightIntensity, t),
+  reflection: lerp(from.reflection, to.reflection, t),
+})
+
+const smoothstep = (t) => t * t * (3 - 2 * t)
+
+/**
+ * Animated switching between resolved themes, timed by the render clock: at(now) takes the
+ * frame's clock time in seconds (R3F's clock.elapsedTime), so captures that step the clock get
+ * the same blend every run. The transition advances by however far the clock moved since the
+ * last sample - any number of consumers (the shader, the lights) can sample the same frame, and
+ * a clock restarted for a capture neither rewinds it nor skips it ahead.
+ */
+export const createThemeTransition = (initial) => {
+  let from = initial
+  let to = initial
+  let duration = 0
+  let elapsed = 0
+  let lastSample = null // Clock time of the last at(); null until the first frame after to()
+
+  const blend = () => {
+    const t = duration > 0 ? Math.min(1, elapsed / duration) : 1
+    return t >= 1 ? to : blendThemes(from, to, smoothstep(t))
+  }
+
+  return {
+    at(now) {
+      if (lastSample !== null && now > lastSample) elapsed += now - lastSample
+      lastSample = now
+      return blend()
+    },
+
+    // Head for a new theme from wherever the current transition has got to. The blend starts on
+    // the next frame, however long the canvas has been idle.
+    to(theme, seconds = 0) {
+      from = blend()
+      to = theme
+      duration = seconds
+      elapsed = 0
+      lastSample = null
+    },
+
+    get target() {
+      return to
+    },
+  }
+}
@@ -0,0 +1,298 @@
+// Procedural sound for the chain: link clinks, a rattle, click impacts and a creak where the
+// swing turns round - all synthesised from the pendulum state, no samples.
+//
+// The mapping from simulation to sound (how loud, how often, which pitches) is pure and can be
+// checked in Node. createChainAudio() builds the WebAudio graph once on any BaseAudioContext -
+// a live AudioContext, or an OfflineAudioContext to render and measure it offline:
+//
+//   const context = new OfflineAudioContext(1, 44100, 44100)
+//   const audio = createChainAudio(context, { offline: true, random: () => 0.5 })
+//   audio.strike(1, 0.1)
+//   const buffer = await context.startRendering()
+//
+// See test/chainAudio.test.js, which renders through web-audio-engine's OfflineAudioContext.
+//
+// Every node is made up front and every source runs for the life of the engine; per-frame
+// updates only schedule parameter changes, so nothing is allocated while the chain moves.
+
+import { useEffect, useRef, useState } from 'react'
+import { MAX_ANGLE } from './pendulumPhysics.js'
+
+export const CLINK_PARTIALS = [1, 2.76, 5.4, 8.93] // Modes of a free metal bar - inharmonic, so it rings like metal
+export const CLINK_PITCH = [2200, 3600] // Hz - range of a link's fundamental
+export const CLINK_DECAY = 0.2 // Seconds for a fundamental to fall by 1/e; higher partials die sooner
+export const MAX_CLINK_RATE = 24 // Clinks a second from a chain in full swing
+export const CLINK_VOICES = 6 // Clinks that can ring at once
+export const FULL_SPEED = 4 // rad/s of swing that counts as full activity
+export const FULL_WOBBLE = 2 // Link wobble speed that counts as full activity
+export const RATTLE_LEVEL = 0.08 // Loudness of the rattle bed at full activity
+export const CREAK_MIN_ANGLE = 0.25 // rad - smaller swings turn round without a creak
+export const FULL_STRIKE = 1.5 // rad/s of impulse that counts as the hardest strike
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value))
+
+// How lively the chain sounds (0-1): swing and spin speed plus the link wobble
+export const chimeIntensity = (state) => {
+  const { velocity, secondary } = state
+  const speed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y) + Math.abs(state.twist?.velocity || 0) * 0.3
+  const wobble = Math.sqrt(secondary.velocity.x * secondary.velocity.x + secondary.velocity.y * secondary.velocity.y + secondary.velocity.z * secondary.velocity.z)
+  return clamp01(speed / FULL_SPEED + wobble / FULL_WOBBLE)
+}
+
+// Clinks a second - a gentle swing only clinks now and then, a hard one chatters
+export const clinkRate = (intensity) => (intensity < 0.02 ? 0 : MAX_CLINK_RATE * intensity * intensity)
+
+/**
+ * Pitches, levels and decays of one clink's partials. `level` is 0-1 and `pick` (0-1) chooses
+ * where in CLINK_PITCH the link rings; higher partials are quieter and ring for less time.
+ */
+export const clinkVoicing = (level, pick) => {
+  const fundamental = CLINK_PITCH[0] + (CLINK_PITCH[1] - CLINK_PITCH[0]) * pick
+  return CLINK_PARTIALS.map((ratio, i) => ({
+    frequency: fundamental * ratio,
+    gain: level * 0.25 / (i + 1),
+    decay: CLINK_DECAY / Math.sqrt(ratio),
+  }))
+}
+
+// How far the chain swings from rest, and how fast that is growing (rad, rad/s).
+// velocity.x drives rotation.y - see pendulumPhysics.js.
+export const swingExtent = ({ rotation, velocity }) => {
+  const angle = Math.sqrt(rotation.x * rotation.x + rotation.y * rotation.y)
+  const rate = angle > 1e-6 ? (rotation.x * velocity.y + rotation.y * velocity.x) / angle : 0
+  return { angle, rate }
+}
+
+// Loudness (0-1) of the creak as a swing turns round at `angle`
+export const creakStrength = (angle, maxAngle = MAX_ANGLE) => (
+  angle < CREAK_MIN_ANGLE ? 0 : clamp01((angle - CREAK_MIN_ANGLE) / (maxAngle - CREAK_MIN_ANGLE))
+)
+
+// Loudness (0-1) of a strike that changes the swing by `impulse` (rotation space, rad/s)
+export const strikeLevel = (impulse) => clamp01(Math.sqrt(impulse.x * impulse.x + impulse.y * impulse.y) / FULL_STRIKE)
+
+// One second of white noise, shared by the rattle and impacts
+const createNoiseBuffer = (context, random) => {
+  const buffer = context.createBuffer(1, context.sampleRate, context.sampleRate)
+  const samples = buffer.getChannelData(0)
+  for (let i = 0; i < samples.length; i++) samples[i] = random() * 2 - 1
+  return buffer
+}
+
+const createNoiseSource = (context, buffer) => {
+  const source = context.createBufferSource()
+  source.buffer = buffer
+  source.loop = true
+  return source
+}
+
+/**
+ * Build the chain's sound on an audio context. `random` picks pitches and timings - pass a
+ * fixed one for repeatable offline renders. Times are in the context's clock and default to now.
+ * `offline` is for an OfflineAudioContext, which stays suspended until it renders: updates are
+ * scheduled anyway rather than skipped as they are on a suspended live context.
+ */
+export const createChainAudio = (context, { volume = 0.5, muted = false, maxAngle = MAX_ANGLE, voices = CLINK_VOICES, random = Math.random, offline = false } = {}) => {
+  let currentVolume = volume
+  let isMuted = muted
+  const now = () => context.currentTime
+
+  // Everything meets in a compressor, so a burst of clinks can't clip
+  const master = context.createGain()
+  master.gain.value = muted ? 0 : volume
+  master.connect(context.destination)
+  const compressor = context.createDynamicsCompressor()
+  compressor.connect(master)
+
+  const sources = []
+  const start = (source) => {
+    source.start(0)
+    sources.push(source)
+    return source
+  }
+
+  // Clinks: a pool of voices, each a set of sine partials behind their own envelopes
+  const clinkVoices = Array.from({ length: voices }, () => CLINK_PARTIALS.map(() => {
+    const oscillator = context.createOscillator()
+    const envelope = context.createGain()
+    envelope.gain.value = 0
+    oscillator.connect(envelope).connect(compressor)
+    start(oscillator)
+    return { oscillator, envelope }
+  }))
+  let nextVoice = 0
+
+  const noise = createNoiseBuffer(context, random)
+
+  // Rattle: band-passed noise that swells with the chain's activity
+  const rattleFilter = context.createBiquadFilter()
+  rattleFilter.type = 'bandpass'
+  rattleFilter.frequency.value = 4500
+  rattleFilter.Q.value = 0.8
+  const rattle = context.createGain()
+  rattle.gain.value = 0
+  start(createNoiseSource(context, noise)).connect(rattleFilter).connect(rattle).connect(compressor)
+  let rattleTarget = 0
+
+  // Impact: a short high-passed noise burst under the clinks of a strike
+  const impactFilter = context.createBiquadFilter()
+  impactFilter.type = 'highpass'
+  impactFilter.frequency.value = 1500
+  const impact = context.createGain()
+  impact.gain.value = 0
+  start(createNoiseSource(context, noise)).connect(impactFilter).connect(impact).connect(compressor)
+
+  // Creak: a low sawtooth through a narrow band, bent in pitch as the swing turns
+  const creakSource = context.createOscillator()
+  creakSource.type = 'sawtooth'
+  creakSource.frequency.value = 70
+  const creakFilter = context.createBiquadFilter()
+  creakFilter.type = 'bandpass'
+  creakFilter.frequency.value = 700
+  creakFilter.Q.value = 4
+  const creak = context.createGain()
+  creak.gain.value = 0
+  start(creakSource).connect(creakFilter).connect(creak).connect(compressor)
+
+  let clinkBudget = 0 // Clinks owed, carried between frames
+  let previousRate = 0
+
+  const clink = (level, time = now()) => {
+    const voice = clinkVoices[nextVoice]
+    nextVoice = (nextVoice + 1) % clinkVoices.length
+    clinkVoicing(level, random()).forEach(({ frequency, gain, decay }, i) => {
+      const { oscillator, envelope } = voice[i]
+      oscillator.frequency.setValueAtTime(frequency, time)
+      envelope.gain.cancelScheduledValues(time)
+      envelope.gain.setTargetAtTime(gain, time, 0.001) // From wherever it was - no click
+      envelope.gain.setTargetAtTime(0, time + 0.004, decay)
+    })
+  }
+
+  return {
+    clink,
+
+    // Follow one frame of the simulation, `dt` seconds long. Nothing is scheduled while muted or
+    // while a live context is suspended - the events would only pile up unheard.
+    update(state, dt, time = now()) {
+      if (isMuted || (!offline && context.state !== 'running')) return
+      const intensity = chimeIntensity(state)
+
+      const target = intensity * RATTLE_LEVEL
+      if (Math.abs(target - rattleTarget) > 0.002) {
+        rattleTarget = target
+        rattle.gain.setTargetAtTime(target, time, 0.08)
+      }
+
+      // Clinks land at random moments through the frame. A long frame can't owe more than the
+      // voices can play.
+      clinkBudget = Math.min(clinkBudget + clinkRate(intensity) * dt, clinkVoices.length)
+      while (clinkBudget >= 1) {
+        clinkBudget -= 1
+        clink(intensity * (0.5 + 0.5 * random()), time + random() * dt)
+      }
+
+      // The swing turning round: moving outwards last frame, inwards now
+      const { angle, rate } = swingExtent(state)
+      const strength = previousRate > 0 && rate <= 0 ? creakStrength(angle, maxAngle) : 0
+      previousRate = rate
+      if (strength > 0) {
+        creakSource.frequency.setValueAtTime(60 + 30 * random(), time)
+        creakSource.frequency.linearRampToValueAtTime(90 + 40 * strength, time + 0.25)
+        creak.gain.cancelScheduledValues(time)
+        creak.gain.setTargetAtTime(0.12 * strength, time, 0.03)
+        creak.gain.setTargetAtTime(0, time + 0.12, 0.08)
+      }
+    },
+
+    // The chain struck: a noise burst and a cluster of clinks, `level` 0-1
+    strike(level, time = now()) {
+      if (level <= 0) return
+      impact.gain.cancelScheduledValues(time)
+      impact.gain.setTargetAtTime(0.3 * level, time, 0.001)
+      impact.gain.setTargetAtTime(0, time + 0.005, 0.02)
+      for (let i = 0; i < 3; i++) clink(level * (1 - i * 0.25), time + i * 0.012)
+    },
+
+    setMuted(nextMuted, time = now()) {
+      isMuted = nextMuted
+      master.gain.setTargetAtTime(isMuted ? 0 : currentVolume, time, 0.05)
+    },
+
+    setVolume(nextVolume, time = now()) {
+      currentVolume = nextVolume
+      if (!isMuted) master.gain.setTargetAtTime(currentVolume, time, 0.05)
+    },
+
+    get muted() {
+      return isMuted
+    },
+
+    dispose() {
+      sources.forEach((source) => source.stop())
+      master.disconnect()
+    },
+  }
+}
+
+const UNLOCK_EVENTS = ['pointerdown', 'keydown', 'touchend']
+
+/**
+ * The chain's sound in the browser. Browsers only let audio start from a user gesture, so the
+ * context is made on the visitor's first click, tap or key press anywhere on the page. While
+ * `active` is false (hidden tab, captures) or the sound is muted, the context is suspended. Returns { engineRef, muted,
+ * setMuted, unlocked } - engineRef.current is the createChainAudio() engine once unlocked.
+ */
+export const useChainAudio = ({ enabled, volume, muted: startMuted }, active = true) => {
+  const engineRef = useRef(null)
+  const contextRef = useRef(null)
+  const [muted, setMuted] = useState(startMuted)
+  const [unlocked, setUnlocked] = useState(false)
+  const settingsRef = useRef({ volume, muted })
+  settingsRef.current = { volume, muted }
+
+  useEffect(() => {
+    const AudioContextClass = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext)
+    if (!enabled || !AudioContextClass) return
+
+    const unlock = () => {
+      if (!contextRef.current) {
+        const context = new AudioContextClass()
+        contextRef.current = context
+        engineRef.current = createChainAudio(context, { volume: settingsRef.current.volume, muted: settingsRef.current.muted })
+      }
+      contextRef.current.resume().then(() => {
+        UNLOCK_EVENTS.forEach((type) => window.removeEventListener(type, unlock, true))
+        setUnlocked(true)
+      }).catch(() => {}) // Still locked - try again on the next gesture
+    }
+
+    UNLOCK_EVENTS.forEach((type) => window.addEventListener(type, unlock, true))
+    return () => {
+      UNLOCK_EVENTS.forEach((type) => window.removeEventListener(type, unlock, true))
+      engineRef.current?.dispose()
+      engineRef.current = null
+      contextRef.current?.close()
+      contextRef.current = null
+      setUnlocked(false)
+    }
+  }, [enabled])
+
+  useEffect(() => {
+    engineRef.current?.setMuted(muted)
+  }, [muted])
+
+  useEffect(() => {
+    engineRef.current?.setVolume(volume)
+  }, [volume])
+
+  // A muted engine is suspended too, so its oscillators cost nothing
+  useEffect(() => {
+    const context = contextRef.current
+    if (!context || !unlocked) return
+    if (active && !muted) context.resume().catch(() => {})
+    else context.suspend().catch(() => {})
+  }, [active, muted, unlocked])
+
+  return { engineRef, muted, setMuted, unlocked }
+}
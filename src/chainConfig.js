@@ -0,0 +1,556 @@
+// Viewer configuration: defaults, runtime validation and loading from JSON / URL query.
+//
+// Every value can be overridden from a JSON preset or the query string using dotted keys:
+//   ?config=/presets/hero.json&physics.gravity=9.8&camera.fov=50&framing.reach=0.7
+
+import { DEFAULT_PHYSICS } from './pendulumPhysics'
+import { FINISH_NAMES } from './materialPresets'
+import { TILT_FILTERS } from './tiltSensor'
+import { QUALITY_NAMES } from './qualityGovernor'
+import { HEX_COLOR, THEME_NAMES, TONE_MAPPINGS } from './backgroundThemes'
+import { CAPTURE_FORMATS, CAPTURE_MOTIONS } from './sceneCapture'
+import { REDUCED_MOTION_MODES } from './accessibility'
+
+/**
+ * @typedef {[number, number, number]} Vec3
+ *
+ * @typedef {Object} ChainConfig
+ * @property {number} anchorY - Height of the pivot the chain hangs from (framing.enabled: false)
+ * @property {number} modelHeight - Height of the model below the pivot when hanging straight
+ *   (framing.enabled: false)
+ * @property {number} modelScale - Scale of the GLB inside the pivot group (framing.enabled: false)
+ * @property {number} baseScale - Resting scale of the pivot group
+ * @property {Vec3} restRotation - Rotation the chain settles back to
+ *
+ * @typedef {Object} FramingConfig
+ * @property {boolean} enabled - Fit the chain to the viewport from the model's bounds, see
+ *   autoFraming.js. Replaces chain.anchorY, chain.modelHeight, chain.modelScale and
+ *   physics.chainLength with values worked out from the model
+ * @property {number} pivotAbove - How far above the top edge of the viewport the chain hangs from,
+ *   in view heights
+ * @property {number} reach - How far down the viewport the end of the chain hangs, in view heights
+ * @property {number} maxWidth - Widest the chain may be, as a fraction of the viewport width
+ * @property {string} attachNode - Node of the GLB the chain hangs from; empty uses the top of the model
+ *
+ * @typedef {Object} CameraConfig
+ * @property {number} fov - Vertical field of view in degrees
+ * @property {number} z - Camera distance from the chain
+ *
+ * @typedef {Object} PointLightConfig
+ * @property {Vec3} position
+ * @property {number} intensity
+ * @property {number} distance
+ * @property {number} decay
+ * @property {string} color
+ * @property {boolean} castShadow
+ * @property {number} shadowMapSize
+ *
+ * @typedef {Object} LightsConfig
+ * @property {PointLightConfig} point - Upward point light under the chain
+ * @property {string} environment - What the chain reflects: 'liquidChrome' for the animated background,
+ *   or a drei Environment preset
+ *
+ * @typedef {Object} BackgroundConfig
+ * @property {string} theme - Colour theme, see backgroundThemes.js
+ * @property {number} transitionTime - Seconds to blend from one theme to the next
+ * @property {Vec3} baseColor - Colour of the 'chrome' theme
+ * @property {string[]} brandColors - Hex colours (#rrggbb or #rgb), darkest first, for the 'brand' theme's gradient
+ * @property {'theme' | 'clamp' | 'reinhard' | 'aces'} toneMapping - Override the theme's tone mapping
+ * @property {number} exposure - Brightness before tone mapping, relative to the theme's
+ * @property {number} ceiling - Brightest output, relative to the theme's
+ * @property {number} speed
+ * @property {number} amplitude
+ * @property {number} frequencyX
+ * @property {number} frequencyY
+ * @property {boolean} interactive - Pointer moves, flicks and clicks ripple the background
+ * @property {number} rippleStrength - Scales ripples from the pointer and shock rings from clicks
+ * @property {number} chainDisturbance - Scales ripples from the chain's swing (0 turns them off)
+ *
+ * @typedef {Object} SpringConfig
+ * @property {number} stiffness - Pull toward the target pose (rad/s² per radian)
+ * @property {number} damping - Velocity damping while the spring is in control
+ *
+ * @typedef {Object} InputConfig
+ * @property {number} keyboardForce - Push while an arrow key is held (rad/s²)
+ * @property {number} handoffTime - Seconds to blend between input sources, see inputController.js
+ * @property {SpringConfig} pointer - Spring that pulls the chain toward a drag
+ * @property {SpringConfig} scripted - Spring used by scripted moves (test button, replays)
+ *
+ * @typedef {Object} GyroConfig
+ * @property {'complementary' | 'kalman'} filter - Sensor fusion used for the phone's tilt
+ * @property {number} sensitivity - Chain tilt per radian of phone tilt
+ * @property {number} maxTilt - Largest gravity tilt fed to the pendulum, in radians
+ * @property {number} calibrationTime - Seconds the neutral pose is sampled for when calibrating
+ *
+ * @typedef {Object} MaterialConfig
+ * @property {string} finish - Finish shown until the visitor picks another, see materialPresets.js
+ * @property {boolean} showConfigurator - Show the finish picker panel
+ * @property {boolean} syncUrl - Keep the picked finish in the page URL so it can be shared
+ *
+ * @typedef {Object} QualityConfig
+ * @property {'auto' | 'high' | 'medium' | 'low' | 'minimal'} level - Rendering quality; 'auto' adapts
+ *   it to the measured frame rate, see qualityGovernor.js
+ * @property {number} targetFps - Frame rate the 'auto' level aims to hold
+ * @property {boolean} pauseWhenHidden - Stop rendering while the tab is hidden
+ * @property {boolean} pauseAtRest - Only render the canvas, backdrop included, on demand while the
+ *   chain hangs still
+ *
+ * @typedef {Object} CaptureConfig
+ * @property {boolean} enabled - Show the capture panel (also shown with devTools) and expose
+ *   window.chainCapture for scripts/capture.mjs
+ * @property {'png' | 'webm' | 'gif'} format - A still, or a clip of `duration` seconds
+ * @property {number} width - Output size in pixels, independent of the window
+ * @property {number} height
+ * @property {boolean} transparent - Leave the background out; the chain's reflections keep it
+ * @property {'swing' | 'turntable' | 'none'} motion - What a clip shows: a scripted swing from a
+ *   fixed pose, the camera orbiting the still chain, or the scene as it is
+ * @property {number} duration - Clip length in seconds
+ * @property {number} fps - Clip frame rate; each frame advances the scene by exactly 1 / fps
+ *
+ * @typedef {Object} InspectConfig
+ * @property {boolean} showButton - Show the Inspect button, which pauses the swing and lets the
+ *   camera orbit, zoom and pan around the chain
+ * @property {number} distance - How far from the end of the chain the camera stops on entering
+ * @property {number} minDistance - Closest the camera can zoom in
+ * @property {number} maxDistance - Furthest the camera can zoom out
+ * @property {number} transitionTime - Seconds the camera takes to fly in and back to the swing view
+ *
+ * @typedef {Object} HotspotsConfig
+ * @property {boolean} enabled - Show the model's hotspots and their annotation cards
+ * @property {string} url - JSON file with the hotspots; empty reads the file next to the model,
+ *   see hotspots.js
+ *
+ * @typedef {Object} AudioConfig
+ * @property {boolean} enabled - Synthesise the chain's clinks, rattle and creak, see chainAudio.js.
+ *   Sound starts with the visitor's first click, tap or key press
+ * @property {boolean} muted - Start muted
+ * @property {number} volume - Master volume, 0-1
+ * @property {boolean} showButton - Show the mute toggle
+ *
+ * @typedef {Object} ShareConfig
+ * @property {boolean} showButton - Show the Copy link / Share button
+ * @property {boolean} restoreFromHash - Restore a shared scene from the URL hash, see sceneState.js
+ *
+ * @typedef {Object} AccessibilityConfig
+ * @property {string} label - Accessible name of the 3D view
+ * @property {'auto' | 'always' | 'never'} reducedMotion - Tone motion down: 'auto' follows the
+ *   visitor's prefers-reduced-motion setting
+ *
+ * @typedef {Object} ChainViewerConfig
+ * @property {string} modelPath - URL of the GLB to display; empty picks the newest manifest version
+ * @property {string[]} modelFallbacks - URLs tried in order if the model fails to load
+ * @property {string} modelManifest - JSON listing the available model versions; empty to disable
+ * @property {'auto' | 'high' | 'medium' | 'low' | 'original'} lod - Level of detail of manifest models;
+ *   'auto' picks one from the device and viewport, 'original' skips the compressed variants
+ * @property {'pendulum' | 'rigid'} physicsMode - Simulation used on first render
+ * @property {boolean} devTools - Show developer tools (session recorder); `?devTools` in the URL
+ * @property {ChainConfig} chain
+ * @property {FramingConfig} framing
+ * @property {CameraConfig} camera
+ * @property {LightsConfig} lights
+ * @property {typeof DEFAULT_PHYSICS} physics - Pendulum constants, see pendulumPhysics.js
+ * @property {BackgroundConfig} background
+ * @property {InputConfig} input
+ * @property {GyroConfig} gyro
+ * @property {MaterialConfig} material
+ * @property {QualityConfig} quality
+ * @property {CaptureConfig} capture
+ * @property {InspectConfig} inspect
+ * @property {HotspotsConfig} hotspots
+ * @property {AudioConfig} audio
+ * @property {ShareConfig} share
+ * @property {AccessibilityConfig} accessibility
+ */
+
+/** @type {ChainViewerConfig} */
+export const DEFAULT_CONFIG = {
+  modelPath: '',
+  modelFallbacks: [],
+  modelManifest: '/models.json',
+  lod: 'auto',
+  physicsMode: 'pendulum',
+  devTools: false,
+  chain: {
+    // Hand placement, only used with framing.enabled: false. Lower anchorY moves the chain down,
+    // higher moves it up - with camera at z=10 and fov=45, ~7.0-8.0 is the sweet spot
+    anchorY: 7.0,
+    modelHeight: 5.3,
+    modelScale: 16,
+    baseScale: 1.5,
+    restRotation: [-0.1, 0, 0], // Slight forward tilt
+  },
+  framing: {
+    enabled: true,
+    pivotAbove: 0.345, // Pivot just out of sight, so the chain comes in from the top edge
+    reach: 0.62,
+    maxWidth: 0.9,
+    attachNode: '',
+  },
+  camera: {
+    fov: 45,
+    z: 10,
+  },
+  lights: {
+    point: {
+      position: [0, -4, 1], // Below and slightly forward of the chain
+      intensity: 4.0,
+      distance: 15,
+      decay: 2,
+      color: '#ffdd88', // Warm golden tint to complement sunset
+      castShadow: true,
+      shadowMapSize: 2048,
+    },
+    environment: 'liquidChrome',
+  },
+  physics: { ...DEFAULT_PHYSICS },
+  background: {
+    theme: 'chrome',
+    transitionTime: 1.5,
+    baseColor: [0.1, 0.1, 0.1],
+    brandColors: ['#141414', '#5a3d12', '#ffdd88'],
+    toneMapping: 'theme',
+    exposure: 1,
+    ceiling: 1,
+    speed: 0.2,
+    amplitude: 0.3,
+    frequencyX: 3,
+    frequencyY: 3,
+    interactive: true,
+    rippleStrength: 1,
+    chainDisturbance: 1,
+  },
+  input: {
+    keyboardForce: 6,
+    handoffTime: 0.25,
+    pointer: { stiffness: 120, damping: 18 },
+    scripted: { stiffness: 60, damping: 12 },
+  },
+  gyro: {
+    filter: 'complementary',
+    sensitivity: 1,
+    maxTilt: 1.0,
+    calibrationTime: 1.0,
+  },
+  material: {
+    finish: 'original',
+    showConfigurator: true,
+    syncUrl: true,
+  },
+  quality: {
+    level: 'auto',
+    targetFps: 50,
+    pauseWhenHidden: true,
+    pauseAtRest: true,
+  },
+  capture: {
+    enabled: false,
+    format: 'png',
+    width: 1920,
+    height: 1080,
+    transparent: false,
+    motion: 'swing',
+    duration: 4,
+    fps: 30,
+  },
+  inspect: {
+    showButton: true,
+    distance: 4,
+    minDistance: 1.5,
+    maxDistance: 12,
+    transitionTime: 0.8,
+  },
+  hotspots: {
+    enabled: true,
+    url: '',
+  },
+  audio: {
+    enabled: true,
+    muted: false,
+    volume: 0.5,
+    showButton: true,
+  },
+  share: {
+    showButton: true,
+    restoreFromHash: true,
+  },
+  accessibility: {
+    label: 'Blasted Chain pendant, interactive 3D view',
+    reducedMotion: 'auto',
+  },
+}
+
+export const ENVIRONMENT_PRESETS = ['apartment', 'city', 'dawn', 'forest', 'lobby', 'night', 'park', 'studio', 'sunset', 'warehouse']
+export const ENVIRONMENTS = ['liquidChrome', ...ENVIRONMENT_PRESETS]
+
+// Extra constraints on top of "same type as the default"
+const RULES = {
+  modelFallbacks: { list: 'string' },
+  lod: { oneOf: ['auto', 'high', 'medium', 'low', 'original'] },
+  physicsMode: { oneOf: ['pendulum', 'rigid'] },
+  'chain.modelHeight': { min: 0 },
+  'chain.modelScale': { min: 0, exclusive: true },
+  'chain.baseScale': { min: 0, exclusive: true },
+  'framing.pivotAbove': { min: 0 },
+  'framing.reach': { min: 0, exclusive: true },
+  'framing.maxWidth': { min: 0, exclusive: true },
+  'camera.fov': { min: 1, max: 179 },
+  'camera.z': { min: 0, exclusive: true },
+  'lights.point.intensity': { min: 0 },
+  'lights.point.distance': { min: 0 },
+  'lights.point.shadowMapSize': { oneOf: [256, 512, 1024, 2048, 4096] },
+  'lights.point.color': { pattern: HEX_COLOR },
+  'lights.environment': { oneOf: ENVIRONMENTS },
+  'physics.chainLength': { min: 0, exclusive: true },
+  'physics.gravity': { min: 0 },
+  'physics.airDamping': { min: 0 },
+  'physics.frictionDamping': { min: 0 },
+  'physics.maxAngle': { min: 0, max: Math.PI, exclusive: true },
+  'physics.secondaryDamping': { min: 0, max: 1 },
+  'physics.twistStiffness': { min: 0 },
+  'physics.twistDamping': { min: 0 },
+  'physics.maxTwist': { min: 0, exclusive: true },
+  'background.theme': { oneOf: THEME_NAMES },
+  'background.transitionTime': { min: 0 },
+  'background.brandColors': { list: 'string', pattern: HEX_COLOR },
+  'background.toneMapping': { oneOf: ['theme', ...TONE_MAPPINGS] },
+  'background.exposure': { min: 0 },
+  'background.ceiling': { min: 0 },
+  'background.speed': { min: 0 },
+  'background.rippleStrength': { min: 0 },
+  'background.chainDisturbance': { min: 0 },
+  'input.keyboardForce': { min: 0 },
+  'input.handoffTime': { min: 0 },
+  'input.pointer.stiffness': { min: 0 },
+  'input.pointer.damping': { min: 0 },
+  'input.scripted.stiffness': { min: 0 },
+  'input.scripted.damping': { min: 0 },
+  'gyro.filter': { oneOf: TILT_FILTERS },
+  'gyro.sensitivity': { min: 0 },
+  'gyro.maxTilt': { min: 0, max: Math.PI / 2 },
+  'gyro.calibrationTime': { min: 0, exclusive: true },
+  'material.finish': { oneOf: FINISH_NAMES },
+  'quality.level': { oneOf: ['auto', ...QUALITY_NAMES] },
+  'quality.targetFps': { min: 1, max: 240 },
+  'capture.format': { oneOf: CAPTURE_FORMATS },
+  'capture.width': { min: 1 },
+  'capture.height': { min: 1 },
+  'capture.motion': { oneOf: CAPTURE_MOTIONS },
+  'capture.duration': { min: 0, exclusive: true },
+  'capture.fps': { min: 1, max: 60 },
+  'inspect.distance': { min: 0, exclusive: true },
+  'inspect.minDistance': { min: 0, exclusive: true },
+  'inspect.maxDistance': { min: 0, exclusive: true },
+  'inspect.transitionTime': { min: 0 },
+  'audio.volume': { min: 0, max: 1 },
+  'accessibility.reducedMotion': { oneOf: REDUCED_MOTION_MODES },
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+
+// Returns an error message, or null if the value is acceptable for this key
+const checkValue = (path, value, fallback) => {
+  const rule = RULES[path] || {}
+
+  if (rule.list === 'string') {
+    if (!Array.isArray(value) || !value.every((item) => typeof item === 'string')) {
+      return 'expected an array of strings'
+    }
+    // A pattern applies to every item
+    const mismatch = rule.pattern ? value.find((item) => !rule.pattern.test(item)) : undefined
+    if (mismatch !== undefined) return `"${mismatch}" does not match ${rule.pattern}`
+    return null
+  }
+
+  if (Array.isArray(fallback)) {
+    if (!Array.isArray(value) || value.length !== fallback.length || !value.every(Number.isFinite)) {
+      return `expected an array of ${fallback.length} numbers`
+    }
+    return null
+  }
+
+  if (typeof fallback === 'number' && !Number.isFinite(value)) return 'expected a number'
+  if (typeof fallback !== 'number' && typeof value !== typeof fallback) return `expected a ${typeof fallback}`
+
+  if (rule.oneOf && !rule.oneOf.includes(value)) return `expected one of ${rule.oneOf.join(', ')}`
+  if (rule.pattern && !rule.pattern.test(value)) return `does not match ${rule.pattern}`
+  if (rule.min !== undefined && (rule.exclusive ? value <= rule.min : value < rule.min)) {
+    return `must be ${rule.exclusive ? 'greater than' : 'at least'} ${rule.min}`
+  }
+  if (rule.max !== undefined && (rule.exclusive ? value >= rule.max : value > rule.max)) {
+    return `must be ${rule.exclusive ? 'less than' : 'at most'} ${rule.max}`
+  }
+  return null
+}
+
+const mergeLevel = (defaults, overrides, prefix, errors) => {
+  const result = {}
+
+  Object.entries(defaults).forEach(([key, fallback]) => {
+    const path = prefix ? `${prefix}.${key}` : key
+    const value = overrides?.[key]
+
+    if (isPlainObject(fallback)) {
+      if (value !== undefined && !isPlainObject(value)) errors.push(`${path}: expected an object`)
+      result[key] = mergeLevel(fallback, isPlainObject(value) ? value : {}, path, errors)
+      return
+    }
+
+    if (value === undefined) {
+      result[key] = Array.isArray(fallback) ? [...fallback] : fallback
+      return
+    }
+
+    const error = checkValue(path, value, fallback)
+    if (error) {
+      errors.push(`${path}: ${error} (got ${JSON.stringify(value)})`)
+      result[key] = Array.isArray(fallback) ? [...fallback] : fallback
+    } else {
+      result[key] = value
+    }
+  })
+
+  if (isPlainObject(overrides)) {
+    Object.keys(overrides)
+      .filter((key) => !(key in defaults))
+      .forEach((key) => errors.push(`${prefix ? `${prefix}.` : ''}${key}: unknown option`))
+  }
+
+  return result
+}
+
+/**
+ * Merge a partial config over the defaults. Invalid or unknown values are reported
+ * and replaced by their defaults, so the viewer always gets a complete, valid config.
+ *
+ * @param {Partial<ChainViewerConfig>} [overrides]
+ * @returns {{ config: ChainViewerConfig, errors: string[] }}
+ */
+export const resolveConfig = (overrides = {}) => {
+  const errors = []
+  const config = mergeLevel(DEFAULT_CONFIG, overrides, '', errors)
+  return { config, errors }
+}
+
+// Turn a query string value into the type of the default it overrides
+const parseQueryValue = (raw, fallback, rule = {}) => {
+  if (typeof fallback === 'number') return Number(raw)
+  if (typeof fallback === 'boolean') return raw === '' || raw === 'true' || raw === '1'
+  if (rule.list === 'string') return raw.split(',').filter(Boolean)
+  if (Array.isArray(fallback)) return raw.split(',').map(Number)
+  return raw
+}
+
+const lookup = (object, path) => path.split('.').reduce((value, key) => value?.[key], object)
+
+// Read a config value by dotted path, e.g. 'physics.gravity' or 'lights.point.position.1'
+export const getConfigValue = lookup
+
+/**
+ * Return a copy of a partial config with one value set by dotted path. A numeric last key sets
+ * one element of an array option, taking the other elements from `current`.
+ *
+ * @param {Partial<ChainViewerConfig>} overrides
+ * @param {string} path
+ * @param {*} value
+ * @param {ChainViewerConfig} [current] - Complete config to read array values from
+ */
+export const setConfigValue = (overrides, path, value, current = DEFAULT_CONFIG) => {
+  const keys = path.split('.')
+  const last = keys[keys.length - 1]
+
+  if (/^\d+$/.test(last)) {
+    const arrayPath = keys.slice(0, -1).join('.')
+    const array = [...(lookup(overrides, arrayPath) || lookup(current, arrayPath))]
+    array[Number(last)] = value
+    return setConfigValue(overrides, arrayPath, array, current)
+  }
+
+  const result = { ...overrides }
+  let target = result
+  keys.slice(0, -1).forEach((key) => {
+    target[key] = isPlainObject(target[key]) ? { ...target[key] } : {}
+    target = target[key]
+  })
+  target[last] = value
+  return result
+}
+
+/**
+ * The parts of a config that differ from the defaults - a minimal preset that
+ * loadConfig / `?config=` will turn back into the same config.
+ *
+ * @param {ChainViewerConfig} config
+ * @returns {Partial<ChainViewerConfig>}
+ */
+export const configDiff = (config, defaults = DEFAULT_CONFIG) => {
+  const diff = {}
+  Object.entries(config).forEach(([key, value]) => {
+    const fallback = defaults?.[key]
+    if (isPlainObject(value) && isPlainObject(fallback)) {
+      const nested = configDiff(value, fallback)
+      if (Object.keys(nested).length > 0) diff[key] = nested
+    } else if (JSON.stringify(value) !== JSON.stringify(fallback)) {
+      diff[key] = value
+    }
+  })
+  return diff
+}
+
+/**
+ * Read config overrides from a query string, e.g. `?physics.gravity=9.8&camera.fov=50`.
+ * Keys that don't correspond to a config option are ignored.
+ *
+ * @param {string} search
+ * @returns {Partial<ChainViewerConfig>}
+ */
+export const configFromQuery = (search) => {
+  const params = new URLSearchParams(search)
+  const overrides = {}
+
+  params.forEach((raw, path) => {
+    const fallback = lookup(DEFAULT_CONFIG, path)
+    if (fallback === undefined || isPlainObject(fallback)) return
+
+    const keys = path.split('.')
+    let target = overrides
+    keys.slice(0, -1).forEach((key) => {
+      target[key] = target[key] || {}
+      target = target[key]
+    })
+    target[keys[keys.length - 1]] = parseQueryValue(raw, fallback, RULES[path])
+  })
+
+  return overrides
+}
+
+// Deep merge for plain override objects - later sources win
+export const mergeOverrides = (...sources) => sources.reduce((merged, source) => {
+  Object.entries(source || {}).forEach(([key, value]) => {
+    merged[key] = isPlainObject(value) && isPlainObject(merged[key])
+      ? mergeOverrides(merged[key], value)
+      : value
+  })
+  return merged
+}, {})
+
+/**
+ * Load the viewer config for a page: an optional JSON preset (from `url`, or the
+ * `config` query parameter), then query-string overrides on top.
+ *
+ * @param {{ url?: string, search?: string }} [options]
+ * @returns {Promise<{ config: ChainViewerConfig, errors: string[] }>}
+ */
+export const loadConfig = async ({ url, search = '' } = {}) => {
+  const presetUrl = new URLSearchParams(search).get('config') || url
+  let preset = {}
+
+  if (presetUrl) {
+    const response = await fetch(presetUrl)
+    if (!response.ok) {
+      throw new Error(`Failed to load config ${presetUrl}: ${response.status}`)
+    }
+    preset = await response.json()
+  }
+
+  return resolveConfig(mergeOverrides(preset, configFromQuery(search)))
+}
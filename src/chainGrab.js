@@ -0,0 +1,98 @@
+// Grabbing, striking and turning the chain at the point under the pointer.
+// Pure math - no React, no Three.js. The viewer supplies `pointAt(pose)`: where the grabbed
+// point of the chain ends up in world space ([x, y, z]) for a pendulum pose { x, y }. Working
+// through that function keeps the solver independent of how the chain is transformed on screen.
+
+export const MAX_GRAB_ANGLE = Math.PI / 3 // Furthest a drag can pull the chain from rest
+export const STRIKE_STRENGTH = 1.2 // rad/s from a click square on the end of the chain
+export const MAX_FLICK_RATE = 8 // rad/s - a faster fling is clamped to this
+export const FLICK_LOOKAHEAD = 0.05 // Seconds ahead the pointer is followed to measure a release
+
+const STEP = 1e-4 // Finite difference step in radians
+const MAX_ITERATIONS = 8
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2]
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]]
+const scale = (a, s) => [a[0] * s, a[1] * s, a[2] * s]
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]]
+
+// Drop the part of a vector along the (unit) ray direction
+const acrossRay = (v, direction) => sub(v, scale(direction, dot(v, direction)))
+
+const clampPose = (pose, maxAngle) => {
+  const radius = Math.sqrt(pose.x * pose.x + pose.y * pose.y)
+  return radius > maxAngle ? { x: pose.x * maxAngle / radius, y: pose.y * maxAngle / radius } : pose
+}
+
+// How the point moves per radian of each angle: [∂p/∂x, ∂p/∂y]
+export const poseJacobian = (pointAt, pose) => {
+  const p = pointAt(pose)
+  return [
+    scale(sub(pointAt({ x: pose.x + STEP, y: pose.y }), p), 1 / STEP),
+    scale(sub(pointAt({ x: pose.x, y: pose.y + STEP }), p), 1 / STEP),
+  ]
+}
+
+/**
+ * Pose that puts the grabbed point on the pointer's ray ({ origin, direction }, unit direction),
+ * or as near as the chain can reach, starting from `initial` - usually the current pose, so the
+ * answer stays on the same side of any ambiguity. Damped Gauss-Newton on the point's offset from
+ * the ray; depth along the ray doesn't count.
+ */
+export const solveGrabPose = (pointAt, ray, initial, { maxAngle = MAX_GRAB_ANGLE } = {}) => {
+  let pose = clampPose({ x: initial.x, y: initial.y }, maxAngle)
+
+  for (let i = 0; i < MAX_ITERATIONS; i++) {
+    const offset = acrossRay(sub(pointAt(pose), ray.origin), ray.direction)
+    const [jx, jy] = poseJacobian(pointAt, pose).map((column) => acrossRay(column, ray.direction))
+
+    // Normal equations, damped so a point on the twist axis (where y does nothing) stays put
+    const damping = 1e-3 * (dot(jx, jx) + dot(jy, jy)) + 1e-12
+    const a = dot(jx, jx) + damping
+    const b = dot(jx, jy)
+    const c = dot(jy, jy) + damping
+    const gx = dot(jx, offset)
+    const gy = dot(jy, offset)
+    const determinant = a * c - b * b
+    const dx = -(c * gx - b * gy) / determinant
+    const dy = -(a * gy - b * gx) / determinant
+
+    pose = clampPose({ x: pose.x + dx, y: pose.y + dy }, maxAngle)
+    if (Math.abs(dx) + Math.abs(dy) < 1e-6) break
+  }
+
+  return pose
+}
+
+// Rate of change between two poses `dt` seconds apart, clamped to a believable speed
+export const poseRate = (from, to, dt, maxRate = MAX_FLICK_RATE) => {
+  const rate = { x: (to.x - from.x) / dt, y: (to.y - from.y) / dt }
+  const speed = Math.sqrt(rate.x * rate.x + rate.y * rate.y)
+  return speed > maxRate ? { x: rate.x * maxRate / speed, y: rate.y * maxRate / speed } : rate
+}
+
+/**
+ * Change of angular velocity (rotation space, rad/s) when the chain is struck at the point
+ * `pointAt` tracks, by a blow travelling in `direction` (unit). Each angle takes the part of the
+ * blow it can turn into motion, relative to the chain's `length`: a strike near the pivot barely
+ * moves the chain and one on the end swings it hardest. The twist does the same about `axis`
+ * ({ origin, direction }, the chain's line in world space) relative to the chain's `radius`, so a
+ * hit on the middle doesn't turn it and one at the edge spins it hardest.
+ */
+export const strikeImpulse = (pointAt, pose, direction, { length, axis, radius, strength = STRIKE_STRENGTH }) => {
+  const [jx, jy] = poseJacobian(pointAt, pose)
+  // How the point moves per radian of twist: around the axis, as far out as it is from it
+  const jt = axis ? cross(axis.direction, sub(pointAt(pose), axis.origin)) : [0, 0, 0]
+  return {
+    x: strength * dot(jx, direction) / length,
+    y: strength * dot(jy, direction) / length,
+    twist: radius > 0 ? strength * dot(jt, direction) / radius : 0,
+  }
+}
+
+// Turning the pendant by hand, about the chain: shift-drag turns it by how far the pointer moves
+// across, a two-finger rotate by the angle the fingers turn through.
+export const TWIST_PER_PIXEL = Math.PI / 200 // Half a turn per 200px of shift-drag
+export const MAX_TWIST_RATE = 4 * Math.PI // rad/s - a faster spin on release is clamped to this
+
+export const clampTwistRate = (rate, maxRate = MAX_TWIST_RATE) => Math.max(-maxRate, Math.min(maxRate, rate))
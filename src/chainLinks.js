@@ -0,0 +1,251 @@
+import * as THREE from 'three'
+import { mergeGeometries } from 'three/examples/jsm/utils/BufferGeometryUtils.js'
+
+// Link meshes of the rope chain in Blasted Chain-v*.glb (chain_mesh, chain_mesh.001, ...).
+// Every other mesh in the scene is treated as part of the pendant.
+export const LINK_MESH_PATTERN = /^chain_mesh/
+
+// Vertices closer than this (in model units) are welded when looking for separate links,
+// so UV/normal seams inside one link don't split it in two
+const WELD_PRECISION = 1e4
+
+// Copy a subset of vertices out of a (possibly interleaved) attribute
+const copyAttribute = (attribute, vertexIds) => {
+  const { itemSize } = attribute
+  const array = new Float32Array(vertexIds.length * itemSize)
+  const getters = ['getX', 'getY', 'getZ', 'getW'].slice(0, itemSize)
+
+  vertexIds.forEach((vertex, i) => {
+    getters.forEach((getter, component) => {
+      array[i * itemSize + component] = attribute[getter](vertex)
+    })
+  })
+
+  return new THREE.BufferAttribute(array, itemSize)
+}
+
+// Split a geometry into its connected components - for a modelled chain each closed
+// link is its own island of triangles
+export const splitConnectedComponents = (geometry) => {
+  const position = geometry.attributes.position
+  const index = geometry.index
+  const triangleCount = index ? index.count / 3 : position.count / 3
+  const vertexAt = (i) => (index ? index.getX(i) : i)
+
+  // Weld coincident vertices so seams don't count as separate islands
+  const welded = new Int32Array(position.count)
+  const seen = new Map()
+  for (let v = 0; v < position.count; v++) {
+    const key = [
+      Math.round(position.getX(v) * WELD_PRECISION),
+      Math.round(position.getY(v) * WELD_PRECISION),
+      Math.round(position.getZ(v) * WELD_PRECISION),
+    ].join(',')
+    if (!seen.has(key)) seen.set(key, v)
+    welded[v] = seen.get(key)
+  }
+
+  // Union-find over welded vertices
+  const parent = new Int32Array(position.count).map((_, i) => i)
+  const find = (v) => {
+    while (parent[v] !== v) {
+      parent[v] = parent[parent[v]]
+      v = parent[v]
+    }
+    return v
+  }
+  const union = (a, b) => {
+    const rootA = find(a)
+    const rootB = find(b)
+    if (rootA !== rootB) parent[rootB] = rootA
+  }
+
+  for (let t = 0; t < triangleCount; t++) {
+    const a = welded[vertexAt(t * 3)]
+    union(a, welded[vertexAt(t * 3 + 1)])
+    union(a, welded[vertexAt(t * 3 + 2)])
+  }
+
+  // Group triangles by island
+  const islands = new Map()
+  for (let t = 0; t < triangleCount; t++) {
+    const root = find(welded[vertexAt(t * 3)])
+    if (!islands.has(root)) islands.set(root, [])
+    islands.get(root).push(t)
+  }
+
+  if (islands.size <= 1) return [geometry]
+
+  return [...islands.values()].map((triangles) => {
+    const remap = new Map()
+    const vertexIds = []
+    const indices = []
+
+    triangles.forEach((t) => {
+      for (let corner = 0; corner < 3; corner++) {
+        const vertex = vertexAt(t * 3 + corner)
+        if (!remap.has(vertex)) {
+          remap.set(vertex, vertexIds.length)
+          vertexIds.push(vertex)
+        }
+        indices.push(remap.get(vertex))
+      }
+    })
+
+    const piece = new THREE.BufferGeometry()
+    Object.entries(geometry.attributes).forEach(([name, attribute]) => {
+      piece.setAttribute(name, copyAttribute(attribute, vertexIds))
+    })
+    piece.setIndex(indices)
+    return piece
+  })
+}
+
+const centroidOf = (geometry) => {
+  geometry.computeBoundingBox()
+  return geometry.boundingBox.getCenter(new THREE.Vector3())
+}
+
+// Order pieces into a path along the chain: start from the highest piece and keep
+// walking to the nearest piece that hasn't been visited yet
+const orderAlongChain = (pieces) => {
+  const remaining = [...pieces]
+  remaining.sort((a, b) => b.centroid.y - a.centroid.y)
+
+  const ordered = [remaining.shift()]
+  while (remaining.length > 0) {
+    const last = ordered[ordered.length - 1].centroid
+    let nearest = 0
+    remaining.forEach((piece, i) => {
+      if (piece.centroid.distanceToSquared(last) < remaining[nearest].centroid.distanceToSquared(last)) {
+        nearest = i
+      }
+    })
+    ordered.push(remaining.splice(nearest, 1)[0])
+  }
+
+  return ordered
+}
+
+// Merge the pieces of one body into as few meshes as possible, recentred on the body origin
+const buildBody = (pieces, kind) => {
+  const box = new THREE.Box3()
+  pieces.forEach((piece) => box.expandByPoint(piece.centroid))
+  const origin = box.getCenter(new THREE.Vector3())
+
+  const byMaterial = new Map()
+  pieces.forEach(({ geometry, material }) => {
+    if (!byMaterial.has(material)) byMaterial.set(material, [])
+    byMaterial.get(material).push(geometry.clone().translate(-origin.x, -origin.y, -origin.z))
+  })
+
+  const parts = []
+  byMaterial.forEach((geometries, material) => {
+    const merged = geometries.length > 1 ? mergeGeometries(geometries) : geometries[0]
+    // Pieces from different source meshes may not share attributes - keep them separate then
+    if (merged) {
+      if (merged !== geometries[0]) geometries.forEach((geometry) => geometry.dispose())
+      parts.push({ geometry: merged, material })
+    } else {
+      geometries.forEach((geometry) => parts.push({ geometry, material }))
+    }
+  })
+
+  return { kind, position: origin.toArray(), parts }
+}
+
+// Split the chain model into rigid bodies joined by spherical joints.
+// `transform` maps model space into world space (anchor, scale and offset of the viewer),
+// so every body, joint and pin comes back in world coordinates.
+export const splitChainLinks = (scene, { transform = new THREE.Matrix4(), segmentCount = 14, linkPattern = LINK_MESH_PATTERN } = {}) => {
+  scene.updateMatrixWorld(true)
+  const rootInverse = scene.matrixWorld.clone().invert()
+
+  const linkPieces = []
+  const pendantPieces = []
+
+  scene.traverse((object) => {
+    if (!object.isMesh) return
+
+    const matrix = transform.clone().multiply(rootInverse).multiply(object.matrixWorld)
+    const geometry = object.geometry.clone().applyMatrix4(matrix)
+
+    if (linkPattern.test(object.name)) {
+      const pieces = splitConnectedComponents(geometry)
+      if (pieces[0] !== geometry) geometry.dispose()
+      pieces.forEach((piece) => {
+        linkPieces.push({ geometry: piece, material: object.material, centroid: centroidOf(piece) })
+      })
+    } else {
+      pendantPieces.push({ geometry, material: object.material, centroid: centroidOf(geometry) })
+    }
+  })
+
+  if (linkPieces.length === 0) {
+    throw new Error('No chain link meshes found in model')
+  }
+
+  const path = orderAlongChain(linkPieces)
+  const groups = Math.min(segmentCount, path.length)
+  const piecesPerGroup = path.length / groups
+  const segmentPieces = Array.from({ length: groups }, (_, g) =>
+    path.slice(Math.round(g * piecesPerGroup), Math.round((g + 1) * piecesPerGroup))
+  )
+
+  const bodies = segmentPieces.map((pieces) => buildBody(pieces, 'link'))
+  const joints = []
+
+  // Joint each segment to the next halfway between their touching pieces
+  for (let i = 0; i < segmentPieces.length - 1; i++) {
+    const end = segmentPieces[i][segmentPieces[i].length - 1].centroid
+    const start = segmentPieces[i + 1][0].centroid
+    joints.push({ a: i, b: i + 1, anchor: end.clone().lerp(start, 0.5).toArray() })
+  }
+
+  // Pin the top of the chain. A closed necklace loop comes back up to the top,
+  // so it hangs from both ends.
+  const first = path[0].centroid
+  const last = path[path.length - 1].centroid
+  const averageStep = path.reduce((sum, piece, i) => (i === 0 ? 0 : sum + piece.centroid.distanceTo(path[i - 1].centroid)), 0) / Math.max(1, path.length - 1)
+  const pins = [{ body: 0, anchor: first.toArray() }]
+  if (bodies.length > 1 && first.distanceTo(last) < averageStep * 3) {
+    pins.push({ body: bodies.length - 1, anchor: last.toArray() })
+  }
+
+  // Hang the pendant from the link piece closest to its top
+  if (pendantPieces.length > 0) {
+    const pendant = buildBody(pendantPieces, 'pendant')
+    const box = new THREE.Box3()
+    pendantPieces.forEach(({ geometry }) => {
+      geometry.computeBoundingBox()
+      box.union(geometry.boundingBox)
+    })
+    const top = new THREE.Vector3(box.getCenter(new THREE.Vector3()).x, box.max.y, box.getCenter(new THREE.Vector3()).z)
+
+    let closestSegment = 0
+    let closestDistance = Infinity
+    segmentPieces.forEach((pieces, s) => {
+      pieces.forEach(({ centroid }) => {
+        const distance = centroid.distanceTo(top)
+        if (distance < closestDistance) {
+          closestDistance = distance
+          closestSegment = s
+        }
+      })
+    })
+
+    bodies.push(pendant)
+    joints.push({ a: closestSegment, b: bodies.length - 1, anchor: top.toArray() })
+  }
+
+  // The bodies have their own copies - the transformed pieces were only needed to lay them out
+  linkPieces.forEach(({ geometry }) => geometry.dispose())
+  pendantPieces.forEach(({ geometry }) => geometry.dispose())
+
+  return { bodies, joints, pins }
+}
+
+// Free the geometries of what splitChainLinks() returned, once nothing renders them
+export const disposeChainLinks = ({ bodies }) => {
+  bodies.forEach(({ parts }) => parts.forEach(({ geometry }) => geometry.dispose()))
+}
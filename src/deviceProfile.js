@@ -0,0 +1,60 @@
+// Device capability detection used to pick a model level of detail.
+
+// Levels of detail from cheapest to most detailed - matches scripts/optimize-models.mjs
+export const LOD_LEVELS = ['low', 'medium', 'high']
+
+// Safe mobile detection
+export const isMobileDevice = () => {
+  try {
+    const userAgent = navigator.userAgent || navigator.vendor || window.opera || ''
+    return /android|iphone|ipad|ipod|blackberry|iemobile|opera mini/i.test(userAgent)
+  } catch (error) {
+    console.warn('Error detecting mobile device:', error)
+    return false
+  }
+}
+
+const lowerOf = (a, b) => LOD_LEVELS[Math.min(LOD_LEVELS.indexOf(a), LOD_LEVELS.indexOf(b))]
+
+export const isHigherTier = (a, b) => LOD_LEVELS.indexOf(a) > LOD_LEVELS.indexOf(b)
+
+// Pick a detail level from device memory, CPU cores, data saver and the rendered viewport size.
+// Browsers that don't expose a signal (e.g. deviceMemory outside Chrome) are given the benefit of the doubt.
+export const detectDeviceTier = ({
+  width = window.innerWidth,
+  height = window.innerHeight,
+  pixelRatio = window.devicePixelRatio || 1,
+} = {}) => {
+  const memory = navigator.deviceMemory // GB, rounded
+  const cores = navigator.hardwareConcurrency
+  const saveData = navigator.connection?.saveData === true
+  const mobile = isMobileDevice()
+
+  let tier = mobile ? 'medium' : 'high'
+
+  if (saveData || memory <= 2 || cores <= 2) {
+    tier = 'low'
+  } else if (mobile && (memory <= 3 || cores <= 4)) {
+    tier = 'low'
+  }
+
+  // A small canvas can't show the full mesh detail anyway
+  const longestSide = Math.max(width, height) * Math.min(pixelRatio, 2)
+  if (longestSide < 500) {
+    tier = 'low'
+  } else if (longestSide < 900) {
+    tier = lowerOf(tier, 'medium')
+  }
+
+  return tier
+}
+
+// Order in which to try LOD variants for a tier: the tier itself, then cheaper ones, then richer ones
+export const lodPreference = (tier) => {
+  const index = LOD_LEVELS.indexOf(tier)
+  return [
+    tier,
+    ...LOD_LEVELS.slice(0, index).reverse(),
+    ...LOD_LEVELS.slice(index + 1),
+  ]
+}
@@ -0,0 +1,15 @@
+// Save generated files (recordings, presets) from the browser
+
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+export const downloadJSON = (data, fileName) => {
+  const json = typeof data === 'string' ? data : JSON.stringify(data, null, 2)
+  downloadBlob(new Blob([json + (json.endsWith('\n') ? '' : '\n')], { type: 'application/json' }), fileName)
+}
@@ -0,0 +1,60 @@
+// Hotspots: points on the chain model that open an annotation card when clicked.
+// Each model carries its own in a JSON file next to it - "Blasted Chain.glb" reads
+// "Blasted Chain.hotspots.json":
+//   { "hotspots": [{ "id": "pendant", "node": "Mesh_0.002", "position": [0, -0.03, 0.006],
+//                    "title": "Pendant", "text": "...", "image": "/hotspots/pendant.jpg" }] }
+// `node` names a node of the GLB as the modelling tool wrote it, and `position` is in that node's
+// space - or the whole model's when there's no node. Points should sit just off the surface, or
+// the surface they're on hides them.
+
+// Where a model's hotspots live. LOD variants share the file of the model they were built from.
+export const hotspotsUrl = (modelUrl, manifest = null) => {
+  const entry = (manifest?.versions || []).find((candidate) => (
+    Object.values(candidate.variants || {}).some((variant) => variant.url === modelUrl)
+  ))
+  const source = entry ? entry.url : modelUrl
+  return source.replace(/\.(glb|gltf)$/i, '') + '.hotspots.json'
+}
+
+const isVec3 = (value) => Array.isArray(value) && value.length === 3 && value.every(Number.isFinite)
+
+// Check a hotspots file. Invalid entries are dropped with a message, so one typo doesn't cost
+// every annotation. Returns { hotspots, errors }.
+export const parseHotspots = (data) => {
+  if (!data || !Array.isArray(data.hotspots)) {
+    return { hotspots: [], errors: ['expected an object with a "hotspots" array'] }
+  }
+
+  const hotspots = []
+  const errors = []
+  const ids = new Set()
+  data.hotspots.forEach((entry, i) => {
+    const fail = (message) => errors.push(`hotspots[${i}]: ${message}`)
+    if (!entry || typeof entry !== 'object') return fail('expected an object')
+    const { id, node, position, title, text = '', image = '' } = entry
+    if (typeof id !== 'string' || id === '') return fail('expected a string id')
+    if (ids.has(id)) return fail(`duplicate id "${id}"`)
+    if (typeof title !== 'string' || title === '') return fail('expected a title')
+    if (node !== undefined && typeof node !== 'string') return fail('expected node to be a node name')
+    if (position !== undefined && !isVec3(position)) return fail('expected position to be an array of 3 numbers')
+    if (node === undefined && position === undefined) return fail('expected a node or a position')
+    if (typeof text !== 'string' || typeof image !== 'string') return fail('expected text and image to be strings')
+
+    ids.add(id)
+    hotspots.push({ id, node: node || null, position: position || [0, 0, 0], title, text, image })
+  })
+  return { hotspots, errors }
+}
+
+// Fetch and check a model's hotspots. A missing file just means the model has none - the
+// deployment answers unknown paths with index.html, so that counts as missing too.
+export const fetchHotspots = async (url) => {
+  const response = await fetch(url)
+  if (response.status === 404 || (response.headers.get('content-type') || '').includes('text/html')) {
+    return { hotspots: [], errors: [] }
+  }
+  if (!response.ok) {
+    throw new Error(`Failed to load hotspots ${url}: ${response.status}`)
+  }
+  return parseHotspots(await response.json())
+}
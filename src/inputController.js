@@ -0,0 +1,290 @@
+// Input arbitration for the pendulum chain.
+// Pure module - no React, no Three.js - so input handling can be driven and checked headlessly
+// (see test/inputController.test.js).
+//
+// Every way of moving the chain (pointer, gyro, keyboard, scripted moves, idle motion) is a
+// named source. Sources never write the rotation directly; they feed the one physics state:
+//   target  - a rotation the chain is pulled toward by a damped spring. Only the highest
+//             priority source with a target is obeyed; the others wait their turn.
+//   force   - a constant push (rad/s²). Forces from every active source add up.
+//   tilt    - a change of gravity direction (the gyro tilting the phone). Tilts add up too.
+//   twist   - an angle to turn the pendant to about the chain, on the source's spring. Like
+//             targets, only the highest priority source with a twist is obeyed - but it
+//             switches owner straight away; only people turn the pendant, so nothing to blend.
+//   impulse - a one-off change of angular velocity (clicks, flicks, the initial swing).
+//   reset   - a new pendulum state outright (the R key, a shared link's pose, a capture's start).
+// When the target owner changes, spring strength and target are blended over a short
+// handoff, so e.g. grabbing the chain in the middle of a scripted move doesn't snap it.
+
+import { applyImpulse, createPendulumState, isSettled } from './pendulumPhysics.js'
+
+export const INPUT_PRIORITY = {
+  pointer: 50, // Direct manipulation always wins
+  scripted: 40, // Test moves, replays, "stop" braking
+  keyboard: 30,
+  gyro: 20,
+  idle: 0,
+}
+
+export const HANDOFF_TIME = 0.25 // Seconds to blend from one target owner to the next
+
+// Spring settings per source - stiffer means the chain follows the target more tightly
+export const SOURCE_SPRINGS = {
+  pointer: { stiffness: 120, damping: 18, handoff: 0.05 },
+  scripted: { stiffness: 60, damping: 12, handoff: HANDOFF_TIME },
+  keyboard: { stiffness: 40, damping: 10, handoff: HANDOFF_TIME },
+  gyro: { stiffness: 40, damping: 10, handoff: HANDOFF_TIME },
+  idle: { stiffness: 4, damping: 2, handoff: HANDOFF_TIME },
+}
+
+const lerp = (a, b, t) => a + (b - a) * t
+const NO_SPRING = { target: null, stiffness: 0, damping: 0 }
+
+// Source springs with per-source overrides (e.g. config.input.pointer) and a shared handoff time
+export const mergeSprings = (overrides = {}, handoffTime = HANDOFF_TIME) => Object.fromEntries(
+  Object.entries(SOURCE_SPRINGS).map(([name, spring]) => [name, {
+    ...spring,
+    ...overrides[name],
+    handoff: name === 'pointer' ? spring.handoff : handoffTime,
+  }])
+)
+
+export const createInputController = ({ priorities = INPUT_PRIORITY, springs: initialSprings = SOURCE_SPRINGS } = {}) => {
+  let springs = initialSprings
+  const sources = new Map() // name -> { target, force, tilt, twist, stiffness, damping, handoff, remaining }
+  let pendingImpulse = { x: 0, y: 0, twist: 0 }
+  let pendingReset = null
+  let ownerName = null
+  let from = NO_SPRING // Spring we're blending away from
+  let blend = 1
+  let handoff = HANDOFF_TIME
+  let current = NO_SPRING // Last spring handed to the physics
+  const listeners = new Set() // Observers of every command, e.g. the session recorder
+
+  const notify = (command) => listeners.forEach((listener) => listener(command))
+
+  const priorityOf = (name) => priorities[name] ?? 0
+
+  // Highest priority source with a `key` (target or twist)
+  const ownerOf = (key) => {
+    let best = null
+    sources.forEach((source, name) => {
+      if (source[key] === null) return
+      if (!best || priorityOf(name) > priorityOf(best)) best = name
+    })
+    return best
+  }
+
+  const owner = () => ownerOf('target')
+
+  return {
+    // Activate or update a source. `duration` (seconds) releases it automatically.
+    set(name, spec = {}) {
+      const { target, force, tilt, twist, stiffness, damping, handoff: sourceHandoff, duration } = spec
+      notify({ type: 'set', name, spec })
+      const defaults = springs[name] || springs.scripted
+      const previous = sources.get(name) || {}
+      sources.set(name, {
+        target: target === undefined ? previous.target || null : target,
+        force: force === undefined ? previous.force || null : force,
+        tilt: tilt === undefined ? previous.tilt || null : tilt,
+        twist: twist === undefined ? previous.twist ?? null : twist,
+        stiffness: stiffness ?? previous.stiffness ?? defaults.stiffness,
+        damping: damping ?? previous.damping ?? defaults.damping,
+        handoff: sourceHandoff ?? previous.handoff ?? defaults.handoff,
+        remaining: duration ?? previous.remaining ?? Infinity,
+      })
+    },
+
+    release(name) {
+      notify({ type: 'release', name })
+      sources.delete(name)
+    },
+
+    releaseAll() {
+      notify({ type: 'releaseAll' })
+      sources.clear()
+    },
+
+    isActive(name) {
+      return sources.has(name)
+    },
+
+    // Queue an angular velocity change for the next physics frame. `name` only labels it.
+    impulse({ x = 0, y = 0, twist = 0 }, name = 'pointer') {
+      notify({ type: 'impulse', name, impulse: { x, y, twist } })
+      pendingImpulse = { x: pendingImpulse.x + x, y: pendingImpulse.y + y, twist: pendingImpulse.twist + twist }
+    },
+
+    // Put the chain in a new state on the next physics frame - createPendulumState() options:
+    // { rotationX, rotationY, velocity, twist, twistVelocity }. Impulses queued alongside still apply.
+    reset(state) {
+      notify({ type: 'reset', state })
+      pendingReset = state
+    },
+
+    owner,
+
+    // Swap the default springs for sources set from now on (live tuning)
+    configure({ springs: nextSprings }) {
+      springs = nextSprings
+    },
+
+    get springs() {
+      return springs
+    },
+
+    // Commands that would recreate the currently active sources on a fresh controller
+    activeCommands() {
+      return [...sources.entries()].map(([name, source]) => ({
+        type: 'set',
+        name,
+        spec: {
+          target: source.target,
+          force: source.force,
+          tilt: source.tilt,
+          twist: source.twist,
+          stiffness: source.stiffness,
+          damping: source.damping,
+          handoff: source.handoff,
+          ...(Number.isFinite(source.remaining) ? { duration: source.remaining } : {}),
+        },
+      }))
+    },
+
+    // Observe every set/release/impulse call. Returns an unsubscribe function.
+    subscribe(listener) {
+      listeners.add(listener)
+      return () => listeners.delete(listener)
+    },
+
+    // Work out this frame's input for the physics: call once per rendered frame.
+    // Returns { target, stiffness, damping, force, tilt, twist, impulse, reset, owner, active }.
+    // A tilt on its own doesn't make the input active - it only moves where the chain hangs.
+    update(dt) {
+      // Timed sources (scripted holds) expire on their own
+      sources.forEach((source, name) => {
+        source.remaining -= dt
+        if (source.remaining <= 0) sources.delete(name)
+      })
+
+      const nextOwner = owner()
+      if (nextOwner !== ownerName) {
+        // Blend from wherever the previous handoff had got to
+        const incoming = sources.get(nextOwner)
+        const outgoing = sources.get(ownerName)
+        handoff = incoming?.handoff ?? outgoing?.handoff ?? (springs[ownerName]?.handoff ?? HANDOFF_TIME)
+        from = current
+        blend = 0
+        ownerName = nextOwner
+      }
+      blend = handoff > 0 ? Math.min(1, blend + dt / handoff) : 1
+
+      const to = sources.get(ownerName) || NO_SPRING
+      const fromTarget = from.target || to.target
+      const toTarget = to.target || from.target
+      current = {
+        target: toTarget && {
+          x: lerp(fromTarget.x, toTarget.x, blend),
+          y: lerp(fromTarget.y, toTarget.y, blend),
+        },
+        stiffness: lerp(from.stiffness, to.stiffness, blend),
+        damping: lerp(from.damping, to.damping, blend),
+      }
+      if (!to.target && blend >= 1) current = NO_SPRING
+
+      const force = { x: 0, y: 0 }
+      const tilt = { x: 0, y: 0 }
+      sources.forEach((source) => {
+        force.x += source.force?.x || 0
+        force.y += source.force?.y || 0
+        tilt.x += source.tilt?.x || 0
+        tilt.y += source.tilt?.y || 0
+      })
+
+      const twistSource = sources.get(ownerOf('twist'))
+      const twist = twistSource
+        ? { target: twistSource.twist, stiffness: twistSource.stiffness, damping: twistSource.damping }
+        : null
+
+      const impulse = pendingImpulse
+      pendingImpulse = { x: 0, y: 0, twist: 0 }
+      const reset = pendingReset
+      pendingReset = null
+
+      return {
+        ...current,
+        force,
+        tilt,
+        twist,
+        impulse,
+        reset,
+        owner: ownerName,
+        active: current.stiffness > 0 || force.x !== 0 || force.y !== 0 || twist !== null ||
+          impulse.x !== 0 || impulse.y !== 0 || impulse.twist !== 0 || reset !== null,
+      }
+    },
+  }
+}
+
+// Re-issue a command captured through subscribe() on another controller
+export const applyCommand = (input, command) => {
+  if (command.type === 'set') input.set(command.name, command.spec)
+  else if (command.type === 'release') input.release(command.name)
+  else if (command.type === 'releaseAll') input.releaseAll()
+  else if (command.type === 'impulse') input.impulse(command.impulse, command.name)
+  else if (command.type === 'reset') input.reset(command.state)
+}
+
+// The pose a frame's input holds the chain at: the owning source's target if one is pulling,
+// otherwise wherever gravity hangs it, tilted or not. isSettled measures from here.
+export const restPose = (drive) => {
+  if (!drive) return null
+  return drive.target && drive.stiffness > 0 ? drive.target : drive.tilt
+}
+
+// One frame of the chain: gather input, apply impulses and run the fixed-step physics.
+// Shared by the live viewer and session replay so both take exactly the same path.
+// Returns { state, drive, sleeping } - sleeping means nothing pushed and nothing moved.
+export const advanceWithInput = (state, input, stepper, dt) => {
+  const drive = input.update(dt)
+  let next = state
+
+  if (drive.reset) {
+    next = createPendulumState(drive.reset)
+    stepper.reset()
+  }
+
+  if (drive.impulse.x !== 0 || drive.impulse.y !== 0 || drive.impulse.twist !== 0) {
+    next = applyImpulse(next, drive.impulse)
+  }
+
+  if (!drive.active && isSettled(next, restPose(drive))) {
+    stepper.reset()
+    return { state: next, drive, sleeping: true }
+  }
+
+  return { state: stepper.advance(next, dt, drive).state, drive, sleeping: false }
+}
+
+// Arrow keys as push directions in rotation space: up tilts the chain back, right tilts it right
+export const KEYBOARD_DIRECTIONS = {
+  ArrowUp: { x: 1, y: 0 },
+  ArrowDown: { x: -1, y: 0 },
+  ArrowLeft: { x: 0, y: -1 },
+  ArrowRight: { x: 0, y: 1 },
+}
+
+export const KEYBOARD_FORCE = 6 // rad/s² while an arrow key is held
+
+// Combined push for the held keys, or null if none of them push
+export const keyboardForce = (keys, strength = KEYBOARD_FORCE) => {
+  const force = { x: 0, y: 0 }
+  keys.forEach((key) => {
+    const direction = KEYBOARD_DIRECTIONS[key]
+    if (!direction) return
+    force.x += direction.x * strength
+    force.y += direction.y * strength
+  })
+  return force.x !== 0 || force.y !== 0 ? force : null
+}
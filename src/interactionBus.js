@@ -0,0 +1,138 @@
+// Shared pointer and interaction events, and the background ripples they cause.
+// Pure module - no React, no Three.js. Producers (the pointer tracker, the chain) emit events on
+// the bus; the liquid chrome background turns them into ripples through a ripple field.
+//
+// Positions are in screen uv: 0..1 from the bottom-left corner, like the background shader's.
+//   'pointer' { x, y, vx, vy, speed } - the pointer moved (velocity in uv/s)
+//   'flick'   { x, y, speed }         - a drag was released with momentum (screen heights/s)
+//   'shock'   { x, y, strength }      - the chain was clicked
+//   'chain'   { x, y, speed }         - the chain is swinging; x, y is its tip, speed in rad/s
+
+export const createInteractionBus = () => {
+  const listeners = new Map() // type -> Set of listeners
+  const pointer = { x: 0.5, y: 0.5, vx: 0, vy: 0, speed: 0 }
+
+  const emit = (type, event) => {
+    listeners.get(type)?.forEach((listener) => listener(event))
+  }
+
+  return {
+    // Latest pointer state, for consumers that poll rather than listen
+    pointer,
+
+    emit,
+
+    // Listen for one event type. Returns an unsubscribe function.
+    on(type, listener) {
+      if (!listeners.has(type)) listeners.set(type, new Set())
+      listeners.get(type).add(listener)
+      return () => listeners.get(type).delete(listener)
+    },
+
+    // Report the pointer position once per frame; emits 'pointer' when it moved
+    movePointer(x, y, dt) {
+      if (x === pointer.x && y === pointer.y) {
+        pointer.vx = 0
+        pointer.vy = 0
+        pointer.speed = 0
+        return
+      }
+      pointer.vx = dt > 0 ? (x - pointer.x) / dt : 0
+      pointer.vy = dt > 0 ? (y - pointer.y) / dt : 0
+      pointer.speed = Math.sqrt(pointer.vx * pointer.vx + pointer.vy * pointer.vy)
+      pointer.x = x
+      pointer.y = y
+      emit('pointer', pointer)
+    },
+  }
+}
+
+export const RIPPLE_SLOTS = 8 // Ripples the shader can show at once; the faintest gives way
+
+export const DEFAULT_RIPPLE_OPTIONS = {
+  lifetime: 2.5, // Seconds before a ripple is gone
+  pointerSpeed: 1.5, // uv/s the pointer has to move at to disturb the fluid
+  pointerSpacing: 0.05, // uv between ripples along a fast pointer stroke
+  chainSpeed: 0.3, // rad/s the chain has to swing at to disturb the fluid
+  chainInterval: 0.12, // Seconds between ripples from the swinging chain
+  ringSpeed: 0.9, // uv/s a shock ring expands at
+  strength: 1, // Scales ripples from the pointer, flicks and clicks
+  chainStrength: 1, // Scales ripples from the chain's swing
+}
+
+/**
+ * Ripples caused by interaction events, kept in a fixed pool the shader reads. Each ripple is
+ * { x, y, born, amplitude, speed }: speed 0 ripples in place, otherwise it's a ring expanding at
+ * that many uv/s. `now` is the clock in seconds (the same one passed to write()).
+ */
+export const createRippleField = (bus, { now = () => performance.now() / 1000, ...overrides } = {}) => {
+  const options = { ...DEFAULT_RIPPLE_OPTIONS, ...overrides }
+  const ripples = Array.from({ length: RIPPLE_SLOTS }, () => ({ x: 0, y: 0, born: -Infinity, amplitude: 0, speed: 0 }))
+  let lastPointer = null
+  let lastChainRipple = -Infinity
+
+  // How strongly a ripple still shows - the shader fades them by exp(-2 * age)
+  const visible = (ripple, time) => (
+    time - ripple.born < options.lifetime ? ripple.amplitude * Math.exp(-2 * (time - ripple.born)) : 0
+  )
+
+  const add = (x, y, amplitude, speed = 0) => {
+    if (!(amplitude > 0)) return
+    // Reuse the faintest slot, so a stream of small ripples can't crowd out a shock ring
+    const time = now()
+    const slot = ripples.reduce((faintest, ripple) => (visible(ripple, time) < visible(faintest, time) ? ripple : faintest))
+    slot.x = x
+    slot.y = y
+    slot.born = time
+    slot.amplitude = amplitude
+    slot.speed = speed
+  }
+
+  const unsubscribers = [
+    bus.on('pointer', ({ x, y, speed }) => {
+      if (speed < options.pointerSpeed) return
+      if (lastPointer && Math.hypot(x - lastPointer.x, y - lastPointer.y) < options.pointerSpacing) return
+      lastPointer = { x, y }
+      add(x, y, Math.min(speed / 6, 1) * options.strength)
+    }),
+    bus.on('flick', ({ x, y, speed }) => {
+      add(x, y, Math.min(speed / 3, 1.5) * options.strength)
+    }),
+    bus.on('shock', ({ x, y, strength = 1 }) => {
+      add(x, y, 2 * strength * options.strength, options.ringSpeed)
+    }),
+    bus.on('chain', ({ x, y, speed }) => {
+      const time = now()
+      if (speed < options.chainSpeed || time - lastChainRipple < options.chainInterval) return
+      lastChainRipple = time
+      add(x, y, Math.min(speed / 5, 0.8) * options.chainStrength)
+    }),
+  ]
+
+  return {
+    ripples,
+
+    // Fill the shader's arrays: positions[i].set(x, y, age, amplitude) and speeds[i] = ring speed.
+    // Expired slots get amplitude 0, which the shader skips. Returns whether any ripple is alive.
+    write(positions, speeds) {
+      const time = now()
+      let anyAlive = false
+      ripples.forEach((ripple, i) => {
+        const age = time - ripple.born
+        const alive = age < options.lifetime && ripple.amplitude > 0
+        positions[i].set(ripple.x, ripple.y, alive ? age : 0, alive ? ripple.amplitude : 0)
+        speeds[i] = ripple.speed
+        anyAlive = anyAlive || alive
+      })
+      return anyAlive
+    },
+
+    configure(nextOptions) {
+      Object.assign(options, nextOptions)
+    },
+
+    dispose() {
+      unsubscribers.forEach((unsubscribe) => unsubscribe())
+    },
+  }
+}
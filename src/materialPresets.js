@@ -0,0 +1,105 @@
+// Chain finishes for the product configurator, and their URL representation.
+
+import { useEffect } from 'react'
+import * as THREE from 'three'
+
+// 'original' keeps the materials baked into the GLB
+export const FINISHES = {
+  original: { label: 'Original' },
+  chrome: { label: 'Polished Chrome', color: '#f4f6f8', metalness: 1, roughness: 0.05, clearcoat: 0.3, anisotropy: 0 },
+  gold: { label: 'Gold', color: '#f5c85a', metalness: 1, roughness: 0.15, clearcoat: 0.2, anisotropy: 0 },
+  'rose-gold': { label: 'Rose Gold', color: '#e8a58c', metalness: 1, roughness: 0.18, clearcoat: 0.2, anisotropy: 0 },
+  gunmetal: { label: 'Gunmetal', color: '#4a4d52', metalness: 0.9, roughness: 0.3, clearcoat: 0.5, anisotropy: 0 },
+  'brushed-steel': { label: 'Brushed Steel', color: '#c9ccd0', metalness: 1, roughness: 0.35, clearcoat: 0, anisotropy: 0.8 },
+  custom: { label: 'Custom', color: '#8a7fff', metalness: 0.8, roughness: 0.25, clearcoat: 0.4, anisotropy: 0 },
+}
+
+export const FINISH_NAMES = Object.keys(FINISHES)
+
+// Properties the configurator lets customers adjust on top of a finish
+export const ADJUSTABLE = ['color', 'metalness', 'roughness', 'clearcoat']
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i
+const clamp01 = (value) => Math.max(0, Math.min(1, value))
+
+// Full set of material values for a selection: the preset with any adjustments applied.
+// A selection looks like { finish: 'gold', roughness: 0.4 }.
+export const resolveFinish = (selection) => {
+  const preset = FINISHES[selection.finish] || FINISHES.original
+  if (selection.finish === 'original' || !FINISHES[selection.finish]) return null
+
+  return {
+    color: HEX_COLOR.test(selection.color || '') ? selection.color : preset.color,
+    metalness: Number.isFinite(selection.metalness) ? clamp01(selection.metalness) : preset.metalness,
+    roughness: Number.isFinite(selection.roughness) ? clamp01(selection.roughness) : preset.roughness,
+    clearcoat: Number.isFinite(selection.clearcoat) ? clamp01(selection.clearcoat) : preset.clearcoat,
+    anisotropy: preset.anisotropy,
+  }
+}
+
+// Copy resolved finish values onto a physical material in place, so slider changes
+// don't allocate a new material. Only toggling anisotropy changes the shader.
+export const applyFinish = (material, values) => {
+  if ((material.anisotropy > 0) !== (values.anisotropy > 0)) material.needsUpdate = true
+  material.color.set(values.color)
+  material.metalness = values.metalness
+  material.roughness = values.roughness
+  material.clearcoat = values.clearcoat
+  material.clearcoatRoughness = values.roughness * 0.5
+  material.anisotropy = values.anisotropy
+  return material
+}
+
+export const createFinishMaterial = () => new THREE.MeshPhysicalMaterial({ name: 'chain-finish' })
+
+// Swap every mesh under `object` to `material` while mounted, putting the GLB's own
+// materials back afterwards - the loaded scene is cached and shared between renders
+export const useMaterialOverride = (object, material) => {
+  useEffect(() => {
+    if (!object || !material) return
+
+    const originals = new Map()
+    object.traverse((child) => {
+      if (!child.isMesh) return
+      originals.set(child, child.material)
+      child.material = material
+    })
+    return () => originals.forEach((original, mesh) => {
+      mesh.material = original
+    })
+  }, [object, material])
+}
+
+// URL form: ?finish=rose-gold&finish.roughness=0.4 - only adjustments that differ from the preset are written
+export const finishFromSearch = (search) => {
+  const params = new URLSearchParams(search)
+  const finish = params.get('finish')
+  if (!finish || !FINISHES[finish]) return null
+
+  const selection = { finish }
+  ADJUSTABLE.forEach((key) => {
+    const raw = params.get(`finish.${key}`)
+    if (raw === null) return
+    selection[key] = key === 'color' ? raw : Number(raw)
+  })
+  return selection
+}
+
+export const finishToSearch = (selection, search) => {
+  const params = new URLSearchParams(search)
+  params.delete('finish')
+  ADJUSTABLE.forEach((key) => params.delete(`finish.${key}`))
+
+  if (selection.finish !== 'original') {
+    const preset = FINISHES[selection.finish]
+    params.set('finish', selection.finish)
+    ADJUSTABLE.forEach((key) => {
+      const value = selection[key]
+      if (value === undefined || value === preset[key]) return
+      params.set(`finish.${key}`, key === 'color' ? value : String(Math.round(value * 100) / 100))
+    })
+  }
+
+  const query = params.toString()
+  return query ? `?${query}` : ''
+}
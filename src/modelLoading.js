@@ -0,0 +1,115 @@
+// Model loading: manifest of available model versions, ordered fallbacks, compressed
+// LOD variants and byte progress.
+
+import { useLoader, useThree } from '@react-three/fiber'
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js'
+import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js'
+import { KTX2Loader } from 'three/examples/jsm/loaders/KTX2Loader.js'
+import { MeshoptDecoder } from 'three/examples/jsm/libs/meshopt_decoder.module.js'
+import { lodPreference } from './deviceProfile'
+
+// Served from our own origin - scripts/copy-decoders.mjs copies them out of three
+export const DECODER_PATH = `${import.meta.env.BASE_URL}decoders/`
+
+// URLs of a manifest entry to try for a detail level: matching LOD variants
+// (written by scripts/optimize-models.mjs), then the uncompressed original
+const entryUrls = (entry, lod) => {
+  if (lod === 'original' || !entry.variants) return [entry.url]
+  return [
+    ...lodPreference(lod).map((level) => entry.variants[level]?.url),
+    entry.url,
+  ].filter(Boolean)
+}
+
+// Resolve the list of model URLs to try, in order: a manifest version asked for by name
+// (a shared link), the configured model, then explicit fallbacks, then every manifest version newest first
+export const modelCandidates = ({ modelPath, modelFallbacks = [] }, manifest = null, lod = 'high', preferredVersion = null) => {
+  const versions = manifest?.versions || []
+  const preferred = versions.find((entry) => entry.version === preferredVersion)
+  const manifestUrls = versions
+    .slice()
+    .sort((a, b) => b.version - a.version)
+    .flatMap((entry) => entryUrls(entry, lod))
+
+  return [...(preferred ? entryUrls(preferred, lod) : []), modelPath, ...modelFallbacks, ...manifestUrls]
+    .filter(Boolean)
+    .filter((url, i, urls) => urls.indexOf(url) === i)
+}
+
+// Expected size of a model from the manifest - used when the server sends no Content-Length
+export const manifestBytes = (manifest, url) => {
+  for (const entry of manifest?.versions || []) {
+    if (entry.url === url) return entry.bytes || 0
+    const variant = Object.values(entry.variants || {}).find((candidate) => candidate.url === url)
+    if (variant) return variant.bytes || 0
+  }
+  return 0
+}
+
+// Manifest version a model URL belongs to - the original or any of its LOD variants - or null
+export const manifestVersion = (manifest, url) => {
+  const entry = (manifest?.versions || []).find((candidate) => (
+    candidate.url === url || Object.values(candidate.variants || {}).some((variant) => variant.url === url)
+  ))
+  return entry ? entry.version : null
+}
+
+export const fetchModelManifest = async (url) => {
+  const response = await fetch(url)
+  if (!response.ok) {
+    throw new Error(`Failed to load model manifest ${url}: ${response.status}`)
+  }
+  const manifest = await response.json()
+  if (!Array.isArray(manifest.versions)) {
+    throw new Error(`Model manifest ${url} has no versions list`)
+  }
+  return manifest
+}
+
+// Check a model URL exists without downloading it. The deployment rewrites unknown paths
+// to index.html, so a 200 with an HTML body counts as missing too.
+const modelExists = async (url) => {
+  try {
+    const response = await fetch(url, { method: 'HEAD' })
+    if (response.status === 405 || response.status === 501) return true // No HEAD support - let the loader decide
+    return response.ok && !(response.headers.get('content-type') || '').includes('text/html')
+  } catch (error) {
+    console.warn('Could not check model ' + url + ':', error)
+    return true
+  }
+}
+
+// Drop candidates that clearly don't exist, keeping the order of the rest
+export const filterAvailableModels = async (urls) => {
+  const checks = await Promise.all(urls.map(modelExists))
+  return urls.filter((url, i) => checks[i])
+}
+
+// Decoders are shared by every load; KTX2 needs the renderer to know which GPU formats to transcode to
+let dracoLoader = null
+let ktx2Loader = null
+
+const configureLoader = (gl) => (loader) => {
+  if (!dracoLoader) {
+    dracoLoader = new DRACOLoader().setDecoderPath(`${DECODER_PATH}draco/`)
+  }
+  if (!ktx2Loader) {
+    ktx2Loader = new KTX2Loader().setTranscoderPath(`${DECODER_PATH}basis/`).detectSupport(gl)
+  }
+  loader.setDRACOLoader(dracoLoader)
+  loader.setKTX2Loader(ktx2Loader)
+  loader.setMeshoptDecoder(MeshoptDecoder)
+}
+
+// Load a GLB through the shared loader cache, reporting byte progress while it downloads.
+// Draco, Meshopt and KTX2-compressed models are decoded transparently.
+// onProgress receives ({ loaded, total }) and only fires for the first request of a URL.
+export const useChainModel = (url, onProgress) => {
+  const gl = useThree((state) => state.gl)
+  return useLoader(GLTFLoader, url, configureLoader(gl), (event) => {
+    onProgress?.({ loaded: event.loaded, total: event.lengthComputable ? event.total : 0 })
+  })
+}
+
+// Forget a failed (or stale) model so the next render downloads it again
+export const clearChainModel = (url) => useLoader.clear(GLTFLoader, url)
@@ -0,0 +1,280 @@
+// Pendulum physics for the hanging chain.
+// Pure functions only - no React, no Three.js - so the simulation can run headlessly.
+//
+// State convention (kept from the original swing loop):
+//   rotation.x - forward/back tilt, driven by velocity.y
+//   rotation.y - left/right tilt, driven by velocity.x
+//   twist      - spin of the pendant about the chain, { angle, velocity }. It has a spring of its
+//                own (the links resist being wound up) and is stirred by the swing.
+//
+// External input (see inputController.js) is expressed in rotation space: drive.force.x and
+// impulse.x act on rotation.x, whichever velocity component happens to drive it.
+
+// Physics constants
+export const CHAIN_LENGTH = 5.0 // Virtual chain length for physics calculations
+export const GRAVITY = 12.0 // Increased gravity for more natural falling
+export const AIR_DAMPING = 0.025 // Slightly increased air resistance
+export const FRICTION_DAMPING = 0.006 // Slightly increased friction
+export const MAX_ANGLE = Math.PI / 2.5 // Slightly more restrictive to prevent extreme positions
+
+// Simulation timing
+export const FIXED_TIMESTEP = 1 / 60 // Physics always advances in steps of this size
+export const MAX_FRAME_TIME = 0.25 // Longer frames (tab switches, hitches) are dropped, not simulated
+export const SETTLE_ENERGY = 0.002 // Below this the chain is considered at rest
+
+export const DEFAULT_PHYSICS = {
+  chainLength: CHAIN_LENGTH,
+  gravity: GRAVITY,
+  airDamping: AIR_DAMPING,
+  frictionDamping: FRICTION_DAMPING,
+  maxAngle: MAX_ANGLE,
+  couplingStrength: 0.15, // Creates figure-8 and chaotic patterns
+  chaosStrength: 0.05, // Nonlinear kick for very large angles
+  secondaryDamping: 0.95, // Per-step decay of chain link wobble
+  secondarySpring: 0.1, // Pull of the link wobble back to rest
+  secondaryInfluence: 0.05, // How much the main swing excites the link wobble
+  twistStiffness: 3, // Pull of the wound-up links back to the untwisted pose
+  twistDamping: 1, // Linear damping of the spin
+  twistCoupling: 0.5, // How much a circling swing spins the pendant
+  maxTwist: Math.PI * 4, // Two full turns either way before the links lock up
+}
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value))
+
+export const createPendulumState = ({ rotationX = 0, rotationY = 0, velocity = { x: 0, y: 0 }, twist = 0, twistVelocity = 0 } = {}) => ({
+  rotation: { x: rotationX, y: rotationY },
+  velocity: { x: velocity.x, y: velocity.y },
+  twist: { angle: twist, velocity: twistVelocity },
+  secondary: {
+    position: { x: 0, y: 0, z: 0 },
+    velocity: { x: 0, y: 0, z: 0 },
+  },
+})
+
+// Extra acceleration from user input: a constant force plus a damped spring toward a target rotation
+const driveAcceleration = (rotX, rotY, velocity, drive) => {
+  let x = drive.force?.x || 0
+  let y = drive.force?.y || 0
+  if (drive.target && drive.stiffness > 0) {
+    x += drive.stiffness * (drive.target.x - rotX) - (drive.damping || 0) * velocity.y
+    y += drive.stiffness * (drive.target.y - rotY) - (drive.damping || 0) * velocity.x
+  }
+  // Swap into velocity space - velocity.x drives rotation.y
+  return { x: y, y: x }
+}
+
+// Angular acceleration of the pendulum: a = -(g/L) * sin(θ) - damping * velocity (+ input drive)
+export const calculateAcceleration = (rotX, rotY, velocity, params = DEFAULT_PHYSICS, drive = null) => {
+  const omega = Math.sqrt(params.gravity / params.chainLength) // Natural frequency
+
+  // Gravity may not point straight down the screen - a tilted phone moves the rest point
+  const hangX = rotX - (drive?.tilt?.x || 0)
+  const hangY = rotY - (drive?.tilt?.y || 0)
+
+  // For large angles, use exact pendulum equation (not small angle approximation)
+  const angle = Math.sqrt(rotX * rotX + rotY * rotY)
+  const hangAngle = Math.sqrt(hangX * hangX + hangY * hangY)
+  const largeAngleFactor = hangAngle > 0.5 ? (Math.sin(hangAngle) / hangAngle) : 1
+
+  // Gravity restoring force
+  const gravityX = -omega * omega * Math.sin(hangY) * largeAngleFactor
+  const gravityY = -omega * omega * Math.sin(hangX) * largeAngleFactor
+
+  // Damping forces
+  const velocityMagnitude = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y)
+  const airDampingX = -params.airDamping * velocity.x * velocityMagnitude // Quadratic air damping
+  const airDampingY = -params.airDamping * velocity.y * velocityMagnitude
+
+  const frictionDampingX = -params.frictionDamping * velocity.x // Linear friction damping
+  const frictionDampingY = -params.frictionDamping * velocity.y
+
+  // Coupling effects for 3D motion (creates figure-8 and chaotic patterns)
+  const couplingX = params.couplingStrength * Math.sin(rotX) * Math.sin(rotY) * velocity.y
+  const couplingY = -params.couplingStrength * Math.sin(rotX) * Math.sin(rotY) * velocity.x
+
+  // Add nonlinear effects for large angles (chaotic behavior)
+  const chaosStrength = angle > 1.0 ? params.chaosStrength : 0
+  const chaosX = chaosStrength * Math.sin(rotY * 3) * velocity.x
+  const chaosY = chaosStrength * Math.sin(rotX * 3) * velocity.y
+
+  const input = drive ? driveAcceleration(rotX, rotY, velocity, drive) : { x: 0, y: 0 }
+
+  return {
+    x: gravityX + airDampingX + frictionDampingX + couplingX + chaosX + input.x,
+    y: gravityY + airDampingY + frictionDampingY + couplingY + chaosY + input.y
+  }
+}
+
+// States recorded before the twist existed have none
+const NO_TWIST = { angle: 0, velocity: 0 }
+
+/**
+ * Angular acceleration of the twist: its own damped spring, plus the spin a circling swing
+ * hands over - the swing's angular momentum about the vertical, rotX·ẏ - rotY·ẋ - plus input.
+ * `rates` is how fast each rotation angle is changing, { x: ẋ, y: ẏ }.
+ */
+export const twistAcceleration = (twist, rotation, rates, params = DEFAULT_PHYSICS, drive = null) => {
+  let acceleration = -params.twistStiffness * twist.angle - params.twistDamping * twist.velocity +
+    params.twistCoupling * (rotation.x * rates.y - rotation.y * rates.x)
+
+  // Someone turning the pendant - a damped spring toward their angle
+  const input = drive?.twist
+  if (input && input.stiffness > 0) {
+    acceleration += input.stiffness * (input.target - twist.angle) - (input.damping || 0) * twist.velocity
+  }
+  return acceleration
+}
+
+// Instant change of angular velocity (a click or flick), in rotation space. impulse.twist spins it.
+export const applyImpulse = (state, impulse) => {
+  const twist = state.twist || NO_TWIST
+  return {
+    ...state,
+    velocity: { x: state.velocity.x + (impulse.y || 0), y: state.velocity.y + (impulse.x || 0) },
+    twist: { angle: twist.angle, velocity: twist.velocity + (impulse.twist || 0) },
+  }
+}
+
+// Calculate scale based on rotation (perspective effect)
+export const calculateScale = (rotX, rotY, baseScale = 1.5) => {
+  // Calculate how far forward/back the chain is swinging
+  const forwardAngle = -rotX // Negative because forward is negative rotation
+
+  // Scale calculation - chain appears larger when swinging toward camera
+  const scaleRange = baseScale * 0.4 / 1.5 // ±0.4 at the default 1.5 resting scale
+
+  // Forward swing (negative rotX) makes chain larger, backward makes it smaller
+  const perspectiveScale = baseScale + (Math.sin(forwardAngle) * scaleRange)
+
+  // Clamp the scale to reasonable bounds (1.0-2.0 at the default resting scale)
+  return clamp(perspectiveScale, baseScale * 2 / 3, baseScale * 4 / 3)
+}
+
+// Advance the simulation by dt seconds using Runge-Kutta 4th order. Returns a new state.
+// Both angle and angular velocity are integrated, so an undamped swing conserves energy.
+// `drive` is optional input in rotation space: { force, target, stiffness, damping, tilt, twist },
+// where tilt is the direction gravity pulls in (the pose the chain would hang at) and twist is
+// an optional { target, stiffness, damping } spring for the spin.
+export const step = (state, dt, params = DEFAULT_PHYSICS, drive = null) => {
+  const { rotation, velocity } = state
+
+  // Each stage: velocity at that stage, and the acceleration it produces
+  const v1 = velocity
+  const k1 = calculateAcceleration(rotation.x, rotation.y, v1, params, drive)
+
+  const v2 = { x: velocity.x + k1.x * dt / 2, y: velocity.y + k1.y * dt / 2 }
+  const k2 = calculateAcceleration(rotation.x + v1.y * dt / 2, rotation.y + v1.x * dt / 2, v2, params, drive)
+
+  const v3 = { x: velocity.x + k2.x * dt / 2, y: velocity.y + k2.y * dt / 2 }
+  const k3 = calculateAcceleration(rotation.x + v2.y * dt / 2, rotation.y + v2.x * dt / 2, v3, params, drive)
+
+  const v4 = { x: velocity.x + k3.x * dt, y: velocity.y + k3.y * dt }
+  const k4 = calculateAcceleration(rotation.x + v3.y * dt, rotation.y + v3.x * dt, v4, params, drive)
+
+  const nextVelocity = {
+    x: velocity.x + (k1.x + 2 * k2.x + 2 * k3.x + k4.x) * dt / 6,
+    y: velocity.y + (k1.y + 2 * k2.y + 2 * k3.y + k4.y) * dt / 6,
+  }
+
+  // Apply constraints (maximum angles) - prevent getting stuck
+  const nextRotation = {
+    x: clamp(rotation.x + (v1.y + 2 * v2.y + 2 * v3.y + v4.y) * dt / 6, -params.maxAngle, params.maxAngle),
+    y: clamp(rotation.y + (v1.x + 2 * v2.x + 2 * v3.x + v4.x) * dt / 6, -params.maxAngle, params.maxAngle),
+  }
+
+  // Secondary motion (chain link wobble) - a damped spring excited by the main swing
+  const { position: wobble, velocity: wobbleVelocity } = state.secondary
+  const nextWobbleVelocity = {
+    x: wobbleVelocity.x * params.secondaryDamping - wobble.x * params.secondarySpring + nextVelocity.x * params.secondaryInfluence,
+    y: wobbleVelocity.y * params.secondaryDamping - wobble.y * params.secondarySpring + nextVelocity.y * params.secondaryInfluence,
+    z: wobbleVelocity.z * params.secondaryDamping - wobble.z * params.secondarySpring,
+  }
+
+  // Twist - a plain damped spring, so semi-implicit Euler is stable at the physics timestep
+  const twist = state.twist || NO_TWIST
+  const nextTwistVelocity = twist.velocity + twistAcceleration(twist, rotation, { x: velocity.y, y: velocity.x }, params, drive) * dt
+  const nextTwistAngle = twist.angle + nextTwistVelocity * dt
+  const nextTwist = Math.abs(nextTwistAngle) > params.maxTwist
+    ? { angle: Math.sign(nextTwistAngle) * params.maxTwist, velocity: 0 } // Wound tight - the spin stops dead
+    : { angle: nextTwistAngle, velocity: nextTwistVelocity }
+
+  return {
+    rotation: nextRotation,
+    velocity: nextVelocity,
+    twist: nextTwist,
+    secondary: {
+      position: {
+        x: wobble.x + nextWobbleVelocity.x * dt,
+        y: wobble.y + nextWobbleVelocity.y * dt,
+        z: wobble.z + nextWobbleVelocity.z * dt,
+      },
+      velocity: nextWobbleVelocity,
+    },
+  }
+}
+
+// Physical energy of the swing per unit mass and length²: kinetic + gravitational potential.
+// Without damping this stays constant, which makes it a good check on the integrator.
+export const mechanicalEnergy = (state, params = DEFAULT_PHYSICS) => {
+  const { rotation, velocity } = state
+  const omegaSquared = params.gravity / params.chainLength
+  const angle = Math.sqrt(rotation.x * rotation.x + rotation.y * rotation.y)
+  const kinetic = 0.5 * (velocity.x * velocity.x + velocity.y * velocity.y)
+  const potential = omegaSquared * (1 - Math.cos(angle))
+  return kinetic + potential
+}
+
+const HANGING_STRAIGHT = { x: 0, y: 0 }
+
+// Heuristic "activity" used to decide when the swing has died out. Rotation counts from `rest`,
+// the pose the chain is being held at or hangs at under a tilt - see restPose in inputController.js.
+export const activityEnergy = (state, rest = HANGING_STRAIGHT) => {
+  const twist = state.twist || NO_TWIST
+  return Math.abs(state.velocity.x) + Math.abs(state.velocity.y) +
+    Math.abs(state.rotation.x - rest.x) * 0.1 + Math.abs(state.rotation.y - rest.y) * 0.1 +
+    Math.abs(state.secondary.velocity.x) + Math.abs(state.secondary.velocity.y) +
+    Math.abs(twist.velocity) + Math.abs(twist.angle) * 0.1
+}
+
+export const isSettled = (state, rest = null, threshold = SETTLE_ENERGY) => (
+  activityEnergy(state, rest || HANGING_STRAIGHT) <= threshold
+)
+
+// Fixed-timestep driver: feed it real frame times, it runs whole physics steps and carries
+// the remainder over to the next frame, so the result doesn't depend on frame rate.
+export const createFixedStepper = ({ timestep = FIXED_TIMESTEP, maxFrameTime = MAX_FRAME_TIME, params = DEFAULT_PHYSICS } = {}) => {
+  let accumulator = 0
+
+  return {
+    // Returns the advanced state, how many steps ran, and how far (0-1) we are into the next step.
+    // The optional drive is held constant for every step of the frame.
+    advance(state, frameTime, drive = null) {
+      accumulator += Math.min(Math.max(frameTime, 0), maxFrameTime)
+
+      let steps = 0
+      let next = state
+      while (accumulator >= timestep) {
+        next = step(next, timestep, params, drive)
+        accumulator -= timestep
+        steps++
+      }
+
+      return { state: next, steps, alpha: accumulator / timestep }
+    },
+
+    reset() {
+      accumulator = 0
+    },
+  }
+}
+
+// Run a simulation headlessly for a fixed duration, returning every intermediate state
+export const simulate = (initialState, duration, { timestep = FIXED_TIMESTEP, params = DEFAULT_PHYSICS } = {}) => {
+  const states = [initialState]
+  let state = initialState
+  for (let t = 0; t < duration; t += timestep) {
+    state = step(state, timestep, params)
+    states.push(state)
+  }
+  return states
+}
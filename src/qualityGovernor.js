@@ -0,0 +1,183 @@
+// Adaptive rendering quality for the background and the 3D scene.
+// The governor itself is pure - feed it frame times, it says which quality level to use - so
+// its stepping can be checked headlessly (test/qualityGovernor.test.js). The hooks below wire it
+// to the browser.
+
+import { useEffect, useRef, useState } from 'react'
+import { detectDeviceTier } from './deviceProfile.js'
+
+// Most to least expensive. Each step down trims whichever setting costs most for the least visible loss.
+export const QUALITY_LEVELS = [
+  {
+    name: 'high',
+    backgroundSamples: 3, // Supersamples per axis in the background shader (3 -> 3x3)
+    backgroundScale: 1, // Background render target size relative to the canvas
+    dpr: 2, // Upper limit for the 3D canvas pixel ratio
+    shadowMapSize: 2048,
+    environmentResolution: 256,
+  },
+  {
+    name: 'medium',
+    backgroundSamples: 2,
+    backgroundScale: 0.75,
+    dpr: 1.5,
+    shadowMapSize: 1024,
+    environmentResolution: 256,
+  },
+  {
+    name: 'low',
+    backgroundSamples: 1,
+    backgroundScale: 0.5,
+    dpr: 1,
+    shadowMapSize: 512,
+    environmentResolution: 128,
+  },
+  {
+    name: 'minimal',
+    backgroundSamples: 1,
+    backgroundScale: 0.35,
+    dpr: 0.75,
+    shadowMapSize: 256,
+    environmentResolution: 64,
+  },
+]
+
+export const QUALITY_NAMES = QUALITY_LEVELS.map((level) => level.name)
+
+export const DEFAULT_GOVERNOR_OPTIONS = {
+  targetFps: 50,
+  windowTime: 1, // Seconds of frames averaged per decision
+  upgradeMargin: 1.15, // Step up only when comfortably above the target...
+  upgradeWindows: 5, // ...for this many windows in a row
+  cooldownWindows: 2, // Windows ignored after a change while the new level settles in
+  maxFrameTime: 0.25, // Longer frames (tab switches, hitches) say nothing about the level
+}
+
+// Starting level before any frames are measured, from what the device looks capable of
+export const initialQualityLevel = (tier = detectDeviceTier()) => (
+  { high: 0, medium: 1, low: 2 }[tier] ?? 1
+)
+
+/**
+ * Frame-time driven quality stepping. Call sample(dt) every frame; when the average frame rate
+ * over a window falls below the target it steps down one level, and after several comfortable
+ * windows it tries one level up. Each time a level proves too slow, climbing back to it takes
+ * twice as long, so the governor settles instead of flip-flopping.
+ */
+export const createQualityGovernor = ({ initialLevel = 0, levelCount = QUALITY_LEVELS.length, ...overrides } = {}) => {
+  const options = { ...DEFAULT_GOVERNOR_OPTIONS, ...overrides }
+  const failures = new Array(levelCount).fill(0)
+  let level = Math.max(0, Math.min(levelCount - 1, initialLevel))
+  let windowFrames = 0
+  let windowTime = 0
+  let goodWindows = 0
+  let cooldown = 0
+
+  const change = (next) => {
+    level = next
+    goodWindows = 0
+    cooldown = options.cooldownWindows
+  }
+
+  const endWindow = () => {
+    const fps = windowFrames / windowTime
+    windowFrames = 0
+    windowTime = 0
+
+    if (cooldown > 0) {
+      cooldown--
+      return false
+    }
+
+    if (fps < options.targetFps) {
+      goodWindows = 0
+      if (level >= levelCount - 1) return false
+      failures[level]++
+      change(level + 1)
+      return true
+    }
+
+    if (fps >= options.targetFps * options.upgradeMargin && level > 0) {
+      goodWindows++
+      if (goodWindows >= options.upgradeWindows * 2 ** failures[level - 1]) {
+        change(level - 1)
+        return true
+      }
+    } else {
+      goodWindows = 0
+    }
+    return false
+  }
+
+  return {
+    // Record one frame (seconds). Returns true when the level changed.
+    sample(dt) {
+      if (!(dt > 0) || dt > options.maxFrameTime) return false
+      windowFrames++
+      windowTime += dt
+      return windowTime >= options.windowTime ? endWindow() : false
+    },
+
+    get level() {
+      return level
+    },
+
+    // Forget the partial window, e.g. after a pause, so the gap isn't counted as a slow frame
+    reset() {
+      windowFrames = 0
+      windowTime = 0
+      goodWindows = 0
+    },
+  }
+}
+
+/**
+ * The quality level to render at. `mode` is 'auto' or a level name to pin; while `paused`
+ * (nothing is being rendered) frame times aren't sampled.
+ */
+export const useQualityGovernor = ({ mode = 'auto', targetFps, paused = false, onChange } = {}) => {
+  const governorRef = useRef(null)
+  const onChangeRef = useRef(onChange)
+  onChangeRef.current = onChange
+  const [autoLevel, setAutoLevel] = useState(() => initialQualityLevel())
+
+  useEffect(() => {
+    if (mode !== 'auto' || paused) return
+
+    if (!governorRef.current) {
+      governorRef.current = createQualityGovernor({ initialLevel: autoLevel, targetFps })
+    }
+    const governor = governorRef.current
+    governor.reset()
+
+    // A plain requestAnimationFrame loop sees the whole frame's cost, whatever is rendering
+    let animationId
+    let lastTime = null
+    const measure = (time) => {
+      animationId = requestAnimationFrame(measure)
+      if (lastTime !== null && governor.sample((time - lastTime) / 1000)) {
+        setAutoLevel(governor.level)
+        onChangeRef.current?.(QUALITY_LEVELS[governor.level])
+      }
+      lastTime = time
+    }
+    animationId = requestAnimationFrame(measure)
+    return () => cancelAnimationFrame(animationId)
+  }, [mode, targetFps, paused])
+
+  const pinned = QUALITY_NAMES.indexOf(mode)
+  return QUALITY_LEVELS[pinned >= 0 ? pinned : autoLevel]
+}
+
+// Whether the page is visible - hidden tabs shouldn't render anything
+export const usePageVisible = () => {
+  const [visible, setVisible] = useState(() => typeof document === 'undefined' || document.visibilityState !== 'hidden')
+
+  useEffect(() => {
+    const handleChange = () => setVisible(document.visibilityState !== 'hidden')
+    document.addEventListener('visibilitychange', handleChange)
+    return () => document.removeEventListener('visibilitychange', handleChange)
+  }, [])
+
+  return visible
+}
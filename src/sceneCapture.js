@@ -0,0 +1,232 @@
+// Stills and clips of the scene - background included - rendered offline at any size.
+// Capture takes over the R3F render loop (frameloop 'never') and drives it with advance(), one
+// fixed timestep per frame, so a clip comes out the same however fast the machine renders.
+
+import * as THREE from 'three'
+import { GIFEncoder, applyPalette, quantize } from 'gifenc'
+import { ArrayBufferTarget, Muxer } from 'webm-muxer'
+
+export const CAPTURE_FORMATS = ['png', 'webm', 'gif']
+export const CAPTURE_MOTIONS = ['swing', 'turntable', 'none']
+
+export const CAPTURE_MIME_TYPES = { png: 'image/png', webm: 'video/webm', gif: 'image/gif' }
+
+// Objects hidden in transparent captures - LiquidChromeBackground marks its backdrop with this
+export const CAPTURE_BACKGROUND = 'captureBackground'
+
+// The GPU's largest drawable size; captures beyond it fail rather than come out cropped
+export const maxCaptureSize = (gl) => {
+  const context = gl.getContext()
+  const [viewportWidth, viewportHeight] = context.getParameter(context.MAX_VIEWPORT_DIMS)
+  const renderbuffer = context.getParameter(context.MAX_RENDERBUFFER_SIZE)
+  return {
+    width: Math.min(gl.capabilities.maxTextureSize, viewportWidth, renderbuffer),
+    height: Math.min(gl.capabilities.maxTextureSize, viewportHeight, renderbuffer),
+  }
+}
+
+/**
+ * Capture options with sizes rounded and the frame count worked out. `capture` is config.capture
+ * (format, width, height, transparent, motion, duration, fps). VP9 only takes even sizes, so WebM
+ * sizes are rounded down to even.
+ */
+export const resolveCaptureOptions = (capture, maxSize = { width: Infinity, height: Infinity }) => {
+  const format = CAPTURE_FORMATS.includes(capture.format) ? capture.format : 'png'
+  const even = format === 'webm' ? (value) => Math.max(2, value - (value % 2)) : (value) => Math.max(1, value)
+  const width = even(Math.round(capture.width))
+  const height = even(Math.round(capture.height))
+  if (width > maxSize.width || height > maxSize.height) {
+    throw new Error(`${width}x${height} is larger than this GPU can render (${maxSize.width}x${maxSize.height})`)
+  }
+  const fps = Math.max(1, Math.min(60, capture.fps))
+  return {
+    format,
+    width,
+    height,
+    transparent: Boolean(capture.transparent),
+    motion: CAPTURE_MOTIONS.includes(capture.motion) ? capture.motion : 'none',
+    fps,
+    frames: format === 'png' ? 1 : Math.max(1, Math.round(capture.duration * fps)),
+  }
+}
+
+// Camera position for a turntable frame: one full orbit of the chain over the clip, at the
+// camera's own distance and height
+export const turntablePosition = (progress, radius, height) => {
+  const angle = progress * Math.PI * 2
+  return [Math.sin(angle) * radius, height, Math.cos(angle) * radius]
+}
+
+export const captureFileName = ({ format, width, height, motion }) => (
+  format === 'png' ? `chain-${width}x${height}.png` : `chain-${motion}-${width}x${height}.${format}`
+)
+
+// Let the page breathe (and encoders drain) between frames of a long clip
+const nextTask = () => new Promise((resolve) => setTimeout(resolve, 0))
+
+const createWebmWriter = ({ width, height, fps, transparent }) => {
+  if (typeof VideoEncoder === 'undefined') {
+    throw new Error('WebM capture needs WebCodecs (VideoEncoder), which this browser does not support')
+  }
+  const muxer = new Muxer({
+    target: new ArrayBufferTarget(),
+    video: { codec: 'V_VP9', width, height, frameRate: fps, alpha: transparent },
+    firstTimestampBehavior: 'offset',
+  })
+  let failure = null
+  const encoder = new VideoEncoder({
+    output: (chunk, meta) => muxer.addVideoChunk(chunk, meta),
+    error: (error) => { failure = error },
+  })
+  encoder.configure({
+    codec: 'vp09.00.10.08',
+    width,
+    height,
+    framerate: fps,
+    bitrate: Math.round(width * height * fps * 0.2),
+    alpha: transparent ? 'keep' : 'discard',
+  })
+
+  const frameDuration = 1e6 / fps // Microseconds, as WebCodecs counts them
+  return {
+    async add(canvas, index) {
+      if (failure) throw failure
+      const frame = new VideoFrame(canvas, { timestamp: Math.round(index * frameDuration), duration: Math.round(frameDuration) })
+      encoder.encode(frame, { keyFrame: index % (fps * 2) === 0 })
+      frame.close()
+      while (encoder.encodeQueueSize > 4) await nextTask()
+    },
+    async finish() {
+      await encoder.flush()
+      encoder.close()
+      if (failure) throw failure
+      muxer.finalize()
+      return new Blob([muxer.target.buffer], { type: CAPTURE_MIME_TYPES.webm })
+    },
+  }
+}
+
+// GIF stores delays in hundredths of a second, so playback speed is only as exact as that allows.
+// Transparent GIFs get one-bit alpha: each pixel is either fully clear or fully opaque.
+const createGifWriter = ({ width, height, fps, transparent }) => {
+  const gif = GIFEncoder()
+  const format = transparent ? 'rgba4444' : 'rgb565'
+  const delay = 1000 / fps
+  return {
+    async add(canvas) {
+      const { data } = canvas.getContext('2d').getImageData(0, 0, width, height)
+      const palette = quantize(data, 256, { format, oneBitAlpha: transparent })
+      const index = applyPalette(data, palette, format)
+      const transparentIndex = transparent ? palette.findIndex((color) => color[3] === 0) : -1
+      gif.writeFrame(index, width, height, {
+        palette,
+        delay,
+        transparent: transparentIndex >= 0,
+        transparentIndex: Math.max(0, transparentIndex),
+        dispose: transparent ? 2 : -1, // Clear each frame, or moving parts leave trails over the transparency
+      })
+    },
+    async finish() {
+      gif.finish()
+      return new Blob([gif.bytes()], { type: CAPTURE_MIME_TYPES.gif })
+    },
+  }
+}
+
+const createPngWriter = () => {
+  let blob = null
+  return {
+    async add(canvas) {
+      blob = await new Promise((resolve, reject) => {
+        canvas.toBlob((result) => (result ? resolve(result) : reject(new Error('PNG encoding failed'))), CAPTURE_MIME_TYPES.png)
+      })
+    },
+    async finish() {
+      return blob
+    },
+  }
+}
+
+const WRITERS = { png: createPngWriter, webm: createWebmWriter, gif: createGifWriter }
+
+/**
+ * Render a still or a clip and encode it. `state` is the R3F root state; `options` come from
+ * resolveCaptureOptions. onStart() runs right before the first frame - the place to put the chain
+ * into a known pose - and onProgress(fraction) after each frame. Resolves to the encoded Blob.
+ *
+ * While capturing, the renderer is resized to the capture size at pixel ratio 1; everything is
+ * put back afterwards, including the render loop. The caller must keep the Canvas frameloop at
+ * 'never' for the duration, or a re-render would restart the loop mid-capture.
+ */
+export const captureScene = async (state, options, { onStart, onProgress } = {}) => {
+  const { gl, scene, camera } = state
+  const { format, width, height, transparent, motion, fps, frames } = options
+
+  const previousSize = gl.getSize(new THREE.Vector2())
+  const previousPixelRatio = gl.getPixelRatio()
+  const previousClearAlpha = gl.getClearAlpha()
+  const previousFrameloop = state.frameloop
+  const previousAspect = camera.aspect
+  const previousPosition = camera.position.clone()
+  const previousQuaternion = camera.quaternion.clone()
+  const hidden = []
+
+  // Frames are copied out right after they're drawn, before the browser can clear the canvas
+  const copy = document.createElement('canvas')
+  copy.width = width
+  copy.height = height
+  const copyContext = copy.getContext('2d', { willReadFrequently: format === 'gif' })
+
+  const writer = WRITERS[format](options)
+
+  try {
+    state.setFrameloop('never') // Also restarts the clock at 0, so frame i is advanced to i / fps
+    gl.setPixelRatio(1)
+    gl.setSize(width, height, false)
+    camera.aspect = width / height
+    camera.updateProjectionMatrix()
+    if (transparent) {
+      scene.traverse((object) => {
+        if (object.userData[CAPTURE_BACKGROUND] && object.visible) {
+          object.visible = false
+          hidden.push(object)
+        }
+      })
+      gl.setClearAlpha(0)
+    }
+
+    onStart?.()
+    const radius = Math.hypot(previousPosition.x, previousPosition.z)
+    for (let i = 0; i < frames; i++) {
+      if (motion === 'turntable' && frames > 1) {
+        camera.position.fromArray(turntablePosition(i / frames, radius, previousPosition.y))
+        camera.lookAt(0, previousPosition.y, 0)
+      }
+      state.advance(i / fps)
+      copyContext.clearRect(0, 0, width, height)
+      copyContext.drawImage(gl.domElement, 0, 0, width, height)
+      await writer.add(copy, i)
+      onProgress?.((i + 1) / frames)
+      await nextTask()
+    }
+    return await writer.finish()
+  } finally {
+    hidden.forEach((object) => { object.visible = true })
+    gl.setClearAlpha(previousClearAlpha)
+    gl.setPixelRatio(previousPixelRatio)
+    gl.setSize(previousSize.x, previousSize.y, false)
+    camera.aspect = previousAspect
+    camera.position.copy(previousPosition)
+    camera.quaternion.copy(previousQuaternion)
+    camera.updateProjectionMatrix()
+    state.setFrameloop(previousFrameloop)
+  }
+}
+
+// Blob to base64, for handing captures out of the page (scripts/capture.mjs)
+export const blobToBase64 = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader()
+  reader.onload = () => resolve(reader.result.slice(reader.result.indexOf(',') + 1))
+  reader.onerror = () => reject(reader.error)
+  reader.readAsDataURL(blob)
+})
@@ -0,0 +1,82 @@
+// Shareable scene state: the model version, finish, background theme (with its colours for the
+// brand theme), camera, and the chain's pose, swing and twist, encoded in a URL hash such as
+//   #model=2&finish=rose-gold&finish.roughness=0.4&theme=neon&camera=45,10&pose=0.3,-0.12&impulse=1.5,0&twist=1.2,0
+// Every field is optional. Decoding drops anything missing or invalid, so a hand-edited or
+// outdated link restores what it can and leaves the rest to the config. Inspect mode's camera
+// isn't shared - a link always opens on the swing view.
+
+import { HEX_COLOR, THEME_NAMES } from './backgroundThemes.js'
+import { finishFromSearch, finishToSearch } from './materialPresets.js'
+import { DEFAULT_PHYSICS } from './pendulumPhysics.js'
+
+const MAX_POSE = Math.PI / 2 // Further than this the pendulum would be upside down
+const MAX_IMPULSE = 20 // rad/s - anything faster is a typo rather than a swing
+const MAX_BRAND_COLORS = 16
+
+const round = (value, digits) => Number(value.toFixed(digits))
+
+// Commas separate the numbers in a pair, so they're left readable
+const encodeValue = (value) => encodeURIComponent(value).replace(/%2C/gi, ',')
+
+const parsePair = (raw) => {
+  const values = (raw || '').split(',').map(Number)
+  return values.length === 2 && values.every(Number.isFinite) ? values : null
+}
+
+/**
+ * Encode a scene as a URL hash ('' when there's nothing to share). `state` looks like
+ *   { model: 2, finish: { finish: 'gold', ... }, theme: 'brand', brandColors: ['#141414', ...],
+ *     camera: { fov, z }, pose: { x, y }, impulse: { x, y }, twist: { angle, velocity } }
+ * where pose is the swing angle, impulse the angular velocity (rad/s) it starts with and twist
+ * the pendant's turn about the chain and its spin.
+ */
+export const encodeSceneState = ({ model, finish, theme, brandColors, camera, pose, impulse, twist } = {}) => {
+  const entries = []
+  if (Number.isInteger(model)) entries.push(['model', model])
+  if (finish) new URLSearchParams(finishToSearch(finish, '')).forEach((value, key) => entries.push([key, value]))
+  if (theme) entries.push(['theme', theme])
+  if (brandColors?.length > 0) entries.push(['colors', brandColors.join(',')])
+  if (camera) entries.push(['camera', `${round(camera.fov, 2)},${round(camera.z, 2)}`])
+  if (pose && (pose.x !== 0 || pose.y !== 0)) entries.push(['pose', `${round(pose.x, 3)},${round(pose.y, 3)}`])
+  if (impulse && (impulse.x !== 0 || impulse.y !== 0)) entries.push(['impulse', `${round(impulse.x, 3)},${round(impulse.y, 3)}`])
+  if (twist && (twist.angle !== 0 || twist.velocity !== 0)) entries.push(['twist', `${round(twist.angle, 3)},${round(twist.velocity, 3)}`])
+
+  return entries.length > 0 ? '#' + entries.map(([key, value]) => `${key}=${encodeValue(value)}`).join('&') : ''
+}
+
+// The inverse of encodeSceneState. Fields that are missing or invalid come back as null.
+// `maxTwist` is the viewer's physics.maxTwist - a twist wound further than it can go is invalid.
+export const decodeSceneState = (hash, { maxTwist = DEFAULT_PHYSICS.maxTwist } = {}) => {
+  const body = (hash || '').replace(/^#/, '')
+  const params = new URLSearchParams(body)
+
+  const model = Number(params.get('model'))
+  const theme = params.get('theme')
+  const camera = parsePair(params.get('camera'))
+  const pose = parsePair(params.get('pose'))
+  const impulse = parsePair(params.get('impulse'))
+  const twist = parsePair(params.get('twist'))
+  const colors = (params.get('colors') || '').split(',').filter(Boolean)
+
+  return {
+    model: Number.isInteger(model) && model > 0 ? model : null,
+    finish: finishFromSearch('?' + body),
+    theme: THEME_NAMES.includes(theme) ? theme : null,
+    brandColors: colors.length > 0 && colors.length <= MAX_BRAND_COLORS && colors.every((color) => HEX_COLOR.test(color)) ? colors : null,
+    camera: camera && camera[0] >= 1 && camera[0] <= 179 && camera[1] > 0 ? { fov: camera[0], z: camera[1] } : null,
+    pose: pose && pose.every((angle) => Math.abs(angle) <= MAX_POSE) ? { x: pose[0], y: pose[1] } : null,
+    impulse: impulse && Math.hypot(impulse[0], impulse[1]) <= MAX_IMPULSE ? { x: impulse[0], y: impulse[1] } : null,
+    twist: twist && Math.abs(twist[0]) <= maxTwist && Math.abs(twist[1]) <= MAX_IMPULSE
+      ? { angle: twist[0], velocity: twist[1] }
+      : null,
+  }
+}
+
+// Config overrides for the parts of a decoded state that live in the config
+export const sceneStateOverrides = (state) => {
+  const overrides = {}
+  if (state?.theme) overrides.background = { theme: state.theme }
+  if (state?.brandColors) overrides.background = { ...overrides.background, brandColors: [...state.brandColors] }
+  if (state?.camera) overrides.camera = { ...state.camera }
+  return overrides
+}
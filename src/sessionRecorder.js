@@ -0,0 +1,165 @@
+// Record and replay of interaction sessions, for tuning the swing feel and catching regressions.
+// Pure module - recordings can be made in the browser and replayed or compared in Node (see
+// test/sessionRecorder.test.js).
+//
+// A recording is every input command (drag targets, clicks, gyro tilts, scripted moves, resets) tagged
+// with the frame it arrived in, each frame's time step, and the physics state after that frame.
+// Replaying feeds the same commands and time steps through a fresh input controller and
+// fixed-step pendulum, so with the same physics params the trajectory comes out identical.
+// Sources already active when recording starts (e.g. the gyro) are captured as initial
+// commands; a handoff blend that is half-way through at that moment is not.
+
+import { advanceWithInput, applyCommand, createInputController } from './inputController.js'
+import { DEFAULT_PHYSICS, createFixedStepper } from './pendulumPhysics.js'
+
+export const RECORDING_VERSION = 1
+export const MAX_RECORDING_FRAMES = 60 * 60 * 5 // Five minutes at 60fps
+
+const copy = (value) => JSON.parse(JSON.stringify(value))
+
+// Only the parts of the state that describe the swing and twist - enough to compare trajectories
+const snapshot = (state) => ({
+  rotation: { ...state.rotation },
+  velocity: { ...state.velocity },
+  twist: { angle: 0, velocity: 0, ...state.twist },
+})
+
+/**
+ * Start recording a session on an input controller.
+ * Call frame(dt, state) once per rendered frame, after the physics has advanced.
+ */
+export const createRecorder = ({ input, initialState, params = DEFAULT_PHYSICS, meta = {} }) => {
+  const recording = {
+    version: RECORDING_VERSION,
+    createdAt: new Date().toISOString(),
+    meta,
+    params: { ...params },
+    springs: copy(input.springs),
+    initialState: copy(initialState),
+    initialCommands: copy(input.activeCommands()),
+    frames: [],
+  }
+  let pending = []
+  let time = 0
+  let stopped = false
+
+  const unsubscribe = input.subscribe((command) => {
+    pending.push({ ...copy(command), t: time })
+  })
+
+  const stop = () => {
+    if (!stopped) unsubscribe()
+    stopped = true
+    return recording
+  }
+
+  return {
+    frame(dt, state) {
+      if (stopped) return
+      time += dt
+      recording.frames.push({ t: time, dt, commands: pending, state: snapshot(state) })
+      pending = []
+      if (recording.frames.length >= MAX_RECORDING_FRAMES) stop()
+    },
+
+    get frameCount() {
+      return recording.frames.length
+    },
+
+    get duration() {
+      return time
+    },
+
+    get stopped() {
+      return stopped
+    },
+
+    stop,
+  }
+}
+
+/**
+ * Step through a recording one frame at a time - the viewer uses this to play a session back
+ * on screen. `params` and `springs` default to the recording's own physics params and input
+ * springs; pass different ones to see how a change of tuning alters the same gesture.
+ */
+export const createPlayer = (recording, { params = recording.params, springs = recording.springs } = {}) => {
+  const input = createInputController(springs ? { springs } : {})
+  const stepper = createFixedStepper({ params })
+  let state = copy(recording.initialState)
+  let index = 0
+  ;(recording.initialCommands || []).forEach((command) => applyCommand(input, command))
+
+  return {
+    // Advance one recorded frame. Returns { state, recorded, sleeping } or null at the end.
+    next() {
+      const frame = recording.frames[index]
+      if (!frame) return null
+      index++
+
+      frame.commands.forEach((command) => applyCommand(input, command))
+      const result = advanceWithInput(state, input, stepper, frame.dt)
+      state = result.state
+      return { state, recorded: frame.state, sleeping: result.sleeping, frame }
+    },
+
+    get done() {
+      return index >= recording.frames.length
+    },
+
+    get progress() {
+      return recording.frames.length > 0 ? index / recording.frames.length : 1
+    },
+  }
+}
+
+// Replay a whole recording headlessly, returning the state after every frame
+export const replayRecording = (recording, options = {}) => {
+  const player = createPlayer(recording, options)
+  const states = []
+  for (let result = player.next(); result; result = player.next()) {
+    states.push(snapshot(result.state))
+  }
+  return states
+}
+
+// Angular distance between two trajectories, frame by frame (radians). Recordings made before
+// the twist existed count as untwisted.
+export const compareTrajectories = (a, b) => {
+  const frames = Math.min(a.length, b.length)
+  let max = 0
+  let maxFrame = -1
+  let sumSquares = 0
+
+  for (let i = 0; i < frames; i++) {
+    const dx = a[i].rotation.x - b[i].rotation.x
+    const dy = a[i].rotation.y - b[i].rotation.y
+    const dt = (a[i].twist?.angle || 0) - (b[i].twist?.angle || 0)
+    const distance = Math.sqrt(dx * dx + dy * dy + dt * dt)
+    sumSquares += distance * distance
+    if (distance > max) {
+      max = distance
+      maxFrame = i
+    }
+  }
+
+  return {
+    frames,
+    maxDeviation: max,
+    maxDeviationFrame: maxFrame,
+    rmsDeviation: frames > 0 ? Math.sqrt(sumSquares / frames) : 0,
+  }
+}
+
+// Recorded trajectory of a session, in the same shape replayRecording returns
+export const recordedTrajectory = (recording) => recording.frames.map((frame) => frame.state)
+
+export const recordingToJSON = (recording) => JSON.stringify(recording, null, 2)
+
+export const parseRecording = (json) => {
+  const recording = typeof json === 'string' ? JSON.parse(json) : json
+  if (recording?.version !== RECORDING_VERSION || !Array.isArray(recording.frames) || !recording.initialState) {
+    throw new Error('Not a chain session recording (version ' + RECORDING_VERSION + ')')
+  }
+  return recording
+}
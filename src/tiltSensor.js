@@ -0,0 +1,202 @@
+// Phone tilt estimation for gyro control: sensor fusion, calibration and gravity direction.
+// Pure functions only - no React, no DOM events - so the filters can be run over recorded
+// sensor traces in Node (see replayTrace).
+//
+// Angles follow the DeviceOrientationEvent axes, in radians:
+//   pitch - rotation about the screen's x axis (beta), ~π/2 when the phone is held upright
+//   roll  - rotation about the screen's y axis (gamma), positive when tilted to the right
+
+const DEG = Math.PI / 180
+const STANDARD_GRAVITY = 9.81
+
+export const TILT_FILTERS = ['complementary', 'kalman']
+
+export const DEFAULT_TILT_OPTIONS = {
+  filter: 'complementary',
+  timeConstant: 0.15, // Complementary: seconds over which measurements override the gyro rate
+  processNoise: 0.001, // Kalman: how fast the true angle is expected to wander (rad²/s)
+  biasNoise: 0.003, // Kalman: how fast the gyro bias is expected to drift
+  measurementNoise: 0.03, // Kalman: variance of the orientation/accelerometer angle (rad²)
+  accelerationWeight: 0.3, // Trust in the accelerometer relative to the orientation angles
+}
+
+// Smallest signed difference between two angles, so pitch doesn't jump at ±180°
+export const wrapAngle = (angle) => Math.atan2(Math.sin(angle), Math.cos(angle))
+
+// Pitch and roll implied by the measured gravity vector (accelerationIncludingGravity, m/s²)
+export const tiltFromAcceleration = ({ x = 0, y = 0, z = 0 }) => {
+  const magnitude = Math.sqrt(x * x + y * y + z * z)
+  if (magnitude < 1e-6) return null
+  return {
+    pitch: Math.atan2(y, z),
+    roll: Math.asin(Math.max(-1, Math.min(1, -x / magnitude))),
+  }
+}
+
+export const tiltFromOrientation = ({ beta, gamma }) => (
+  Number.isFinite(beta) && Number.isFinite(gamma) ? { pitch: beta * DEG, roll: gamma * DEG } : null
+)
+
+// How much to believe the accelerometer right now: near 1 at rest, falling to 0 when the
+// phone is being shaken and the reading is mostly linear acceleration rather than gravity
+const accelerationConfidence = ({ x = 0, y = 0, z = 0 }) => {
+  const magnitude = Math.sqrt(x * x + y * y + z * z)
+  return Math.max(0, 1 - Math.abs(magnitude - STANDARD_GRAVITY) / (STANDARD_GRAVITY * 0.5))
+}
+
+// Weighted blend of the orientation and accelerometer angles for one sample, or null if neither is present
+const measureTilt = (sample, options) => {
+  const fromOrientation = sample.orientation ? tiltFromOrientation(sample.orientation) : null
+  const fromAcceleration = sample.acceleration ? tiltFromAcceleration(sample.acceleration) : null
+  const accelerationWeight = fromAcceleration ? options.accelerationWeight * accelerationConfidence(sample.acceleration) : 0
+
+  if (!fromOrientation && (!fromAcceleration || accelerationWeight === 0)) return null
+  if (!fromOrientation) return fromAcceleration
+  if (!fromAcceleration || accelerationWeight === 0) return fromOrientation
+
+  // Blend around the orientation angle so wrap-around can't average 179° and -179° to 0°
+  const t = accelerationWeight / (1 + accelerationWeight)
+  return {
+    pitch: fromOrientation.pitch + wrapAngle(fromAcceleration.pitch - fromOrientation.pitch) * t,
+    roll: fromOrientation.roll + wrapAngle(fromAcceleration.roll - fromOrientation.roll) * t,
+  }
+}
+
+// Complementary filter for one axis: integrate the gyro rate, pull toward the measurement
+const complementaryAxis = (timeConstant) => {
+  let angle = null
+  return {
+    update(measurement, rate, dt) {
+      if (angle === null) {
+        angle = measurement ?? 0
+        return angle
+      }
+      const predicted = angle + (rate || 0) * dt
+      if (measurement === null) {
+        angle = predicted
+      } else {
+        const k = dt / (timeConstant + dt)
+        angle = predicted + wrapAngle(measurement - predicted) * k
+      }
+      return angle
+    },
+  }
+}
+
+// Two-state Kalman filter for one axis: angle plus gyro bias
+const kalmanAxis = ({ processNoise, biasNoise, measurementNoise }) => {
+  let angle = null
+  let bias = 0
+  let p = [[1, 0], [0, 1]]
+
+  return {
+    update(measurement, rate, dt) {
+      if (angle === null) {
+        angle = measurement ?? 0
+        return angle
+      }
+
+      // Predict with the bias-corrected rate
+      angle += ((rate || 0) - bias) * dt
+      p = [
+        [p[0][0] + dt * (dt * p[1][1] - p[0][1] - p[1][0] + processNoise), p[0][1] - dt * p[1][1]],
+        [p[1][0] - dt * p[1][1], p[1][1] + biasNoise * dt],
+      ]
+
+      if (measurement !== null) {
+        const innovation = wrapAngle(measurement - angle)
+        const s = p[0][0] + measurementNoise
+        const k0 = p[0][0] / s
+        const k1 = p[1][0] / s
+        angle += k0 * innovation
+        bias += k1 * innovation
+        p = [
+          [p[0][0] - k0 * p[0][0], p[0][1] - k0 * p[0][1]],
+          [p[1][0] - k1 * p[0][0], p[1][1] - k1 * p[0][1]],
+        ]
+      }
+      return angle
+    },
+  }
+}
+
+/**
+ * Fuse orientation angles, accelerometer gravity and gyro rotation rate into a smooth tilt.
+ * Feed it samples as they arrive; any field may be missing from a given sample:
+ *   { t, orientation: { beta, gamma }, acceleration: { x, y, z }, rotationRate: { beta, gamma } }
+ * t is in milliseconds (event.timeStamp), angles and rates in degrees as the browser reports them.
+ */
+export const createTiltFilter = (overrides = {}) => {
+  const options = { ...DEFAULT_TILT_OPTIONS, ...overrides }
+  const makeAxis = () => (options.filter === 'kalman' ? kalmanAxis(options) : complementaryAxis(options.timeConstant))
+  let pitchAxis = makeAxis()
+  let rollAxis = makeAxis()
+  let lastTime = null
+  let tilt = null
+
+  return {
+    // Returns the filtered { pitch, roll }, or null until a sample with an angle arrives
+    update(sample) {
+      const dt = lastTime === null ? 0 : Math.min(Math.max((sample.t - lastTime) / 1000, 0), 0.25)
+      lastTime = sample.t
+
+      const measurement = measureTilt(sample, options)
+      if (tilt === null && !measurement) return null
+
+      const rate = sample.rotationRate
+      tilt = {
+        pitch: pitchAxis.update(measurement ? measurement.pitch : null, (rate?.beta || 0) * DEG, dt),
+        roll: rollAxis.update(measurement ? measurement.roll : null, (rate?.gamma || 0) * DEG, dt),
+      }
+      return tilt
+    },
+
+    get tilt() {
+      return tilt
+    },
+
+    reset() {
+      pitchAxis = makeAxis()
+      rollAxis = makeAxis()
+      lastTime = null
+      tilt = null
+    },
+  }
+}
+
+// Phone held upright in portrait - the pose assumed until the user calibrates
+export const DEFAULT_NEUTRAL = { pitch: Math.PI / 2, roll: 0 }
+
+// Average of tilts captured while the user holds their neutral pose
+export const averageTilt = (tilts) => {
+  if (tilts.length === 0) return null
+  const reference = tilts[0]
+  const sum = tilts.reduce((total, tilt) => ({
+    pitch: total.pitch + wrapAngle(tilt.pitch - reference.pitch),
+    roll: total.roll + wrapAngle(tilt.roll - reference.roll),
+  }), { pitch: 0, roll: 0 })
+  return {
+    pitch: reference.pitch + sum.pitch / tilts.length,
+    roll: reference.roll + sum.roll / tilts.length,
+  }
+}
+
+/**
+ * Gravity direction for the pendulum, in its rotation space, from the phone's tilt away from
+ * the neutral pose. Tilting the phone back swings the chain's rest point forward and so on -
+ * the chain keeps hanging "down" in the real world.
+ */
+export const gravityTilt = (tilt, neutral = DEFAULT_NEUTRAL, { sensitivity = 1, maxTilt = 1 } = {}) => {
+  if (!tilt) return { x: 0, y: 0 }
+  const clamp = (value) => Math.max(-maxTilt, Math.min(maxTilt, value))
+  return {
+    x: clamp(-wrapAngle(tilt.pitch - neutral.pitch) * sensitivity),
+    y: clamp(wrapAngle(tilt.roll - neutral.roll) * sensitivity),
+  }
+}
+
+// Run a filter over a recorded trace (array of samples), returning the tilt after each one
+export const replayTrace = (trace, options = {}) => {
+  const filter = createTiltFilter(options)
+  return trace.map((sample) => filter.update(sample))
+}
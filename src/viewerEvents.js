@@ -0,0 +1,114 @@
+// Events the viewer reports to its host page - and, through analytics.js, to analytics.
+// Pure module - no React, no Three.js.
+//
+// The host makes an emitter, subscribes, and hands it to the viewer:
+//   const events = createViewerEvents()
+//   events.on('swingSettled', ({ duration }) => ...)
+//   <ChainViewer events={events} />
+// Only the events below exist; subscribing to or emitting any other name throws, so a typo fails
+// loudly instead of never firing. A listener that throws is reported and the rest still run.
+
+/**
+ * Payload of each event. Positions are in client pixels, angular velocities in rotation space
+ * (rad/s, see pendulumPhysics.js), durations in seconds.
+ *
+ * @typedef {Object} ViewerEventMap
+ * @property {{ url: string, version: number | null, loadTime: number }} modelLoaded - The chain model
+ *   is on screen; loadTime is seconds since the viewer started loading it
+ * @property {{ url: string, message: string, fallback: string | null }} modelFailed - A model failed
+ *   to load; fallback is the URL tried next, if any
+ * @property {{}} swingStart - The chain started moving from rest
+ * @property {{ duration: number }} swingSettled - The chain came to rest after `duration` seconds
+ * @property {{ mode: 'swing' | 'turn', x: number, y: number }} dragStart - The chain was grabbed
+ *   ('swing') or taken to turn it - shift-drag or two fingers ('turn')
+ * @property {{ mode: 'swing' | 'turn', velocity: { x: number, y: number }, twistVelocity: number, duration: number }} dragEnd -
+ *   The chain was let go, at this speed
+ * @property {{ action: 'strike' | 'stop', impulse: { x: number, y: number, twist: number } | null }} chainClicked -
+ *   A click struck a still chain, or stopped a swinging one
+ * @property {{ filter: string, orientation: boolean, motion: boolean }} gyroEnabled - Tilt control
+ *   came on, with the sensors it was allowed
+ * @property {{ reason: 'unsupported' | 'denied' | 'error', message: string }} gyroDenied - Tilt
+ *   control could not come on
+ * @property {{ level: string, dpr: number }} qualityChanged - Rendering quality changed, see
+ *   qualityGovernor.js
+ */
+
+export const VIEWER_EVENTS = [
+  'modelLoaded',
+  'modelFailed',
+  'swingStart',
+  'swingSettled',
+  'dragStart',
+  'dragEnd',
+  'chainClicked',
+  'gyroEnabled',
+  'gyroDenied',
+  'qualityChanged',
+]
+
+const reportListenerError = (error, name) => console.error(`Viewer event "${name}" listener failed:`, error)
+
+export const createViewerEvents = ({ onListenerError = reportListenerError } = {}) => {
+  const listeners = new Map(VIEWER_EVENTS.map((name) => [name, new Set()]))
+  const anyListeners = new Set() // Every event, as (name, payload)
+
+  const listenersOf = (name) => {
+    const set = listeners.get(name)
+    if (!set) throw new Error(`Unknown viewer event "${name}" - expected one of ${VIEWER_EVENTS.join(', ')}`)
+    return set
+  }
+
+  const call = (listener, name, args) => {
+    try {
+      listener(...args)
+    } catch (error) {
+      onListenerError(error, name)
+    }
+  }
+
+  return {
+    /**
+     * Listen for one event. Returns an unsubscribe function.
+     * @template {keyof ViewerEventMap} K
+     * @param {K} name
+     * @param {(payload: ViewerEventMap[K]) => void} listener
+     */
+    on(name, listener) {
+      const set = listenersOf(name)
+      set.add(listener)
+      return () => set.delete(listener)
+    },
+
+    /**
+     * Listen for the next occurrence of one event only. Returns an unsubscribe function.
+     * @template {keyof ViewerEventMap} K
+     * @param {K} name
+     * @param {(payload: ViewerEventMap[K]) => void} listener
+     */
+    once(name, listener) {
+      const set = listenersOf(name)
+      const wrapped = (payload) => {
+        set.delete(wrapped)
+        listener(payload)
+      }
+      set.add(wrapped)
+      return () => set.delete(wrapped)
+    },
+
+    // Listen for every event, as (name, payload) - for logging and analytics
+    onAny(listener) {
+      anyListeners.add(listener)
+      return () => anyListeners.delete(listener)
+    },
+
+    /**
+     * @template {keyof ViewerEventMap} K
+     * @param {K} name
+     * @param {ViewerEventMap[K]} payload
+     */
+    emit(name, payload = {}) {
+      ;[...listenersOf(name)].forEach((listener) => call(listener, name, [payload]))
+      ;[...anyListeners].forEach((listener) => call(listener, name, [name, payload]))
+    },
+  }
+}
@@ -0,0 +1,123 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { connectAnalytics, createBatchingSink, createMemorySink } from '../src/analytics.js'
+import { createViewerEvents } from '../src/viewerEvents.js'
+
+// Timers the test fires by hand
+const fakeTimers = () => {
+  const timers = new Map()
+  let nextId = 0
+  return {
+    schedule: (callback, ms) => {
+      timers.set(++nextId, { callback, ms })
+      return nextId
+    },
+    cancel: (id) => timers.delete(id),
+    fire() {
+      const due = [...timers.values()]
+      timers.clear()
+      due.forEach(({ callback }) => callback())
+    },
+    get delays() {
+      return [...timers.values()].map(({ ms }) => ms)
+    },
+  }
+}
+
+const record = (n) => ({ name: 'dragEnd', payload: { n }, time: n, session: 's' })
+const numbers = (batch) => batch.map(({ payload }) => payload.n)
+const settle = () => new Promise((resolve) => setImmediate(resolve))
+
+test('a full batch is sent straight away', () => {
+  const timers = fakeTimers()
+  const sent = []
+  const sink = createBatchingSink((batch) => sent.push(numbers(batch)), { batchSize: 3, ...timers })
+  ;[1, 2, 3, 4].forEach((n) => sink.track(record(n)))
+  assert.deepEqual(sent, [[1, 2, 3]])
+  assert.equal(sink.pending, 1)
+})
+
+test('a partial batch is sent once the interval has passed', () => {
+  const timers = fakeTimers()
+  const sent = []
+  const sink = createBatchingSink((batch) => sent.push(numbers(batch)), { batchSize: 10, interval: 5, ...timers })
+  sink.track(record(1))
+  sink.track(record(2))
+  assert.deepEqual(timers.delays, [5000], 'one timer, from the first record')
+  assert.deepEqual(sent, [])
+
+  timers.fire()
+  assert.deepEqual(sent, [[1, 2]])
+  assert.equal(sink.pending, 0)
+})
+
+test('a rejected batch is queued again, never holding more than maxQueue', async (t) => {
+  t.mock.method(console, 'warn', () => {})
+  const timers = fakeTimers()
+  const sent = []
+  let online = false
+  const sink = createBatchingSink(async (batch) => {
+    if (!online) throw new Error('offline')
+    sent.push(numbers(batch))
+  }, { batchSize: 3, maxQueue: 4, ...timers })
+
+  ;[1, 2, 3].forEach((n) => sink.track(record(n))) // Sent, and rejected
+  ;[4, 5].forEach((n) => sink.track(record(n))) // Arrive while that send is in flight
+  await settle()
+  assert.equal(sink.pending, 4, 'the oldest record is dropped')
+  assert.equal(console.warn.mock.calls.length, 1)
+
+  online = true
+  timers.fire()
+  await settle()
+  assert.deepEqual(sent, [[2, 3, 4, 5]])
+  assert.equal(sink.pending, 0)
+})
+
+test('close waits for a send in flight, then sends the rest', async () => {
+  const timers = fakeTimers()
+  const sent = []
+  let finishSend = null
+  const sink = createBatchingSink((batch) => new Promise((resolve) => {
+    finishSend = () => {
+      sent.push(numbers(batch))
+      resolve()
+    }
+  }), { batchSize: 2, ...timers })
+
+  ;[1, 2, 3].forEach((n) => sink.track(record(n)))
+  let closed = false
+  const closing = sink.close().then(() => {
+    closed = true
+  })
+  await settle()
+  assert.equal(closed, false)
+  assert.deepEqual(sent, [])
+
+  finishSend()
+  await settle()
+  finishSend()
+  await closing
+  assert.deepEqual(sent, [[1, 2], [3]])
+  assert.deepEqual(timers.delays, [])
+})
+
+test('connected sinks get every event as a record, even if one of them throws', (t) => {
+  t.mock.method(console, 'warn', () => {})
+  const events = createViewerEvents()
+  const memory = createMemorySink()
+  const broken = { track: () => { throw new Error('broken') } }
+  let closed = 0
+  const disconnect = connectAnalytics(events, [broken, memory, { track() {}, close: () => closed++ }], { session: 'abc', now: () => 42 })
+
+  events.emit('swingStart')
+  events.emit('dragEnd', { mode: 'swing', velocity: { x: 1, y: 0 }, twistVelocity: 0, duration: 0.4 })
+  assert.deepEqual(memory.records[0], { name: 'swingStart', payload: {}, time: 42, session: 'abc' })
+  assert.deepEqual(memory.counts(), { swingStart: 1, dragEnd: 1 })
+  assert.equal(console.warn.mock.calls.length, 2)
+
+  disconnect()
+  events.emit('swingStart')
+  assert.equal(memory.records.length, 2)
+  assert.equal(closed, 1)
+})
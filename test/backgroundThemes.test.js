@@ -0,0 +1,97 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { RAMP_STOPS, THEMES, blendThemes, createThemeTransition, hexToRgb, resolveTheme } from '../src/backgroundThemes.js'
+
+const BACKGROUND = { theme: 'chrome', baseColor: [0.1, 0.1, 0.1], brandColors: [], toneMapping: 'theme', exposure: 1, ceiling: 1 }
+const theme = (name, overrides = {}) => resolveTheme({ ...BACKGROUND, theme: name, ...overrides })
+
+const assertClose = (actual, expected, message) => {
+  if (Array.isArray(expected)) return expected.forEach((value, i) => assertClose(actual[i], value, message))
+  if (typeof expected === 'object') return Object.keys(expected).forEach((key) => assertClose(actual[key], expected[key], `${message} ${key}`))
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} != ${expected}`)
+}
+
+test('hex colours convert in long and short form, and anything else throws', () => {
+  assert.deepEqual(hexToRgb('#ff0000'), [1, 0, 0])
+  assert.deepEqual(hexToRgb('#0F0'), [0, 1, 0])
+  assert.throws(() => hexToRgb('red'), /Not a hex colour: "red"/)
+  assert.throws(() => hexToRgb('#12345'), /expected #rgb or #rrggbb/)
+})
+
+test('themes resolve to a full ramp, one tone curve and the config adjustments', () => {
+  const chrome = theme('chrome')
+  assert.equal(chrome.ramp.length, RAMP_STOPS)
+  chrome.ramp.forEach((stop) => assert.deepEqual(stop, BACKGROUND.baseColor))
+  assert.deepEqual(chrome.tone, [1, 0, 0])
+
+  const ink = theme('ink', { toneMapping: 'aces', exposure: 2, ceiling: 0.5 })
+  assert.deepEqual(ink.tone, [0, 0, 1])
+  assert.equal(ink.exposure, THEMES.ink.exposure * 2)
+  assert.equal(ink.ceiling, THEMES.ink.ceiling * 0.5)
+
+  // Two brand colours pad out to the ramp's length with the last one
+  const brand = theme('brand', { brandColors: ['#000', '#fff'] })
+  assert.deepEqual(brand.ramp.map((stop) => stop[0]), [0, 0.25, 0.25, 0.25])
+})
+
+test('a blend interpolates every component, tone curve included', () => {
+  const from = theme('chrome')
+  const to = theme('neon')
+  assertClose(blendThemes(from, to, 0), from, 'start')
+  assertClose(blendThemes(from, to, 1), to, 'end')
+
+  const half = blendThemes(from, to, 0.5)
+  assertClose(half.tone, [0.5, 0, 0.5], 'tone')
+  assertClose(half.exposure, (from.exposure + to.exposure) / 2, 'exposure')
+  assertClose(half.ramp[2], from.ramp[2].map((value, i) => (value + to.ramp[2][i]) / 2), 'ramp')
+  assertClose(half.lightTint, from.lightTint.map((value, i) => (value + to.lightTint[i]) / 2), 'light')
+})
+
+test('a transition runs on the render clock, from the first frame after it starts', () => {
+  const chrome = theme('chrome')
+  const neon = theme('neon')
+  const transition = createThemeTransition(chrome)
+  assert.equal(transition.at(5), chrome)
+
+  transition.to(neon, 2)
+  assert.equal(transition.target, neon)
+
+  // However long the canvas sat idle before this frame, the blend starts here
+  assert.deepEqual(transition.at(100), chrome)
+  assertClose(transition.at(101), blendThemes(chrome, neon, 0.5), 'half way') // smoothstep(0.5) is 0.5
+  assertClose(transition.at(101), blendThemes(chrome, neon, 0.5), 'sampled twice in a frame')
+  assert.equal(transition.at(102), neon)
+  assert.equal(transition.at(200), neon)
+})
+
+test('a restarted clock neither rewinds nor skips a transition', () => {
+  const chrome = theme('chrome')
+  const neon = theme('neon')
+  const transition = createThemeTransition(chrome)
+  transition.to(neon, 2)
+  transition.at(50)
+  transition.at(50.5)
+
+  // A capture restarts the clock at 0: no time passes on that sample, then it carries on
+  const quarter = blendThemes(chrome, neon, 0.25 * 0.25 * (3 - 2 * 0.25))
+  assertClose(transition.at(0), quarter, 'still a quarter through')
+  assertClose(transition.at(0.5), blendThemes(chrome, neon, 0.5), 'half way')
+})
+
+test('a new target starts from wherever the blend had got to', () => {
+  const chrome = theme('chrome')
+  const neon = theme('neon')
+  const ink = theme('ink')
+  const transition = createThemeTransition(chrome)
+  transition.to(neon, 2)
+  transition.at(0)
+  const midway = transition.at(1)
+
+  transition.to(ink, 1)
+  assertClose(transition.at(1), midway, 'no jump')
+  assert.equal(transition.at(2), ink)
+
+  // No duration switches straight away
+  transition.to(chrome, 0)
+  assert.equal(transition.at(2), chrome)
+})
@@ -0,0 +1,87 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { OfflineAudioContext } from 'web-audio-engine'
+import {
+  CLINK_PARTIALS, CLINK_PITCH, CREAK_MIN_ANGLE, FULL_STRIKE, MAX_CLINK_RATE,
+  chimeIntensity, clinkRate, clinkVoicing, createChainAudio, creakStrength, strikeLevel,
+} from '../src/chainAudio.js'
+import { MAX_ANGLE, createPendulumState } from '../src/pendulumPhysics.js'
+
+const SAMPLE_RATE = 22050
+
+const peak = (buffer) => buffer.getChannelData(0).reduce((max, sample) => Math.max(max, Math.abs(sample)), 0)
+
+// Render `seconds` of the engine after `play` has scheduled what it should make
+const render = async (seconds, play, options = {}) => {
+  const context = new OfflineAudioContext(1, Math.round(SAMPLE_RATE * seconds), SAMPLE_RATE)
+  const audio = createChainAudio(context, { offline: true, random: () => 0.5, ...options })
+  play(audio)
+  return context.startRendering()
+}
+
+test('a still chain has no intensity and a fast one is capped at 1', () => {
+  assert.equal(chimeIntensity(createPendulumState()), 0)
+
+  const slow = chimeIntensity(createPendulumState({ velocity: { x: 0.5, y: 0 } }))
+  const fast = chimeIntensity(createPendulumState({ velocity: { x: 2, y: 0 } }))
+  assert.ok(slow > 0 && fast > slow)
+  assert.equal(chimeIntensity(createPendulumState({ velocity: { x: 40, y: 40 } })), 1)
+
+  // A spin counts as activity too
+  assert.ok(chimeIntensity(createPendulumState({ twistVelocity: 3 })) > 0)
+})
+
+test('clinks are silent below a threshold and chatter at full intensity', () => {
+  assert.equal(clinkRate(0), 0)
+  assert.equal(clinkRate(0.01), 0)
+  assert.equal(clinkRate(1), MAX_CLINK_RATE)
+  assert.ok(clinkRate(0.25) < clinkRate(0.5))
+})
+
+test('a clink rings at inharmonic partials of a fundamental in range', () => {
+  const low = clinkVoicing(1, 0)
+  const high = clinkVoicing(1, 1)
+  assert.equal(low.length, CLINK_PARTIALS.length)
+  assert.equal(low[0].frequency, CLINK_PITCH[0])
+  assert.equal(high[0].frequency, CLINK_PITCH[1])
+
+  low.forEach(({ frequency }, i) => assert.ok(Math.abs(frequency - CLINK_PITCH[0] * CLINK_PARTIALS[i]) < 1e-9))
+  low.slice(1).forEach((partial, i) => {
+    assert.ok(partial.gain < low[i].gain, 'higher partials are quieter')
+    assert.ok(partial.decay < low[i].decay, 'higher partials die sooner')
+  })
+  clinkVoicing(0.5, 0.5).forEach(({ gain }, i) => assert.ok(Math.abs(gain - low[i].gain / 2) < 1e-12))
+})
+
+test('only wide swings creak, loudest at the max angle', () => {
+  assert.equal(creakStrength(0), 0)
+  assert.equal(creakStrength(CREAK_MIN_ANGLE - 0.01), 0)
+  assert.equal(creakStrength(MAX_ANGLE), 1)
+  assert.ok(creakStrength((CREAK_MIN_ANGLE + MAX_ANGLE) / 2) > 0)
+  assert.ok(creakStrength((CREAK_MIN_ANGLE + MAX_ANGLE) / 2) < 1)
+})
+
+test('a strike is as loud as it is hard, up to full strength', () => {
+  assert.equal(strikeLevel({ x: 0, y: 0 }), 0)
+  assert.equal(strikeLevel({ x: FULL_STRIKE, y: 0 }), 1)
+  assert.equal(strikeLevel({ x: 0, y: -10 }), 1)
+  assert.ok(Math.abs(strikeLevel({ x: 0.3, y: 0.4 }) - 0.5 / FULL_STRIKE) < 1e-12)
+})
+
+test('a strike renders sound offline', async () => {
+  const buffer = await render(0.3, (audio) => audio.strike(1, 0.05))
+  assert.ok(peak(buffer) > 0.01, `peak ${peak(buffer)}`)
+})
+
+test('a swinging chain clinks and rattles offline, and a muted one is silent', async () => {
+  const swinging = createPendulumState({ rotationX: 0.3, velocity: { x: 3, y: 0 } })
+  const play = (audio) => {
+    for (let frame = 0; frame < 30; frame++) audio.update(swinging, 1 / 60, frame / 60)
+  }
+
+  const loud = await render(0.6, play)
+  assert.ok(peak(loud) > 0.01, `peak ${peak(loud)}`)
+
+  const muted = await render(0.6, play, { muted: true })
+  assert.equal(peak(muted), 0)
+})
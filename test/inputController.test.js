@@ -0,0 +1,110 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { SOURCE_SPRINGS, advanceWithInput, applyCommand, createInputController, restPose } from '../src/inputController.js'
+import { createFixedStepper, createPendulumState } from '../src/pendulumPhysics.js'
+
+const FRAME = 1 / 60
+
+// Run `seconds` of frames, returning the last frame's drive
+const run = (input, seconds) => {
+  let drive = null
+  for (let t = 0; t < seconds - 1e-9; t += FRAME) drive = input.update(FRAME)
+  return drive
+}
+
+test('a higher priority source takes the chain from a lower one', () => {
+  const input = createInputController()
+  input.set('idle', { target: { x: 0.1, y: 0 } })
+  assert.equal(run(input, 0.5).owner, 'idle')
+
+  input.set('pointer', { target: { x: 0.5, y: -0.3 } })
+  const drive = run(input, 0.5)
+  assert.equal(drive.owner, 'pointer')
+  assert.deepEqual(drive.target, { x: 0.5, y: -0.3 })
+  assert.equal(drive.stiffness, SOURCE_SPRINGS.pointer.stiffness)
+
+  // A lower priority source arriving later waits its turn
+  input.set('gyro', { target: { x: -0.2, y: 0 } })
+  assert.equal(run(input, 0.5).owner, 'pointer')
+})
+
+test('releasing the owner blends back to the next source over its handoff', () => {
+  const input = createInputController()
+  input.set('keyboard', { target: { x: 0.2, y: 0 } })
+  input.set('pointer', { target: { x: 0.6, y: 0 } })
+  run(input, 0.5)
+
+  input.release('pointer')
+  const first = input.update(FRAME)
+  assert.equal(first.owner, 'keyboard')
+  assert.ok(first.target.x < 0.6 && first.target.x > 0.2, `target ${first.target.x} is part way`)
+  assert.ok(first.stiffness < SOURCE_SPRINGS.pointer.stiffness && first.stiffness > SOURCE_SPRINGS.keyboard.stiffness)
+
+  // Half way through the keyboard's handoff, then all the way
+  const half = run(input, SOURCE_SPRINGS.keyboard.handoff / 2 - FRAME)
+  assert.ok(Math.abs(half.target.x - 0.4) < 0.02, `target ${half.target.x} half way`)
+  const done = run(input, SOURCE_SPRINGS.keyboard.handoff)
+  assert.deepEqual(done.target, { x: 0.2, y: 0 })
+  assert.equal(done.stiffness, SOURCE_SPRINGS.keyboard.stiffness)
+})
+
+test('a timed scripted move lets go and the chain swings free again', () => {
+  const input = createInputController()
+  input.set('scripted', { target: { x: 0.4, y: 0 }, duration: 0.5 })
+  assert.equal(run(input, 0.4).owner, 'scripted')
+
+  const released = run(input, 0.2)
+  assert.equal(released.owner, null)
+  assert.ok(released.stiffness > 0, 'the spring fades out over the handoff')
+
+  const free = run(input, SOURCE_SPRINGS.scripted.handoff)
+  assert.equal(free.target, null)
+  assert.equal(free.stiffness, 0)
+  assert.equal(free.active, false)
+  assert.equal(input.isActive('scripted'), false)
+})
+
+test('impulses add up and apply once, after a reset in the same frame', () => {
+  const input = createInputController()
+  const stepper = createFixedStepper()
+  input.reset({ rotationX: 0.3, velocity: { x: 0.5, y: 0 }, twist: 1 })
+  input.impulse({ x: 0.2, y: 0.1 })
+  input.impulse({ x: 0.2, twist: -0.5 }, 'keyboard')
+
+  // A zero-length frame applies the commands without stepping the physics
+  const { state, drive } = advanceWithInput(createPendulumState({ rotationX: -0.4 }), input, stepper, 0)
+  assert.equal(drive.active, true)
+  assert.deepEqual(state.rotation, { x: 0.3, y: 0 })
+  // Impulses are in rotation space; velocity.x drives rotation.y
+  assert.ok(Math.abs(state.velocity.x - 0.6) < 1e-12 && Math.abs(state.velocity.y - 0.4) < 1e-12)
+  assert.deepEqual(state.twist, { angle: 1, velocity: -0.5 })
+
+  const next = input.update(FRAME)
+  assert.equal(next.reset, null)
+  assert.deepEqual(next.impulse, { x: 0, y: 0, twist: 0 })
+})
+
+test('a tilt moves the rest pose without keeping the chain awake', () => {
+  const input = createInputController()
+  input.set('gyro', { tilt: { x: 0.2, y: -0.1 } })
+  const drive = input.update(FRAME)
+  assert.equal(drive.active, false)
+  assert.deepEqual(restPose(drive), { x: 0.2, y: -0.1 })
+
+  input.set('pointer', { target: { x: 0.5, y: 0 } })
+  assert.deepEqual(restPose(run(input, 0.1)), { x: 0.5, y: 0 })
+})
+
+test('subscribed commands recreate the same input on another controller', () => {
+  const input = createInputController()
+  const copy = createInputController()
+  input.subscribe((command) => applyCommand(copy, JSON.parse(JSON.stringify(command))))
+
+  input.set('gyro', { tilt: { x: 0.1, y: 0 } })
+  input.set('pointer', { target: { x: 0.3, y: 0.2 }, twist: 0.5 })
+  input.impulse({ x: 1, y: 0 })
+  input.reset({ rotationY: 0.2 })
+  input.release('gyro')
+
+  for (let frame = 0; frame < 20; frame++) assert.deepEqual(copy.update(FRAME), input.update(FRAME))
+})
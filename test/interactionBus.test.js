@@ -0,0 +1,104 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { DEFAULT_RIPPLE_OPTIONS, RIPPLE_SLOTS, createInteractionBus, createRippleField } from '../src/interactionBus.js'
+
+// The shader's arrays: vec4 positions and float speeds
+const shaderArrays = () => ({
+  positions: Array.from({ length: RIPPLE_SLOTS }, () => ({ set(x, y, age, amplitude) { Object.assign(this, { x, y, age, amplitude }) } })),
+  speeds: new Array(RIPPLE_SLOTS).fill(0),
+})
+
+// A ripple field on a clock the test moves by hand
+const field = (options = {}) => {
+  const clock = { time: 0 }
+  const bus = createInteractionBus()
+  const ripples = createRippleField(bus, { now: () => clock.time, ...options })
+  return { clock, bus, ripples, ...shaderArrays() }
+}
+
+const alive = (positions) => positions.filter((position) => position.amplitude > 0)
+
+test('the bus delivers events by type until unsubscribed', () => {
+  const bus = createInteractionBus()
+  const shocks = []
+  const off = bus.on('shock', (event) => shocks.push(event))
+  bus.emit('shock', { x: 0.2, y: 0.3 })
+  bus.emit('flick', { x: 0, y: 0, speed: 1 })
+  off()
+  bus.emit('shock', { x: 0.4, y: 0.5 })
+  assert.deepEqual(shocks, [{ x: 0.2, y: 0.3 }])
+})
+
+test('the pointer reports its velocity and only emits when it moves', () => {
+  const bus = createInteractionBus()
+  let moves = 0
+  bus.on('pointer', () => moves++)
+  bus.movePointer(0.6, 0.5, 0.1)
+  assert.ok(Math.abs(bus.pointer.vx - 1) < 1e-9)
+  assert.equal(bus.pointer.vy, 0)
+  bus.movePointer(0.6, 0.5, 0.1)
+  assert.equal(bus.pointer.speed, 0)
+  assert.equal(moves, 1)
+})
+
+test('a ripple ages and is gone after its lifetime', () => {
+  const { clock, bus, ripples, positions, speeds } = field()
+  bus.emit('shock', { x: 0.3, y: 0.7, strength: 1 })
+
+  assert.equal(ripples.write(positions, speeds), true)
+  assert.deepEqual(alive(positions).map(({ x, y, age, amplitude }) => ({ x, y, age, amplitude })), [{ x: 0.3, y: 0.7, age: 0, amplitude: 2 }])
+  assert.ok(speeds.includes(DEFAULT_RIPPLE_OPTIONS.ringSpeed), 'a shock is an expanding ring')
+
+  clock.time = 1
+  ripples.write(positions, speeds)
+  assert.equal(alive(positions)[0].age, 1)
+
+  clock.time = DEFAULT_RIPPLE_OPTIONS.lifetime
+  assert.equal(ripples.write(positions, speeds), false)
+  assert.equal(alive(positions).length, 0)
+})
+
+test('slow pointer moves leave no ripples and fast strokes are spaced out', () => {
+  const { bus, ripples, positions, speeds } = field()
+  bus.emit('pointer', { x: 0.5, y: 0.5, speed: 0.5 })
+  assert.equal(ripples.write(positions, speeds), false)
+
+  bus.emit('pointer', { x: 0.5, y: 0.5, speed: 3 })
+  bus.emit('pointer', { x: 0.52, y: 0.5, speed: 3 }) // Too close to the last one
+  bus.emit('pointer', { x: 0.6, y: 0.5, speed: 3 })
+  ripples.write(positions, speeds)
+  assert.deepEqual(alive(positions).map(({ x }) => x).sort(), [0.5, 0.6])
+})
+
+test('the swinging chain ripples at most once per interval', () => {
+  const { clock, bus, ripples, positions, speeds } = field()
+  for (let frame = 0; frame < 30; frame++) {
+    clock.time = frame / 60
+    bus.emit('chain', { x: 0.5, y: 0.2, speed: 2 })
+  }
+  ripples.write(positions, speeds)
+  // Seven frames are under the 0.12 s interval, so every eighth frame ripples: 0, 8, 16 and 24
+  assert.deepEqual(alive(positions).map(({ age }) => Math.round((clock.time - age) * 60)).sort((a, b) => a - b), [0, 8, 16, 24])
+})
+
+test('a full field gives the faintest slot to a new ripple', () => {
+  const { clock, bus, ripples, positions, speeds } = field()
+  bus.emit('shock', { x: 0.9, y: 0.9, strength: 1 })
+  for (let i = 1; i < RIPPLE_SLOTS; i++) bus.emit('flick', { x: i / 10, y: 0.1, speed: 1 })
+
+  // All slots taken; a while later the flicks have faded more than the shock ring
+  clock.time = 0.5
+  bus.emit('flick', { x: 0.05, y: 0.05, speed: 3 })
+  ripples.write(positions, speeds)
+  const live = alive(positions)
+  assert.equal(live.length, RIPPLE_SLOTS)
+  assert.ok(live.some(({ x }) => x === 0.9), 'the shock ring survives')
+  assert.ok(live.some(({ x }) => x === 0.05), 'the new flick took a slot')
+})
+
+test('a disposed field stops listening', () => {
+  const { bus, ripples, positions, speeds } = field()
+  ripples.dispose()
+  bus.emit('shock', { x: 0.5, y: 0.5 })
+  assert.equal(ripples.write(positions, speeds), false)
+})
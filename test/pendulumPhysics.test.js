@@ -0,0 +1,50 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { DEFAULT_PHYSICS, createPendulumState, isSettled, mechanicalEnergy, simulate } from '../src/pendulumPhysics.js'
+
+// A swing in one plane, small enough that the exact sin(θ) restoring force applies
+const planarSwing = (angle) => createPendulumState({ rotationX: angle })
+
+test('an undamped swing keeps its energy for 10 s', () => {
+  const params = { ...DEFAULT_PHYSICS, airDamping: 0, frictionDamping: 0 }
+  const states = simulate(planarSwing(0.4), 10, { params })
+  const initial = mechanicalEnergy(states[0], params)
+
+  states.forEach((state) => {
+    assert.ok(Math.abs(mechanicalEnergy(state, params) - initial) < initial * 1e-4)
+  })
+})
+
+test('a damped swing dies down at every turn', () => {
+  const states = simulate(planarSwing(0.4), 20)
+
+  // Amplitude at each turning point, where the swing reverses
+  const peaks = []
+  for (let i = 1; i < states.length - 1; i++) {
+    const [before, now, after] = [states[i - 1], states[i], states[i + 1]].map((state) => Math.abs(state.rotation.x))
+    if (now >= before && now > after) peaks.push(now)
+  }
+
+  assert.ok(peaks.length > 5)
+  peaks.slice(1).forEach((peak, i) => assert.ok(peak < peaks[i], `peak ${i + 1} (${peak}) < peak ${i} (${peaks[i]})`))
+})
+
+test('rotation stops at the max angle', () => {
+  const start = createPendulumState({ velocity: { x: 20, y: 20 } }) // Thrown far past the limit both ways
+  const states = simulate(start, 2)
+
+  states.forEach(({ rotation }) => {
+    assert.ok(Math.abs(rotation.x) <= DEFAULT_PHYSICS.maxAngle)
+    assert.ok(Math.abs(rotation.y) <= DEFAULT_PHYSICS.maxAngle)
+  })
+  assert.ok(states.some(({ rotation }) => Math.abs(rotation.x) === DEFAULT_PHYSICS.maxAngle))
+  assert.ok(states.some(({ rotation }) => Math.abs(rotation.y) === DEFAULT_PHYSICS.maxAngle))
+})
+
+test('a chain hanging still at a tilted rest pose counts as settled there', () => {
+  const tilt = { x: 0.3, y: -0.2 }
+  const state = createPendulumState({ rotationX: tilt.x, rotationY: tilt.y })
+
+  assert.ok(isSettled(state, tilt))
+  assert.ok(!isSettled(state))
+})
@@ -0,0 +1,88 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { DEFAULT_GOVERNOR_OPTIONS, QUALITY_LEVELS, createQualityGovernor, initialQualityLevel } from '../src/qualityGovernor.js'
+
+// Powers of two add up exactly, so each run of frames fills whole windows
+const SLOW = 1 / 32
+const FAST = 1 / 64
+
+// Feed one-second windows of steady frames; returns how many times the level changed
+const windows = (governor, count, dt) => {
+  let changes = 0
+  const frames = Math.ceil(DEFAULT_GOVERNOR_OPTIONS.windowTime / dt)
+  for (let w = 0; w < count; w++) {
+    for (let f = 0; f < frames; f++) if (governor.sample(dt)) changes++
+  }
+  return changes
+}
+
+test('a slow window steps down one level, then the cooldown holds it there', () => {
+  const governor = createQualityGovernor()
+  assert.equal(windows(governor, 1, SLOW), 1)
+  assert.equal(governor.level, 1)
+
+  // Still slow, but the new level gets cooldownWindows to settle in
+  assert.equal(windows(governor, DEFAULT_GOVERNOR_OPTIONS.cooldownWindows, SLOW), 0)
+  assert.equal(windows(governor, 1, SLOW), 1)
+  assert.equal(governor.level, 2)
+})
+
+test('it never steps below the cheapest level', () => {
+  const governor = createQualityGovernor({ initialLevel: QUALITY_LEVELS.length - 1 })
+  assert.equal(windows(governor, 10, 1 / 8), 0)
+  assert.equal(governor.level, QUALITY_LEVELS.length - 1)
+})
+
+test('comfortable windows step up one level at a time', () => {
+  const { cooldownWindows, upgradeWindows } = DEFAULT_GOVERNOR_OPTIONS
+  const governor = createQualityGovernor({ initialLevel: 2 })
+  assert.equal(windows(governor, upgradeWindows - 1, FAST), 0)
+  assert.equal(windows(governor, 1, FAST), 1)
+  assert.equal(governor.level, 1)
+
+  assert.equal(windows(governor, cooldownWindows + upgradeWindows - 1, FAST), 0)
+  assert.equal(windows(governor, 1, FAST), 1)
+  assert.equal(governor.level, 0)
+})
+
+test('a frame rate between the target and the margin holds the level', () => {
+  const governor = createQualityGovernor({ initialLevel: 1 })
+  assert.equal(windows(governor, 20, 1 / 52), 0) // Above the 50fps target, under 57.5
+  assert.equal(governor.level, 1)
+})
+
+test('a level that proved too slow takes twice as long to climb back to', () => {
+  const { cooldownWindows, upgradeWindows } = DEFAULT_GOVERNOR_OPTIONS
+  const governor = createQualityGovernor()
+  windows(governor, 1, SLOW) // Level 0 failed once
+  assert.equal(governor.level, 1)
+
+  assert.equal(windows(governor, cooldownWindows + upgradeWindows * 2 - 1, FAST), 0)
+  assert.equal(windows(governor, 1, FAST), 1)
+  assert.equal(governor.level, 0)
+
+  // Failing again, once the cooldown is over, doubles the wait once more
+  windows(governor, cooldownWindows, FAST)
+  assert.equal(windows(governor, 1, SLOW), 1)
+  assert.equal(windows(governor, cooldownWindows + upgradeWindows * 4 - 1, FAST), 0)
+  assert.equal(windows(governor, 1, FAST), 1)
+})
+
+test('hitches and a reset say nothing about the level', () => {
+  const governor = createQualityGovernor()
+  for (let i = 0; i < 20; i++) assert.equal(governor.sample(1), false) // Tab switches
+  windows(governor, 3, FAST)
+  assert.equal(governor.level, 0)
+
+  // Half a slow window, then a pause: the partial window is forgotten
+  for (let i = 0; i < 15; i++) governor.sample(SLOW)
+  governor.reset()
+  assert.equal(windows(governor, 1, FAST), 0)
+  assert.equal(governor.level, 0)
+})
+
+test('the starting level follows the device tier', () => {
+  assert.equal(initialQualityLevel('high'), 0)
+  assert.equal(initialQualityLevel('medium'), 1)
+  assert.equal(initialQualityLevel('low'), 2)
+})
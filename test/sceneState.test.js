@@ -0,0 +1,37 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { decodeSceneState, encodeSceneState, sceneStateOverrides } from '../src/sceneState.js'
+import { DEFAULT_PHYSICS } from '../src/pendulumPhysics.js'
+
+test('a scene survives the round trip through a link', () => {
+  const hash = encodeSceneState({
+    model: 2,
+    theme: 'brand',
+    brandColors: ['#141414', '#c8a24b'],
+    camera: { fov: 45, z: 10 },
+    pose: { x: 0.3, y: -0.12 },
+    impulse: { x: 1.5, y: 0 },
+    twist: { angle: 1.2, velocity: -0.5 },
+  })
+  const state = decodeSceneState(hash)
+  assert.equal(state.model, 2)
+  assert.equal(state.theme, 'brand')
+  assert.deepEqual(state.brandColors, ['#141414', '#c8a24b'])
+  assert.deepEqual(state.camera, { fov: 45, z: 10 })
+  assert.deepEqual(state.pose, { x: 0.3, y: -0.12 })
+  assert.deepEqual(state.impulse, { x: 1.5, y: 0 })
+  assert.deepEqual(state.twist, { angle: 1.2, velocity: -0.5 })
+  assert.deepEqual(sceneStateOverrides(state).background, { theme: 'brand', brandColors: ['#141414', '#c8a24b'] })
+})
+
+test('invalid fields come back as null', () => {
+  const state = decodeSceneState('#model=x&theme=plaid&colors=red,%23fff&camera=0,10&pose=3,0&impulse=30,0&twist=1,99')
+  ;['model', 'theme', 'brandColors', 'camera', 'pose', 'impulse', 'twist'].forEach((key) => assert.equal(state[key], null, key))
+})
+
+test('a twist is checked against the viewer\'s own limit', () => {
+  const hash = encodeSceneState({ twist: { angle: DEFAULT_PHYSICS.maxTwist + 2, velocity: 0 } })
+  assert.equal(decodeSceneState(hash).twist, null)
+  assert.equal(decodeSceneState(hash, { maxTwist: DEFAULT_PHYSICS.maxTwist * 2 }).twist.angle, Math.round((DEFAULT_PHYSICS.maxTwist + 2) * 1000) / 1000)
+  assert.equal(decodeSceneState('#twist=2,0', { maxTwist: 1 }).twist, null)
+})
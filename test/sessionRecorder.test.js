@@ -0,0 +1,75 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { advanceWithInput, createInputController } from '../src/inputController.js'
+import { DEFAULT_PHYSICS, createFixedStepper, createPendulumState } from '../src/pendulumPhysics.js'
+import { compareTrajectories, createRecorder, parseRecording, recordedTrajectory, recordingToJSON, replayRecording } from '../src/sessionRecorder.js'
+
+// Frame times that wander like a real browser's, hitches included, from a fixed seed
+const frameTimes = (count) => {
+  let seed = 7
+  return Array.from({ length: count }, (_, i) => {
+    seed = (seed * 1103515245 + 12345) % 2147483648
+    return i % 97 === 50 ? 0.05 : 1 / 60 + (seed / 2147483648 - 0.5) * 0.008
+  })
+}
+
+// What happens at each frame of the session
+const SCRIPT = {
+  10: (input) => input.set('pointer', { target: { x: 0.4, y: -0.2 } }),
+  40: (input) => input.set('pointer', { target: { x: 0.5, y: 0.1 } }),
+  70: (input) => input.release('pointer'),
+  90: (input) => input.impulse({ x: 0.8, y: -0.5 }),
+  130: (input) => input.set('pointer', { twist: 1.5 }),
+  160: (input) => {
+    input.release('pointer')
+    input.impulse({ twist: 3 })
+  },
+  200: (input) => input.set('gyro', { tilt: { x: -0.15, y: 0.05 } }),
+  240: (input) => input.reset({ rotationX: 0.3, rotationY: -0.1, velocity: { x: 0.5, y: 0 }, twist: 0.4 }),
+  260: (input) => input.set('scripted', { target: { x: -0.3, y: 0 }, duration: 0.5 }),
+  330: (input) => input.impulse({ x: -0.6, y: 0.2, twist: -1 }, 'keyboard'),
+}
+
+// Run a mixed session the way the viewer does, recording it as it goes
+const recordSession = () => {
+  const input = createInputController()
+  const stepper = createFixedStepper()
+  let state = createPendulumState()
+
+  // The gyro was already on when recording started
+  input.set('gyro', { tilt: { x: 0.1, y: 0 } })
+  const recorder = createRecorder({ input, initialState: state, params: DEFAULT_PHYSICS })
+
+  frameTimes(400).forEach((dt, frame) => {
+    SCRIPT[frame]?.(input)
+    state = advanceWithInput(state, input, stepper, dt).state
+    recorder.frame(dt, state)
+  })
+
+  return recorder.stop()
+}
+
+test('a replayed session follows the recorded trajectory exactly', () => {
+  const recording = parseRecording(recordingToJSON(recordSession()))
+  const kinds = new Set(recording.frames.flatMap((frame) => frame.commands.map((command) => command.type)))
+  assert.deepEqual([...kinds].sort(), ['impulse', 'release', 'reset', 'set'])
+  assert.equal(recording.initialCommands.length, 1)
+
+  const comparison = compareTrajectories(recordedTrajectory(recording), replayRecording(recording))
+  assert.equal(comparison.frames, 400)
+  assert.equal(comparison.maxDeviation, 0)
+})
+
+test('a change of physics constant shows up as a deviation', () => {
+  const recording = recordSession()
+  const replayed = replayRecording(recording, { params: { ...recording.params, gravity: recording.params.gravity * 1.05 } })
+  const comparison = compareTrajectories(recordedTrajectory(recording), replayed)
+  assert.ok(comparison.maxDeviation > 1e-3, `max deviation ${comparison.maxDeviation}`)
+  assert.ok(comparison.maxDeviationFrame > 0)
+})
+
+test('a replay without the initial gyro tilt drifts from the recording', () => {
+  const recording = recordSession()
+  const comparison = compareTrajectories(recordedTrajectory(recording), replayRecording({ ...recording, initialCommands: [] }))
+  assert.ok(comparison.maxDeviation > 0)
+})
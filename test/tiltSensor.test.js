@@ -0,0 +1,58 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFileSync } from 'node:fs'
+import { TILT_FILTERS, replayTrace, tiltFromAcceleration } from '../src/tiltSensor.js'
+
+// Sensor traces in the shape createTiltFilter takes - each file describes the motion it records
+const loadTrace = (name) => JSON.parse(readFileSync(new URL(`./fixtures/${name}.json`, import.meta.url), 'utf8')).samples
+
+const DEG = Math.PI / 180
+
+// Largest error in degrees between tilts (radians) and the true { pitch, roll } (degrees) at each
+// sample's time, over the samples from `from` ms on
+const maxError = (trace, tilts, truth, from = 0) => trace.reduce((max, sample, i) => {
+  if (sample.t < from) return max
+  const { pitch, roll } = truth(sample.t)
+  return Math.max(max, Math.abs(tilts[i].pitch / DEG - pitch), Math.abs(tilts[i].roll / DEG - roll))
+}, 0)
+
+const still = loadTrace('tilt-still-gyro-bias')
+const stillTruth = () => ({ pitch: 80, roll: 5 })
+
+const step = loadTrace('tilt-step')
+const stepTruth = (t) => {
+  if (t < 1000) return { pitch: 90, roll: 0 }
+  if (t < 1300) return { pitch: 90 - 30 * (t - 1000) / 300, roll: 10 * (t - 1000) / 300 }
+  return { pitch: 60, roll: 10 }
+}
+
+const shake = loadTrace('tilt-shake-accelerometer')
+const shakeTruth = () => ({ pitch: 70, roll: -8 })
+
+test('the still trace drifts on the gyro alone', () => {
+  let pitch = still[0].orientation.beta
+  still.slice(1).forEach((sample, i) => {
+    pitch += sample.rotationRate.beta * (sample.t - still[i].t) / 1000
+  })
+  assert.ok(Math.abs(pitch - 80) > 15)
+})
+
+TILT_FILTERS.forEach((filter) => {
+  test(`${filter} filter holds a still phone's tilt against gyro bias`, () => {
+    const tilts = replayTrace(still, { filter })
+    assert.ok(maxError(still, tilts, stillTruth, 1000) < 1)
+  })
+
+  test(`${filter} filter follows a tilt and settles on the new angle`, () => {
+    const tilts = replayTrace(step, { filter })
+    assert.ok(maxError(step, tilts, stepTruth) < 4) // Lags a little while the phone turns
+    assert.ok(maxError(step, tilts, stepTruth, 2000) < 1)
+  })
+
+  test(`${filter} filter rides out a shake the accelerometer alone would follow`, () => {
+    const tilts = replayTrace(shake, { filter })
+    const raw = shake.map((sample) => tiltFromAcceleration(sample.acceleration))
+    assert.ok(maxError(shake, tilts, shakeTruth) < maxError(shake, raw, shakeTruth) / 2)
+    assert.ok(maxError(shake, tilts, shakeTruth, 3000) < 1)
+  })
+})
@@ -0,0 +1,63 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { VIEWER_EVENTS, createViewerEvents } from '../src/viewerEvents.js'
+
+test('unknown event names throw on subscribe and emit', () => {
+  const events = createViewerEvents()
+  assert.throws(() => events.on('swingSettle', () => {}), /Unknown viewer event "swingSettle"/)
+  assert.throws(() => events.once('clicked', () => {}), /expected one of modelLoaded/)
+  assert.throws(() => events.emit('dragStop', {}), /Unknown viewer event "dragStop"/)
+  VIEWER_EVENTS.forEach((name) => assert.doesNotThrow(() => events.emit(name, {})))
+})
+
+test('listeners get the payload until they unsubscribe', () => {
+  const events = createViewerEvents()
+  const seen = []
+  const off = events.on('swingSettled', (payload) => seen.push(payload))
+  events.emit('swingSettled', { duration: 3 })
+  events.emit('swingStart')
+  off()
+  events.emit('swingSettled', { duration: 4 })
+  assert.deepEqual(seen, [{ duration: 3 }])
+})
+
+test('a throwing listener is reported and the others still run', () => {
+  const errors = []
+  const events = createViewerEvents({ onListenerError: (error, name) => errors.push([error.message, name]) })
+  const seen = []
+  events.on('chainClicked', () => {
+    throw new Error('broken')
+  })
+  events.on('chainClicked', ({ action }) => seen.push(action))
+  events.onAny((name) => seen.push(name))
+
+  events.emit('chainClicked', { action: 'stop', impulse: null })
+  assert.deepEqual(seen, ['stop', 'chainClicked'])
+  assert.deepEqual(errors, [['broken', 'chainClicked']])
+})
+
+test('once fires for the next occurrence only, and can be cancelled', () => {
+  const events = createViewerEvents()
+  let loads = 0
+  events.once('modelLoaded', () => loads++)
+  events.emit('modelLoaded', { url: '/a.glb', version: 1, loadTime: 0.5 })
+  events.emit('modelLoaded', { url: '/b.glb', version: 2, loadTime: 0.5 })
+  assert.equal(loads, 1)
+
+  let failures = 0
+  const cancel = events.once('modelFailed', () => failures++)
+  cancel()
+  events.emit('modelFailed', { url: '/a.glb', message: 'nope', fallback: null })
+  assert.equal(failures, 0)
+})
+
+test('onAny sees every event by name until unsubscribed', () => {
+  const events = createViewerEvents()
+  const seen = []
+  const off = events.onAny((name, payload) => seen.push([name, payload]))
+  events.emit('qualityChanged', { level: 'low', dpr: 1 })
+  events.emit('gyroDenied', { reason: 'denied', message: 'no' })
+  off()
+  events.emit('swingStart')
+  assert.deepEqual(seen, [['qualityChanged', { level: 'low', dpr: 1 }], ['gyroDenied', { reason: 'denied', message: 'no' }]])
+})